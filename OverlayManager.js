@@ -1,7 +1,12 @@
 /**
- * OverlayManager - Módulo para gerenciamento de overlays de imagem
+ * OverlayManager - Módulo para gerenciamento de overlays de imagem e de texto
  * Responsável pela funcionalidade de adicionar e gerenciar overlays em vídeos
  */
+
+// Arrasto na pré-visualização (px do canvas): tamanho das alças e distância de encaixe nas linhas-guia
+const PLACEMENT_HANDLE_SIZE = 8;
+const PLACEMENT_SNAP_DISTANCE = 6;
+
 class OverlayManager {
     constructor(videoPlayer, options = {}) {
         this.videoPlayer = videoPlayer;
@@ -9,6 +14,7 @@ class OverlayManager {
         this.animationFrameId = null;
         this.resizeTimeoutId = null;
         this.resizeHandler = null; // Armazenar referência para remover corretamente
+        this.placementDrag = null; // Arrasto/redimensionamento em andamento na pré-visualização
 
         // Usar gerenciador de eventos global para prevenir memory leaks
         this.eventListeners = [];
@@ -26,6 +32,9 @@ class OverlayManager {
         // Configurar listeners para eventos do OverlayState
         this.setupOverlayStateListeners();
 
+        // Posicionamento livre arrastando o overlay sobre o vídeo
+        this.setupPlacementInteraction();
+
         console.log('🚀 OverlayManager inicializado com gerenciamento de eventos correto');
     }
 
@@ -199,6 +208,29 @@ class OverlayManager {
             });
         }
 
+        // Tipo do overlay: imagem ou texto (legenda em português sobre o vídeo em LIBRAS)
+        const overlayType = document.getElementById('overlayType');
+        if (overlayType) {
+            overlayType.addEventListener('change', () => {
+                this.setOverlayType(overlayType.value);
+                this.validateTimeInputs();
+            });
+        }
+        const overlayTextContent = document.getElementById('overlayTextContent');
+        if (overlayTextContent) {
+            overlayTextContent.addEventListener('input', () => this.validateTimeInputs());
+        }
+
+        // Keyframes da animação: o novo keyframe começa no tempo atual do vídeo, se estiver dentro do overlay
+        const addOverlayKeyframe = document.getElementById('addOverlayKeyframe');
+        if (addOverlayKeyframe) {
+            addOverlayKeyframe.addEventListener('click', () => {
+                const start = parseFloat(overlayStartTime?.value) || 0;
+                const localTime = this.videoPlayer ? this.videoPlayer.currentTime - start : 0;
+                this.addKeyframeRow({ time: Number(Math.max(0, localTime).toFixed(2)) });
+            });
+        }
+
         // Validação em tempo real dos inputs de tempo
         const overlayDuration = document.getElementById('overlayDuration');
 
@@ -245,7 +277,7 @@ class OverlayManager {
         const overlayModal = document.getElementById('overlayModal');
 
         // Validar campos obrigatórios
-        if (!this.selectedImageFile) {
+        if (!this.hasOverlaySource()) {
               return;
         }
 
@@ -267,13 +299,17 @@ class OverlayManager {
             overlayModal.classList.remove('active');
 
             // Configurar parâmetros do overlay
+            const isText = this.getOverlayType() === 'text';
             const overlayConfig = {
-                imageFile: this.selectedImageFile,
+                type: isText ? 'text' : 'image',
+                imageFile: isText ? null : this.selectedImageFile,
+                text: isText ? this.readTextFields() : null,
                 startTime: startTime,
                 duration: duration,
                 position: overlayPosition.value,
                 size: parseInt(overlaySize.value),
-                opacity: parseFloat(overlayOpacity.value)
+                opacity: parseFloat(overlayOpacity.value),
+                ...this.readAnimationFields()
             };
 
             // Processar overlay usando sistema em tempo real
@@ -382,6 +418,12 @@ class OverlayManager {
                     throw new Error('Vídeo não está em estado adequado para overlay. Verifique se o vídeo está completamente carregado.');
                 }
 
+                // Texto é desenhado direto no canvas, sem imagem para carregar
+                if (config.type === 'text') {
+                    this.applyRealTimeOverlay(null, config);
+                    return;
+                }
+
                 // Carregar imagem do overlay
                 const overlayImage = new Image();
                 const imageUrl = `file://${config.imageFile.filePath}`;
@@ -455,6 +497,7 @@ class OverlayManager {
     async attemptSimplifiedRender(config) {
         try {
             console.log('🎨 Tentando renderização simplificada...');
+            if (config.type === 'text') return;
 
             // Criar canvas mínimo sem validações rigorosas
             const canvas = document.createElement('canvas');
@@ -600,16 +643,25 @@ class OverlayManager {
         if (typeof OverlayState !== 'undefined') {
             const overlayData = {
                 id: overlayId,
-                image: overlayConfig.imageFile.fileName,
+                type: overlayConfig.type,
+                image: overlayConfig.imageFile?.fileName || null,
+                text: overlayConfig.text,
                 startTime: overlayConfig.startTime,
                 duration: overlayConfig.duration,
                 position: overlayConfig.position,
                 size: overlayConfig.size,
                 opacity: overlayConfig.opacity,
-                label: `Overlay ${OverlayState.overlays.length + 1}`
+                fadeIn: overlayConfig.fadeIn || 0,
+                fadeOut: overlayConfig.fadeOut || 0,
+                keyframes: overlayConfig.keyframes || [],
+                label: this.getOverlayLabel(overlayConfig, OverlayState.overlays.length + 1)
             };
 
-            OverlayState.addOverlay(overlayData);
+            if (typeof HistoryManager !== 'undefined') {
+                HistoryManager.track('Adicionar overlay', ['overlays'], () => OverlayState.addOverlay(overlayData));
+            } else {
+                OverlayState.addOverlay(overlayData);
+            }
             console.log('✅ Overlay adicionado ao estado centralizado:', overlayData);
 
             // ARMAZENAR ID NO CURRENT OVERLAY PARA CORREÇÃO PRINCIPAL
@@ -625,7 +677,7 @@ class OverlayManager {
         // Manter compatibilidade com sistema antigo (window.currentOverlayData) - LEGADO
         if (typeof window.currentOverlayData !== 'undefined') {
             window.currentOverlayData = {
-                image: overlayConfig.imageFile.fileName,
+                image: overlayConfig.imageFile?.fileName || null,
                 startTime: overlayConfig.startTime,
                 duration: overlayConfig.duration,
                 position: overlayConfig.position,
@@ -634,17 +686,22 @@ class OverlayManager {
             };
         }
 
-        // Sincronizar com currentProject (legado - COMPATIBILIDADE)
-        if (currentProject && currentProject.overlays) {
+        // Sincronizar com currentProject (legado - COMPATIBILIDADE); o OverlayState já pode ter incluído este overlay
+        if (currentProject && currentProject.overlays && !currentProject.overlays.some(o => o.id === overlayId)) {
             const trackOverlayData = {
                 id: overlayId, // Adicionar ID para rastreamento
-                label: `Overlay ${currentProject.overlays.length + 1}`,
+                type: overlayConfig.type,
+                label: this.getOverlayLabel(overlayConfig, currentProject.overlays.length + 1),
                 start: overlayConfig.startTime,
                 duration: overlayConfig.duration,
                 position: overlayConfig.position,
                 size: overlayConfig.size,
                 opacity: overlayConfig.opacity,
-                imageFile: overlayConfig.imageFile.fileName
+                fadeIn: overlayConfig.fadeIn || 0,
+                fadeOut: overlayConfig.fadeOut || 0,
+                keyframes: overlayConfig.keyframes || [],
+                imageFile: overlayConfig.imageFile?.fileName || null,
+                text: overlayConfig.text
             };
             currentProject.overlays.push(trackOverlayData);
 
@@ -652,8 +709,8 @@ class OverlayManager {
             console.log('📊 Total de overlays no projeto:', currentProject.overlays.length);
         }
 
-        // Adicionar ao videoPaths para exportação (mantido original)
-        if (window.videoPaths && typeof window.videoPaths.set === 'function') {
+        // Adicionar ao videoPaths para exportação (mantido original); overlays de texto não têm arquivo
+        if (overlayConfig.imageFile && window.videoPaths && typeof window.videoPaths.set === 'function') {
             try {
                 await this.saveTempOverlayFile(overlayConfig, {
                     image: overlayConfig.imageFile.fileName,
@@ -751,16 +808,24 @@ class OverlayManager {
             lastVideoTime = currentTime;
 
             // BUSCAR DADOS ATUALIZADOS DO OVERLAYSTATE - CORREÇÃO PRINCIPAL
-            let currentConfig = config;
+            let currentConfig = this.currentOverlay?.config || config;
             if (typeof OverlayState !== 'undefined' && this.currentOverlay.overlayId) {
                 const overlayFromState = OverlayState.getOverlay(this.currentOverlay.overlayId);
                 if (overlayFromState) {
                     currentConfig = {
-                        ...config,
+                        ...currentConfig,
                         startTime: overlayFromState.startTime || overlayFromState.start,
                         start: overlayFromState.start || overlayFromState.startTime,
-                        duration: overlayFromState.duration
+                        duration: overlayFromState.duration,
+                        position: overlayFromState.position,
+                        placement: overlayFromState.placement || null,
+                        size: overlayFromState.size,
+                        text: overlayFromState.text || currentConfig.text,
+                        fadeIn: overlayFromState.fadeIn || 0,
+                        fadeOut: overlayFromState.fadeOut || 0,
+                        keyframes: overlayFromState.keyframes || []
                     };
+                    this.currentOverlay.config = currentConfig;
                 }
             }
 
@@ -804,8 +869,11 @@ class OverlayManager {
             // Limpar canvas
             ctx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
 
-            if (shouldShowOverlay) {
-                this.drawOverlayOnCanvas(ctx, overlayImage, currentConfig, overlayCanvas.width, overlayCanvas.height);
+            this.currentOverlay.box = shouldShowOverlay
+                ? this.drawOverlayOnCanvas(ctx, overlayImage, currentConfig, overlayCanvas.width, overlayCanvas.height)
+                : null;
+            if (this.currentOverlay.box && this.videoPlayer.paused) {
+                this.drawPlacementGuides(ctx, this.currentOverlay.box, []);
             }
 
             // CONTROLE DE LOOP: Só continuar o loop se o vídeo estiver playing e não estiver pausado
@@ -833,7 +901,7 @@ class OverlayManager {
             config: config,
             originalConfig: { ...config }, // Manter referência ao config original
             image: overlayImage,
-            imageUrl: overlayImage.src,
+            imageUrl: overlayImage ? overlayImage.src : null,
             animationFrameId: null,
             overlayId: null // Será preenchido quando o overlay for armazenado
         };
@@ -894,9 +962,7 @@ class OverlayManager {
                                  this.currentOverlay.config.startTime :
                                  this.currentOverlay.config.start;
                 if (currentTime >= startTime && currentTime <= startTime + this.currentOverlay.config.duration) {
-                    const ctx = this.currentOverlay.canvas.getContext('2d');
-                    this.drawOverlayOnCanvas(ctx, this.currentOverlay.image, this.currentOverlay.config,
-                        this.currentOverlay.canvas.width, this.currentOverlay.canvas.height);
+                    this.redrawCurrentOverlay();
                 }
             }
         });
@@ -929,6 +995,11 @@ class OverlayManager {
             // Primeiro, remover qualquer overlay existente
             this.removeExistingOverlay();
 
+            if (overlayData?.type === 'text' && overlayData.text) {
+                this.applyRealTimeOverlay(null, overlayData);
+                return;
+            }
+
             if (!overlayData || !overlayData.image) {
                 console.log('DEBUG - OverlayManager: Nenhum overlay para processar');
                 return;
@@ -1003,11 +1074,15 @@ class OverlayManager {
                 canvasHeight = canvasHeight || 360;
             }
 
+            if (config.type === 'text') {
+                return this.drawTextOverlay(ctx, config, canvasWidth, canvasHeight);
+            }
+
             // Usar utilitários de cálculo se disponíveis (PRIORIDADE)
             let dimensions, position;
             if (typeof OverlayUtils !== 'undefined') {
                 dimensions = OverlayUtils.calculateOverlayDimensions(config, { width: canvasWidth, height: canvasHeight });
-                position = OverlayUtils.calculatePosition(config.position, dimensions, { width: canvasWidth, height: canvasHeight });
+                position = OverlayUtils.calculatePosition(config.position, dimensions, { width: canvasWidth, height: canvasHeight }, config.placement);
             } else {
                 // Fallback para cálculo local (COMPATIBILIDADE)
                 const size = config.size || 50;
@@ -1042,13 +1117,19 @@ class OverlayManager {
             ctx.imageSmoothingQuality = 'high';
 
             // Aplicar opacidade com validação
-            const opacity = Math.max(0, Math.min(1, config.opacity || 1));
+            let box = { x: position.x, y: position.y, width: dimensions.width, height: dimensions.height };
+            let opacity = Math.max(0, Math.min(1, config.opacity || 1));
+            if (typeof OverlayUtils !== 'undefined') {
+                const animation = OverlayUtils.getOverlayAnimation(config, this.videoPlayer ? this.videoPlayer.currentTime : 0);
+                box = OverlayUtils.applyAnimationToBox(box, animation, { width: canvasWidth, height: canvasHeight });
+                opacity = animation.opacity;
+            }
             const previousAlpha = ctx.globalAlpha;
             ctx.globalAlpha = opacity;
 
             // Tentar desenhar imagem
             try {
-                ctx.drawImage(overlayImage, position.x, position.y, dimensions.width, dimensions.height);
+                ctx.drawImage(overlayImage, box.x, box.y, box.width, box.height);
                 console.log('✅ Overlay desenhado com sucesso');
             } catch (drawError) {
                 console.warn('❌ Erro ao desenhar imagem no canvas:', drawError);
@@ -1058,11 +1139,350 @@ class OverlayManager {
             // Restaurar opacidade
             ctx.globalAlpha = previousAlpha;
 
+            return box;
         } catch (error) {
             console.error('Erro ao desenhar overlay:', error);
         }
     }
 
+    /**
+     * Desenha um overlay de texto: caixa de fundo opcional e linhas alinhadas à esquerda, no grid de 9 posições
+     */
+    drawTextOverlay(ctx, config, canvasWidth, canvasHeight) {
+        const canvasSize = { width: canvasWidth, height: canvasHeight };
+        const animation = OverlayUtils.getOverlayAnimation(config, this.videoPlayer ? this.videoPlayer.currentTime : 0);
+        const baseLayout = OverlayUtils.calculateTextLayout(ctx, config.text, canvasSize);
+        const basePosition = OverlayUtils.calculatePosition(config.position, baseLayout, canvasSize, config.placement);
+        const position = OverlayUtils.applyAnimationToBox(
+            { ...basePosition, width: baseLayout.width, height: baseLayout.height }, animation, canvasSize);
+        // Escala do keyframe aumenta a fonte, não estica o texto
+        const layout = animation.scale === 1
+            ? baseLayout
+            : OverlayUtils.calculateTextLayout(ctx, { ...config.text, fontSize: (config.text.fontSize || 6) * animation.scale }, canvasSize);
+
+        const previousAlpha = ctx.globalAlpha;
+        ctx.globalAlpha = animation.opacity;
+
+        if (config.text.background) {
+            ctx.fillStyle = config.text.background;
+            ctx.fillRect(position.x, position.y, layout.width, layout.height);
+        }
+
+        ctx.font = layout.font;
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = config.text.color || '#ffffff';
+        layout.lines.forEach((line, i) => {
+            // Meia entrelinha acima de cada linha, como o line-height do CSS
+            const lineTop = position.y + layout.padding + i * layout.lineHeight + (layout.lineHeight - layout.fontPx) / 2;
+            ctx.fillText(line, position.x + layout.padding, lineTop);
+        });
+
+        ctx.globalAlpha = previousAlpha;
+        return { x: position.x, y: position.y, width: layout.width, height: layout.height };
+    }
+
+    /**
+     * Moldura com alças nos cantos (vídeo pausado) e linhas-guia ativas durante o arrasto
+     */
+    drawPlacementGuides(ctx, box, guides) {
+        const handle = PLACEMENT_HANDLE_SIZE;
+        ctx.save();
+        ctx.strokeStyle = '#3b82f6';
+        ctx.lineWidth = 1;
+
+        ctx.setLineDash([4, 3]);
+        guides.forEach(guide => {
+            ctx.beginPath();
+            if (guide.axis === 'x') {
+                ctx.moveTo(guide.value, 0);
+                ctx.lineTo(guide.value, ctx.canvas.height);
+            } else {
+                ctx.moveTo(0, guide.value);
+                ctx.lineTo(ctx.canvas.width, guide.value);
+            }
+            ctx.stroke();
+        });
+
+        ctx.setLineDash([]);
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+        ctx.fillStyle = '#ffffff';
+        [[box.x, box.y], [box.x + box.width, box.y], [box.x, box.y + box.height], [box.x + box.width, box.y + box.height]]
+            .forEach(([x, y]) => {
+                ctx.fillRect(x - handle / 2, y - handle / 2, handle, handle);
+                ctx.strokeRect(x - handle / 2, y - handle / 2, handle, handle);
+            });
+        ctx.restore();
+    }
+
+    /**
+     * Redesenha o overlay atual com a configuração em memória (usado durante o arrasto)
+     */
+    redrawCurrentOverlay() {
+        const overlay = this.currentOverlay;
+        if (!overlay || !overlay.canvas) return;
+
+        const ctx = overlay.canvas.getContext('2d');
+        ctx.clearRect(0, 0, overlay.canvas.width, overlay.canvas.height);
+        overlay.box = this.drawOverlayOnCanvas(ctx, overlay.image, overlay.config, overlay.canvas.width, overlay.canvas.height);
+        if (overlay.box && this.videoPlayer.paused) {
+            this.drawPlacementGuides(ctx, overlay.box, this.placementDrag ? this.placementDrag.guides : []);
+        }
+    }
+
+    /**
+     * Arrastar (mover) e as alças dos cantos (redimensionar) com o vídeo pausado.
+     * Os eventos ficam no container do vídeo: o canvas não recebe cliques e o vídeo continua clicável fora do overlay.
+     */
+    setupPlacementInteraction() {
+        const container = this.videoPlayer?.parentElement;
+        if (!container) return;
+
+        const toCanvasPoint = (event) => {
+            const rect = this.currentOverlay.canvas.getBoundingClientRect();
+            return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        };
+        const getHit = (event) => {
+            if (!this.currentOverlay?.box || !this.videoPlayer.paused) return null;
+            // Com posição ou escala nos keyframes a caixa desenhada é a animada, não a posição base
+            const keyframes = this.currentOverlay.config.keyframes || [];
+            if (keyframes.some(keyframe => ['x', 'y', 'scale'].some(key => Number.isFinite(keyframe[key])))) return null;
+            return this.getPlacementHit(toCanvasPoint(event), this.currentOverlay.box);
+        };
+
+        container.addEventListener('pointerdown', (event) => {
+            const hit = event.button === 0 ? getHit(event) : null;
+            if (!hit) return;
+
+            event.preventDefault();
+            event.stopPropagation();
+            container.setPointerCapture(event.pointerId);
+            this.placementDrag = {
+                mode: hit,
+                origin: toCanvasPoint(event),
+                startBox: { ...this.currentOverlay.box },
+                startConfig: { ...this.currentOverlay.config },
+                guides: []
+            };
+        });
+
+        container.addEventListener('pointermove', (event) => {
+            if (!this.placementDrag) {
+                const hit = getHit(event);
+                container.style.cursor = !hit ? '' : hit === 'move' ? 'move' : `${hit}-resize`;
+                return;
+            }
+            if (!this.currentOverlay) {
+                this.placementDrag = null;
+                return;
+            }
+
+            const canvas = this.currentOverlay.canvas;
+            const canvasSize = { width: canvas.width, height: canvas.height };
+            // Alt desliga o encaixe; Shift libera a proporção das imagens
+            const { box, guides } = this.computePlacementBox(toCanvasPoint(event), canvasSize, !event.altKey, event.shiftKey);
+            this.placementDrag.guides = guides;
+            this.currentOverlay.config = this.applyPlacementToConfig(this.placementDrag.startConfig, box, canvasSize);
+            this.redrawCurrentOverlay();
+        });
+
+        const finishDrag = (event) => {
+            if (!this.placementDrag) return;
+            if (container.hasPointerCapture(event.pointerId)) {
+                container.releasePointerCapture(event.pointerId);
+            }
+            this.placementDrag = null;
+            this.commitPlacement();
+            this.redrawCurrentOverlay();
+        };
+        container.addEventListener('pointerup', finishDrag);
+        container.addEventListener('pointercancel', finishDrag);
+    }
+
+    // 'nw' | 'ne' | 'sw' | 'se' nas alças, 'move' dentro da caixa
+    getPlacementHit(point, box) {
+        const tolerance = PLACEMENT_HANDLE_SIZE;
+        const corners = {
+            nw: [box.x, box.y],
+            ne: [box.x + box.width, box.y],
+            sw: [box.x, box.y + box.height],
+            se: [box.x + box.width, box.y + box.height]
+        };
+        const corner = Object.keys(corners).find(key =>
+            Math.abs(point.x - corners[key][0]) <= tolerance && Math.abs(point.y - corners[key][1]) <= tolerance);
+        if (corner) return corner;
+
+        const inside = point.x >= box.x && point.x <= box.x + box.width && point.y >= box.y && point.y <= box.y + box.height;
+        return inside ? 'move' : null;
+    }
+
+    /**
+     * Nova caixa a partir do ponteiro: mover encaixa bordas e centro nas linhas-guia;
+     * redimensionar encaixa o canto arrastado e mantém o canto oposto fixo
+     */
+    computePlacementBox(point, canvasSize, snap, freeAspect) {
+        const { mode, origin, startBox, startConfig } = this.placementDrag;
+        const lines = OverlayUtils.getSnapLines(canvasSize);
+        const threshold = snap ? PLACEMENT_SNAP_DISTANCE : 0;
+        const box = { ...startBox };
+
+        if (mode === 'move') {
+            box.x = Math.max(0, Math.min(canvasSize.width - box.width, startBox.x + point.x - origin.x));
+            box.y = Math.max(0, Math.min(canvasSize.height - box.height, startBox.y + point.y - origin.y));
+            box.x += OverlayUtils.findSnapOffset([box.x, box.x + box.width / 2, box.x + box.width], lines.x, threshold);
+            box.y += OverlayUtils.findSnapOffset([box.y, box.y + box.height / 2, box.y + box.height], lines.y, threshold);
+        } else {
+            const anchorX = mode.includes('w') ? startBox.x + startBox.width : startBox.x;
+            const anchorY = mode.includes('n') ? startBox.y + startBox.height : startBox.y;
+            const cornerX = point.x + OverlayUtils.findSnapOffset([point.x], lines.x, threshold);
+            const cornerY = point.y + OverlayUtils.findSnapOffset([point.y], lines.y, threshold);
+            const minSize = PLACEMENT_HANDLE_SIZE * 2;
+
+            box.width = Math.max(minSize, Math.abs(cornerX - anchorX));
+            // Texto sempre escala por inteiro (tamanho da fonte)
+            box.height = freeAspect && startConfig.type !== 'text'
+                ? Math.max(minSize, Math.abs(cornerY - anchorY))
+                : box.width * (startBox.height / startBox.width);
+            box.x = mode.includes('w') ? anchorX - box.width : anchorX;
+            box.y = mode.includes('n') ? anchorY - box.height : anchorY;
+        }
+
+        // Guias exibidas: as linhas em que alguma borda ou o centro da caixa ficou encostado
+        const guides = [];
+        lines.x.forEach(value => {
+            if ([box.x, box.x + box.width / 2, box.x + box.width].some(edge => Math.abs(edge - value) < 0.5)) guides.push({ axis: 'x', value });
+        });
+        lines.y.forEach(value => {
+            if ([box.y, box.y + box.height / 2, box.y + box.height].some(edge => Math.abs(edge - value) < 0.5)) guides.push({ axis: 'y', value });
+        });
+        return { box, guides };
+    }
+
+    // Texto redimensionado muda a fonte; imagens guardam também o tamanho em % da largura
+    applyPlacementToConfig(config, box, canvasSize) {
+        const placement = OverlayUtils.toPlacement(box, canvasSize);
+        const updated = { ...config, position: 'custom', placement };
+        if (config.type === 'text') {
+            const scale = box.height / this.placementDrag.startBox.height;
+            updated.text = { ...config.text, fontSize: Number(((config.text.fontSize || 6) * scale).toFixed(2)) };
+        } else {
+            updated.size = Math.round(placement.width * 100);
+        }
+        return updated;
+    }
+
+    commitPlacement() {
+        const overlayId = this.currentOverlay?.overlayId;
+        if (typeof OverlayState === 'undefined' || !overlayId) return;
+
+        const { position, placement, size, text } = this.currentOverlay.config;
+        const update = () => OverlayState.updateOverlay(overlayId, { position, placement, size, text });
+        if (typeof HistoryManager !== 'undefined') {
+            HistoryManager.track('Posicionar overlay', ['overlays'], update);
+        } else {
+            update();
+        }
+        if (typeof currentProject !== 'undefined' && currentProject) currentProject.isDirty = true;
+    }
+
+    getOverlayType() {
+        return document.getElementById('overlayType')?.value === 'text' ? 'text' : 'image';
+    }
+
+    /**
+     * Alterna os campos do modal entre overlay de imagem e de texto
+     */
+    setOverlayType(type) {
+        const overlayType = document.getElementById('overlayType');
+        if (overlayType) overlayType.value = type;
+        document.querySelectorAll('#overlayModal [data-overlay-type]').forEach(element => {
+            element.style.display = element.dataset.overlayType === type ? '' : 'none';
+        });
+    }
+
+    hasOverlaySource() {
+        if (this.getOverlayType() === 'text') {
+            return Boolean(document.getElementById('overlayTextContent')?.value.trim());
+        }
+        return Boolean(this.selectedImageFile);
+    }
+
+    readTextFields() {
+        const hasBox = document.getElementById('overlayTextBox')?.checked;
+        return {
+            content: document.getElementById('overlayTextContent').value.trim(),
+            fontFamily: document.getElementById('overlayTextFont').value,
+            fontSize: parseFloat(document.getElementById('overlayTextSize').value) || 6,
+            color: document.getElementById('overlayTextColor').value,
+            background: hasBox ? document.getElementById('overlayTextBoxColor').value : null
+        };
+    }
+
+    // Fade em segundos; keyframes com x/y/escala em % na tela e normalizados (0–1) no estado
+    readAnimationFields() {
+        const readPercent = (input) => input.value === '' ? null : parseFloat(input.value) / 100;
+        const keyframes = Array.from(document.querySelectorAll('#overlayKeyframes .overlay-keyframe-row'))
+            .map(row => {
+                const [time, x, y, scale, opacity] = row.querySelectorAll('input');
+                const keyframe = { time: Math.max(0, parseFloat(time.value) || 0) };
+                [['x', x], ['y', y], ['scale', scale], ['opacity', opacity]].forEach(([key, input]) => {
+                    const value = readPercent(input);
+                    if (Number.isFinite(value)) keyframe[key] = value;
+                });
+                return keyframe;
+            })
+            .filter(keyframe => Object.keys(keyframe).length > 1)
+            .sort((a, b) => a.time - b.time);
+
+        return {
+            fadeIn: Math.max(0, parseFloat(document.getElementById('overlayFadeIn')?.value) || 0),
+            fadeOut: Math.max(0, parseFloat(document.getElementById('overlayFadeOut')?.value) || 0),
+            keyframes
+        };
+    }
+
+    addKeyframeRow(keyframe = {}) {
+        const container = document.getElementById('overlayKeyframes');
+        if (!container) return;
+
+        const toPercent = (value) => Number.isFinite(value) ? String(Math.round(value * 100)) : '';
+        const row = document.createElement('div');
+        row.className = 'overlay-keyframe-row';
+        [
+            ['Tempo (s)', keyframe.time ?? 0, '0.1'],
+            ['X (%)', toPercent(keyframe.x), '1'],
+            ['Y (%)', toPercent(keyframe.y), '1'],
+            ['Escala (%)', toPercent(keyframe.scale), '1'],
+            ['Opacidade (%)', toPercent(keyframe.opacity), '1']
+        ].forEach(([placeholder, value, step]) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'input';
+            input.min = '0';
+            input.step = step;
+            input.placeholder = placeholder;
+            input.title = placeholder;
+            input.value = value;
+            row.appendChild(input);
+        });
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'btn btn-ghost btn-icon';
+        removeButton.textContent = '×';
+        removeButton.title = 'Remover keyframe';
+        removeButton.addEventListener('click', () => row.remove());
+        row.appendChild(removeButton);
+
+        container.appendChild(row);
+    }
+
+    // Na trilha, overlays de texto mostram o começo do texto
+    getOverlayLabel(overlayConfig, number) {
+        if (overlayConfig.type !== 'text') return `Overlay ${number}`;
+        const content = overlayConfig.text.content.replace(/\s+/g, ' ');
+        return `Texto: ${content.length > 20 ? `${content.slice(0, 20)}…` : content}`;
+    }
+
     /**
      * Remove o overlay existente com limpeza completa de recursos
      */
@@ -1190,6 +1610,17 @@ class OverlayManager {
             overlayOpacity.value = '1';
             if (overlayOpacityValue) overlayOpacityValue.textContent = '100%';
         }
+
+        const overlayTextContent = document.getElementById('overlayTextContent');
+        if (overlayTextContent) overlayTextContent.value = '';
+        this.setOverlayType('image');
+
+        ['overlayFadeIn', 'overlayFadeOut'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        const overlayKeyframes = document.getElementById('overlayKeyframes');
+        if (overlayKeyframes) overlayKeyframes.innerHTML = '';
     }
 
     /**
@@ -1266,7 +1697,7 @@ class OverlayManager {
             // Atualizar estado do botão Aplicar
             const applyButton = document.getElementById('applyImage');
             if (applyButton) {
-                const isValid = startValid && durationValid && this.selectedImageFile;
+                const isValid = startValid && durationValid && this.hasOverlaySource();
                 applyButton.disabled = !isValid;
                 applyButton.style.opacity = isValid ? '1' : '0.5';
             }
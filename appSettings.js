@@ -0,0 +1,90 @@
+// appSettings.js
+// Preferências da aplicação gravadas em <userData>/settings.json, compartilhadas entre main.js e o renderer
+
+const fs = require('fs');
+const path = require('path');
+
+const SETTINGS_FILE_NAME = 'settings.json';
+
+const ENCODING_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+// Cada preferência declara o valor padrão e como sanear o que vier do arquivo ou da interface
+const settingsDefinition = {
+  maxRecentProjects: { default: 5, type: 'integer', minimum: 1, maximum: 20 },
+  minSelectionDuration: { default: 0.5, type: 'number', minimum: 0.1, maximum: 10 },
+  defaultAlternatives: { default: 5, type: 'integer', minimum: 4, maximum: 5 },
+  maxQuestions: { default: 300, type: 'integer', minimum: 1, maximum: 9999 },
+  // Regras dos marcadores: A antes de B antes de C..., distância mínima (s) e dentro da duração do vídeo
+  markerStrictOrder: { default: true, type: 'boolean' },
+  markerMinGap: { default: 0.5, type: 'number', minimum: 0, maximum: 10 },
+  markerWithinDuration: { default: true, type: 'boolean' },
+  encodingPreset: { default: 'veryfast', type: 'string', enum: ENCODING_PRESETS },
+  encodingCrf: { default: 23, type: 'integer', minimum: 0, maximum: 51 },
+  // Vazio usa a pasta temporária do sistema (<tmp>/AVALibras)
+  tempDirectory: { default: '', type: 'string' }
+};
+
+const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(settingsDefinition).map(([key, definition]) => [key, definition.default])
+);
+
+function sanitizeValue(value, definition) {
+  if (definition.type === 'boolean') {
+    // Os selects da interface enviam 'true'/'false'
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return definition.default;
+  }
+
+  if (definition.type === 'string') {
+    if (typeof value !== 'string') return definition.default;
+    if (definition.enum && !definition.enum.includes(value)) return definition.default;
+    return value.trim();
+  }
+
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number)) return definition.default;
+  const rounded = definition.type === 'integer' ? Math.round(number) : number;
+  return Math.min(definition.maximum, Math.max(definition.minimum, rounded));
+}
+
+// Chaves desconhecidas são descartadas e valores inválidos voltam ao padrão
+function sanitizeSettings(settings) {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  return Object.fromEntries(Object.entries(settingsDefinition).map(([key, definition]) => [
+    key,
+    source[key] === undefined ? definition.default : sanitizeValue(source[key], definition)
+  ]));
+}
+
+function getSettingsPath(userDataDir) {
+  return path.join(userDataDir, SETTINGS_FILE_NAME);
+}
+
+// Leitura síncrona: main.js precisa das preferências antes de criar a janela
+function loadSettings(userDataDir) {
+  try {
+    const content = fs.readFileSync(getSettingsPath(userDataDir), 'utf-8');
+    return sanitizeSettings(JSON.parse(content));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('Preferências inválidas, usando valores padrão:', error.message);
+    }
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+async function saveSettings(userDataDir, settings) {
+  const sanitized = sanitizeSettings(settings);
+  await fs.promises.mkdir(userDataDir, { recursive: true });
+  await fs.promises.writeFile(getSettingsPath(userDataDir), JSON.stringify(sanitized, null, 2), 'utf-8');
+  return sanitized;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  ENCODING_PRESETS,
+  sanitizeSettings,
+  loadSettings,
+  saveSettings
+};
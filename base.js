@@ -142,16 +142,7 @@ const OverlayState = {
         // Atualizar ou adicionar overlays
         this.overlays.forEach(overlay => {
             const projectOverlay = currentOverlaysMap.get(overlay.id);
-            const overlayData = {
-                id: overlay.id,
-                label: overlay.label || `Overlay ${overlay.id}`,
-                start: overlay.startTime,
-                duration: overlay.duration,
-                position: overlay.position,
-                size: overlay.size,
-                opacity: overlay.opacity,
-                imageFile: overlay.image
-            };
+            const overlayData = this.toProjectOverlay(overlay);
 
             if (projectOverlay) {
                 // Atualizar overlay existente se houver mudanças
@@ -173,6 +164,52 @@ const OverlayState = {
         console.log(`⚡ SyncWithProject otimizado: ${endTime - startTime.toFixed(2)}ms, ${this.overlays.length} overlays, ${removedIds.length} removidos`);
     },
 
+    // Formato gravado no projeto e nas questões (start/imageFile) a partir do formato do editor (startTime/image)
+    toProjectOverlay(overlay) {
+        return {
+            id: overlay.id,
+            type: overlay.type || 'image',
+            label: overlay.label || `Overlay ${overlay.id}`,
+            start: overlay.startTime,
+            duration: overlay.duration,
+            position: overlay.position,
+            placement: overlay.placement || null,
+            size: overlay.size,
+            opacity: overlay.opacity,
+            fadeIn: overlay.fadeIn || 0,
+            fadeOut: overlay.fadeOut || 0,
+            keyframes: overlay.keyframes || [],
+            imageFile: overlay.image || null,
+            text: overlay.text || null
+        };
+    },
+
+    fromProjectOverlay(data) {
+        return {
+            id: data.id,
+            type: data.type || 'image',
+            label: data.label,
+            image: data.imageFile,
+            text: data.text || null,
+            startTime: data.start,
+            duration: data.duration,
+            position: data.position,
+            placement: data.placement || null,
+            size: data.size,
+            opacity: data.opacity,
+            fadeIn: data.fadeIn || 0,
+            fadeOut: data.fadeOut || 0,
+            keyframes: data.keyframes || []
+        };
+    },
+
+    // Substitui os overlays do editor pelos de uma questão (lista vazia limpa o editor)
+    loadOverlays(projectOverlays) {
+        this.overlays = (projectOverlays || []).map(data => this.fromProjectOverlay(data));
+        this.activeOverlay = null;
+        this.syncWithProject();
+    },
+
     // Sincronização de estado do vídeo
     updateVideoState(videoPlayer) {
         if (videoPlayer) {
@@ -246,7 +283,12 @@ const OverlayUtils = {
             return false;
         }
 
-        if (!config.imageFile) {
+        if (config.type === 'text') {
+            if (!config.text || !String(config.text.content || '').trim()) {
+                console.warn('❌ Config de overlay de texto sem conteúdo');
+                return false;
+            }
+        } else if (!config.imageFile) {
             console.warn('❌ Config de overlay sem imageFile');
             return false;
         }
@@ -307,6 +349,11 @@ const OverlayUtils = {
     },
 
     calculateOverlayDimensions(config, canvasSize) {
+        const placement = this.getCustomPlacement(config);
+        if (placement) {
+            return { width: placement.width * canvasSize.width, height: placement.height * canvasSize.height };
+        }
+
         const size = config.size || 50;
         const overlayWidth = (canvasSize.width * size) / 100;
 
@@ -321,7 +368,11 @@ const OverlayUtils = {
         return { width: overlayWidth, height: overlayHeight };
     },
 
-    calculatePosition(position, size, containerSize) {
+    calculatePosition(position, size, containerSize, placement = null) {
+        if (position === 'custom' && placement) {
+            return { x: placement.x * containerSize.width, y: placement.y * containerSize.height };
+        }
+
         const padding = Math.min(20, Math.min(containerSize.width, containerSize.height) * 0.05);
         let x, y;
 
@@ -369,6 +420,114 @@ const OverlayUtils = {
         return { x, y };
     },
 
+    // Caixa de um overlay de texto: fonte em % da altura do vídeo, para o texto acompanhar a escala da pré-visualização
+    calculateTextLayout(ctx, text, canvasSize) {
+        const fontPx = (canvasSize.height * (text.fontSize || 6)) / 100;
+        const lineHeight = fontPx * 1.2;
+        const padding = text.background ? fontPx * 0.3 : 0;
+        const lines = String(text.content || '').split('\n');
+
+        ctx.font = `${fontPx}px "${text.fontFamily || 'Arial'}"`;
+        const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+
+        return {
+            font: ctx.font,
+            fontPx,
+            lineHeight,
+            padding,
+            lines,
+            width: textWidth + padding * 2,
+            height: lines.length * lineHeight + padding * 2
+        };
+    },
+
+    // Posição livre: x/y/width/height normalizados (0–1) no quadro; as 9 posições nomeadas são predefinições
+    getCustomPlacement(config) {
+        return config && config.position === 'custom' && config.placement ? config.placement : null;
+    },
+
+    toPlacement(box, canvasSize) {
+        const round = value => Number(value.toFixed(4));
+        return {
+            x: round(Math.max(0, Math.min(1, box.x / canvasSize.width))),
+            y: round(Math.max(0, Math.min(1, box.y / canvasSize.height))),
+            width: round(Math.max(0.01, Math.min(1, box.width / canvasSize.width))),
+            height: round(Math.max(0.01, Math.min(1, box.height / canvasSize.height)))
+        };
+    },
+
+    // Linhas-guia do arrasto: recuo das bordas e centro, as mesmas referências das posições predefinidas
+    getSnapLines(canvasSize) {
+        const padding = Math.min(20, Math.min(canvasSize.width, canvasSize.height) * 0.05);
+        return {
+            x: [padding, canvasSize.width / 2, canvasSize.width - padding],
+            y: [padding, canvasSize.height / 2, canvasSize.height - padding]
+        };
+    },
+
+    // Menor deslocamento (dentro de `threshold`) que encosta algum dos valores em uma linha-guia
+    findSnapOffset(values, lines, threshold) {
+        let best = null;
+        values.forEach(value => lines.forEach(line => {
+            const offset = line - value;
+            if (Math.abs(offset) <= threshold && (best === null || Math.abs(offset) < Math.abs(best))) {
+                best = offset;
+            }
+        }));
+        return best || 0;
+    },
+
+    // Animação: fadeIn/fadeOut (s) e keyframes { time (s desde o início do overlay), x, y (0–1), scale, opacity }.
+    // Cada propriedade é interpolada entre os keyframes que a definem e fica constante antes do primeiro e após o último.
+    interpolateKeyframes(keyframes, property, time) {
+        const points = (keyframes || [])
+            .filter(keyframe => Number.isFinite(keyframe[property]))
+            .sort((a, b) => a.time - b.time);
+        if (points.length === 0) return null;
+        if (time <= points[0].time) return points[0][property];
+
+        for (let i = 1; i < points.length; i++) {
+            if (time < points[i].time) {
+                const previous = points[i - 1];
+                const progress = (time - previous.time) / (points[i].time - previous.time);
+                return previous[property] + (points[i][property] - previous[property]) * progress;
+            }
+        }
+        return points[points.length - 1][property];
+    },
+
+    hasOverlayAnimation(config) {
+        return Boolean(config && (config.fadeIn > 0 || config.fadeOut > 0 || (config.keyframes && config.keyframes.length > 0)));
+    },
+
+    getOverlayAnimation(config, currentTime) {
+        const startTime = config.startTime !== undefined ? config.startTime : config.start;
+        const localTime = currentTime - (startTime || 0);
+
+        let fade = 1;
+        if (config.fadeIn > 0) fade = Math.min(fade, localTime / config.fadeIn);
+        if (config.fadeOut > 0) fade = Math.min(fade, (config.duration - localTime) / config.fadeOut);
+
+        // Opacidade 0 é tratada como 1, como em drawOverlayOnCanvas
+        const opacity = this.interpolateKeyframes(config.keyframes, 'opacity', localTime) ?? (config.opacity || 1);
+        const scale = this.interpolateKeyframes(config.keyframes, 'scale', localTime);
+        return {
+            x: this.interpolateKeyframes(config.keyframes, 'x', localTime),
+            y: this.interpolateKeyframes(config.keyframes, 'y', localTime),
+            scale: scale === null ? 1 : Math.max(0.01, scale),
+            opacity: Math.max(0, Math.min(1, opacity * Math.max(0, Math.min(1, fade))))
+        };
+    },
+
+    // x/y dos keyframes substituem o canto superior esquerdo; a escala é aplicada a partir do centro da caixa
+    applyAnimationToBox(box, animation, canvasSize) {
+        const x = animation.x === null ? box.x : animation.x * canvasSize.width;
+        const y = animation.y === null ? box.y : animation.y * canvasSize.height;
+        const width = box.width * animation.scale;
+        const height = box.height * animation.scale;
+        return { x: x + (box.width - width) / 2, y: y + (box.height - height) / 2, width, height };
+    },
+
     generateOverlayId() {
         return `overlay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     },
@@ -462,7 +621,7 @@ const VisualStateManager = {
         },
 
         // Estados de marcadores e overlays
-        markers: new Map(), // key: id, value: { position, selected, dragging, disabled }
+        markers: new Map(), // key: id, value: { position, selected, dragging, disabled, invalid, violation }
         overlays: new Map(), // key: id, value: { left, width, active, dragging, disabled }
 
         // Estados globais
@@ -1063,6 +1222,12 @@ const VisualStateManager = {
             this.toggleClass(markerEl, 'selected', markerData.selected);
             this.toggleClass(markerEl, 'dragging', markerData.dragging);
             this.toggleClass(markerEl, 'disabled', markerData.disabled);
+            this.toggleClass(markerEl, 'invalid', markerData.invalid);
+            if (markerData.violation !== undefined) {
+                // Tooltip mostra o tempo e, se houver, a regra violada
+                const baseTitle = `${markerEl.dataset.label} - ${formatTimeWithMilliseconds(Number(markerEl.dataset.time))}`;
+                markerEl.setAttribute('title', markerData.violation ? `${baseTitle} — ${markerData.violation}` : baseTitle);
+            }
         });
     },
 
@@ -1519,15 +1684,112 @@ let currentProject = {
     overlays: []
 };
 
+// Preferências da aplicação: gravadas pelo processo principal em <userData>/settings.json
+const AppSettings = {
+    // Espelha os padrões de appSettings.js para o caso de a leitura falhar
+    values: {
+        maxRecentProjects: 5,
+        minSelectionDuration: 0.5,
+        defaultAlternatives: 5,
+        maxQuestions: 300,
+        markerStrictOrder: true,
+        markerMinGap: 0.5,
+        markerWithinDuration: true,
+        encodingPreset: 'veryfast',
+        encodingCrf: 23,
+        tempDirectory: ''
+    },
+    tempDirectoryInUse: null,
+
+    async load() {
+        if (!window.electronAPI?.getSettings) return this.values;
+        try {
+            const { settings, tempDirectoryInUse } = await window.electronAPI.getSettings();
+            this.values = { ...this.values, ...settings };
+            this.tempDirectoryInUse = tempDirectoryInUse;
+            console.log('⚙️ Preferências carregadas:', this.values);
+        } catch (error) {
+            console.warn('⚠️ Não foi possível carregar as preferências, usando padrões:', error);
+        }
+        return this.values;
+    },
+
+    get(key) {
+        return this.values[key];
+    },
+
+    // O processo principal saneia os valores; o renderer passa a usar o que foi efetivamente gravado
+    async save(changes) {
+        const { settings, tempDirectoryInUse } = await window.electronAPI.saveSettings(changes);
+        this.values = settings;
+        this.tempDirectoryInUse = tempDirectoryInUse;
+        return settings;
+    }
+};
+
+// Regras de posicionamento dos marcadores, configuráveis nas preferências.
+// Retorna [{ alternative, rule, message }]; sem `duration` conhecida a regra do fim do vídeo é ignorada.
+function getMarkerRuleViolations(markers, alternatives, duration = null) {
+    const violations = [];
+    const entries = alternatives
+        .filter(alternative => Number.isFinite(Number(markers?.[alternative])))
+        .map(alternative => ({ alternative, time: Number(markers[alternative]) }));
+
+    if (AppSettings.get('markerWithinDuration')) {
+        entries.forEach(({ alternative, time }) => {
+            if (time < 0 || (duration && time > duration)) {
+                violations.push({
+                    alternative,
+                    rule: 'range',
+                    message: `Marcador ${alternative} (${formatTime(time)}) fora da duração do vídeo (${formatTime(duration || 0)})`
+                });
+            }
+        });
+    }
+
+    if (AppSettings.get('markerStrictOrder')) {
+        entries.forEach(({ alternative, time }, i) => {
+            const previous = entries[i - 1];
+            if (previous && time <= previous.time) {
+                violations.push({
+                    alternative,
+                    rule: 'order',
+                    message: `Marcador ${alternative} (${formatTime(time)}) deve ser posterior ao marcador ${previous.alternative} (${formatTime(previous.time)})`
+                });
+            }
+        });
+    }
+
+    const minGap = AppSettings.get('markerMinGap');
+    if (minGap > 0) {
+        const byTime = [...entries].sort((a, b) => a.time - b.time);
+        byTime.forEach(({ alternative, time }, i) => {
+            const previous = byTime[i - 1];
+            // Margem de 1 ms para tempos arredondados em normalizeMarkers
+            if (previous && time - previous.time < minGap - 0.001) {
+                violations.push({
+                    alternative,
+                    rule: 'gap',
+                    message: `Marcadores ${previous.alternative} e ${alternative} estão a ${(time - previous.time).toFixed(2)}s um do outro (mínimo ${minGap}s)`
+                });
+            }
+        });
+    }
+
+    return violations;
+}
+
 // Sistema de projetos recentes
 let recentProjects = JSON.parse(localStorage.getItem('avalibras_recent_projects') || '[]');
-const MAX_RECENT_PROJECTS = 5;
 
 let activeQuestionIndex = -1;
 let currentVideoURL = null; // URL (blob ou file) do vídeo atualmente no player
 let tempCorrectAnswer = null; // Gabarito temporário para modo de criação
+let currentAlternativesCount = null; // Alternativas da questão em edição (null = padrão do projeto)
+let currentQuestionType = null; // Tipo da questão em edição (null = múltipla escolha)
 
 let videoPaths = new Map(); 
+let currentProjectPath = null; // Caminho do .avaproject em disco (null até o primeiro salvamento)
 
 // ---------------------------------------------------------------------------------
 // 2. CLASSES DE GERENCIAMENTO
@@ -1544,38 +1806,52 @@ class QuestionManager {
         return maxIndex + 1;
     }
 
-    addQuestion(videoUrl, markers, correctAnswer) {
-        if (this.project.questions.length >= 90) {
-            throw new Error("O limite de 90 questões por projeto foi atingido.");
-        }
-        this.validateQuestion({ video: videoUrl, markers, correctAnswer });
-        const questionNumber = this._getNextQuestionNumber();
-
-        const newQuestion = {
-            label: `Questão ${questionNumber.toString().padStart(2, "0")}`,
-            small_label: questionNumber.toString().padStart(2, "0"),
-            video: videoUrl,
-            markers: this.normalizeMarkers(markers),
-            correctAnswer: correctAnswer,
-            originalIndex: questionNumber,
-            overlay: null 
-        };
+    // `answer` segue o formato do tipo: letra, lista de letras, ordem das letras ou tempo de resposta
+    addQuestion(videoUrl, markers, answer, { edits = null, segments = null, overlays = [], totalAlternatives = this.project.totalAlternatives, type = 'multiple_choice' } = {}) {
+        if (this.project.questions.length >= getMaxQuestions()) {
+            throw new Error(`O limite de ${getMaxQuestions()} questões por projeto foi atingido.`);
+        }
+        const answerFields = { [QuestionTypes[type].answerField]: answer };
+        this.validateQuestion({ video: videoUrl, markers, type, totalAlternatives, ...answerFields });
+
+        return HistoryManager.track('Adicionar questão', ['questions'], () => {
+            const questionNumber = this._getNextQuestionNumber();
+
+            const newQuestion = {
+                label: `Questão ${questionNumber.toString().padStart(2, "0")}`,
+                small_label: questionNumber.toString().padStart(2, "0"),
+                type: type,
+                video: videoUrl,
+                markers: this.normalizeMarkers(markers),
+                ...answerFields,
+                totalAlternatives: totalAlternatives,
+                originalIndex: questionNumber,
+                overlays: overlays,
+                edits: edits,
+                segments: segments
+            };
 
-        this.project.questions.push(newQuestion);
-        this.project.isDirty = true;
-        return newQuestion;
+            this.project.questions.push(newQuestion);
+            this.project.isDirty = true;
+            return newQuestion;
+        });
     }
 
     updateQuestion(originalIndex, updatedData) {
         const questionToUpdate = this.project.questions.find(q => q.originalIndex === originalIndex);
         if (questionToUpdate) {
             this.validateQuestion(updatedData);
-            Object.assign(questionToUpdate, {
-                ...updatedData,
-                markers: this.normalizeMarkers(updatedData.markers)
+            return HistoryManager.track('Editar questão', ['questions'], () => {
+                Object.assign(questionToUpdate, {
+                    ...updatedData,
+                    markers: this.normalizeMarkers(updatedData.markers)
+                });
+                // Gabaritos de outro tipo (de antes de trocar o tipo da questão) são descartados
+                const answerField = QuestionTypes[getQuestionType(questionToUpdate)].answerField;
+                QUESTION_ANSWER_FIELDS.filter(field => field !== answerField).forEach(field => delete questionToUpdate[field]);
+                this.project.isDirty = true;
+                return questionToUpdate;
             });
-            this.project.isDirty = true;
-            return questionToUpdate;
         }
         return null;
     }
@@ -1583,24 +1859,59 @@ class QuestionManager {
     deleteQuestion(originalIndex) {
         const indexToDelete = this.project.questions.findIndex(q => q.originalIndex === originalIndex);
         if (indexToDelete > -1) {
-            this.project.questions.splice(indexToDelete, 1);
-            this.project.isDirty = true;
+            HistoryManager.track('Excluir questão', ['questions'], () => {
+                this.project.questions.splice(indexToDelete, 1);
+                this.project.isDirty = true;
+            });
             return true;
         }
         return false;
     }
 
+    // Ordem, espaçamento e duração dos marcadores ficam em saveCurrentQuestion e no preflight (getMarkerRuleViolations)
     validateQuestion(question) {
+        const type = getQuestionType(question);
+        const definition = QuestionTypes[type];
+        const answer = getQuestionAnswer(question, type);
+
         if (!question.video) throw new Error("Vídeo é obrigatório.");
         if (!question.markers) throw new Error("Marcadores são obrigatórios.");
-        if (!question.correctAnswer) throw new Error("Gabarito é obrigatório.");
+        if (answer === null || (Array.isArray(answer) && answer.length === 0)) {
+            throw new Error(type === 'open_response' ? "Defina o tempo máximo de resposta." : "Gabarito é obrigatório.");
+        }
 
-        const expectedAlternatives = Array.from({ length: this.project.totalAlternatives }, (_, i) => String.fromCharCode(65 + i));
+        const expectedAlternatives = getAlternativeLetters(getQuestionAlternativesCount(question));
+        if (definition.fixedAlternatives !== undefined && expectedAlternatives.length !== definition.fixedAlternatives) {
+            throw new Error(`Questões do tipo ${definition.label} têm ${definition.fixedAlternatives} alternativas.`);
+        }
         for (const marker of expectedAlternatives) {
             if (question.markers[marker] === undefined || isNaN(question.markers[marker])) {
                 throw new Error(`Marcador para alternativa ${marker} é inválido ou ausente.`);
             }
         }
+
+        switch (type) {
+            case 'multiple_answer':
+                if (!Array.isArray(answer) || answer.some(alt => !expectedAlternatives.includes(alt)) || new Set(answer).size !== answer.length) {
+                    throw new Error("Gabarito inválido: marque alternativas existentes, sem repetir.");
+                }
+                break;
+            case 'ordering':
+                if (!Array.isArray(answer) || answer.length !== expectedAlternatives.length ||
+                    expectedAlternatives.some(alt => !answer.includes(alt))) {
+                    throw new Error(`A ordem correta deve incluir todos os itens (${expectedAlternatives.join(', ')}) uma única vez.`);
+                }
+                break;
+            case 'open_response':
+                if (typeof answer !== 'number' || !(answer > 0)) {
+                    throw new Error("O tempo máximo de resposta deve ser um número positivo de segundos.");
+                }
+                break;
+            default:
+                if (!expectedAlternatives.includes(answer)) {
+                    throw new Error(`Gabarito ${answer} não existe numa questão de ${expectedAlternatives.length} alternativas.`);
+                }
+        }
     }
 
     normalizeMarkers(markers) {
@@ -2182,7 +2493,7 @@ class VideoEditor {
         }
 
         // Validar duração mínima
-        const minSelectionDuration = 0.5; // 0.5 segundos
+        const minSelectionDuration = AppSettings.get('minSelectionDuration');
         if (this.endTime - this.startTime < minSelectionDuration) {
             showNotification(`Selecione um trecho maior que ${minSelectionDuration} segundos.`, 'error');
             return false;
@@ -2191,90 +2502,6 @@ class VideoEditor {
         return true;
     }
 
-    // Método para obter blob do vídeo (do VideoCutter)
-    async getVideoBlob() {
-        return new Promise((resolve) => {
-            if (this.videoPlayer.src.startsWith('blob:')) {
-                fetch(this.videoPlayer.src)
-                    .then(response => response.blob())
-                    .then(resolve)
-                    .catch(() => resolve(null));
-            } else {
-                resolve(null);
-            }
-        });
-    }
-
-    // Método para mostrar diálogo de salvar (do VideoCutter)
-    async showSaveDialog(outputPath) {
-        const saveOptions = {
-            title: 'Salvar vídeo cortado',
-            defaultPath: `video_cortado_${Date.now()}.mp4`,
-            filters: [
-                { name: 'Vídeos MP4', extensions: ['mp4'] },
-                { name: 'Todos os arquivos', extensions: ['*'] }
-            ]
-        };
-
-        const savePath = await window.electronAPI.showSaveDialog(saveOptions);
-        if (savePath && !savePath.canceled) {
-            try {
-                // Ler o arquivo processado e salvá-lo no local escolhido
-                const response = await fetch(`file://${outputPath}`);
-                const blob = await response.blob();
-                const arrayBuffer = await blob.arrayBuffer();
-
-                // Salvar usando a API do Electron
-                await window.electronAPI.saveFile({
-                    filePath: savePath.filePath,
-                    data: Buffer.from(arrayBuffer)
-                });
-
-                showNotification('Vídeo salvo com sucesso!', 'success');
-            } catch (copyError) {
-                console.error('Erro ao salvar arquivo:', copyError);
-                showNotification('Erro ao salvar o arquivo.', 'error');
-            }
-        }
-    }
-
-    // Método para carregar vídeo processado (do VideoCutter)
-    async loadProcessedVideo(outputPath, exitEditor = false) {
-        try {
-            // Criar URL do arquivo para o player
-            const fileUrl = `file://${outputPath.replace(/\\\\/g, '/')}`;
-
-            // Carregar o novo vídeo no player
-            this.videoPlayer.src = fileUrl;
-            this.videoPlayer.load();
-
-            // Aguardar o vídeo carregar e resetar os controles
-            this.videoPlayer.onloadedmetadata = () => {
-                console.log('Novo vídeo carregado:', fileUrl);
-
-                // Resetar tempos de início e fim
-                this.startTime = 0;
-                this.endTime = this.videoPlayer.duration;
-
-                // RESTAURAR elementos da timeline após processamento
-                this.showPlayheadAgain();
-                this.showProgressAgain();
-                console.log('🔄 Elementos restaurados após processamento');
-
-                showNotification('Vídeo carregado automaticamente!', 'success');
-
-                // Sair do modo editor se solicitado
-                if (exitEditor) {
-                    this.exitEditorMode();
-                }
-            };
-
-        } catch (loadError) {
-            console.error('Erro ao carregar vídeo automaticamente:', loadError);
-            showNotification('Vídeo cortado, mas erro ao carregar automaticamente.', 'error');
-        }
-    }
-
     // REMOVIDO: handleDoubleClick (Plano B) - substituído pelo detector específico do Electron (Plano C)
 
     // INICIALIZAR DETECTOR ESPECÍFICO DO ELECTRON (PLANO C)
@@ -3098,75 +3325,31 @@ class VideoEditor {
         }
     }
 
-    async cut() {
+    // Corte não destrutivo: só a lista de trechos mantidos muda; o arquivo original é renderizado uma vez na exportação
+    cut() {
         if (!this.validateSelection()) {
             return;
         }
 
-        // Ocultar elementos da timeline durante processamento
-        this.hidePlayheadCompletely();
-        this.hideProgressCompletely();
-        console.log('🔄 Elementos ocultos para processamento de corte');
-
-        // Obter o caminho do arquivo de vídeo
-        let inputPath = videoPaths.get(currentVideoURL);
-
-        // Se não encontrar caminho no mapa, tentar com blob
-        if (!inputPath && currentVideoURL && currentVideoURL.startsWith('blob:')) {
-            const videoBlob = await this.getVideoBlob();
-            if (!videoBlob) {
-                showNotification('Não foi possível obter o blob do vídeo', 'error');
-                return;
-            }
-
-            const arrayBuffer = await videoBlob.arrayBuffer();
-            const tempFileResult = await window.electronAPI.saveTempFile({
-                buffer: arrayBuffer,
-                extension: '.mp4'
-            });
-
-            if (!tempFileResult) {
-                showNotification('Não foi possível salvar arquivo temporário', 'error');
-                return;
-            }
-
-            inputPath = tempFileResult;
-        }
+        const sourceDuration = this.videoPlayer.duration;
+        const currentRanges = timelineState.currentEdits?.keptRanges || EditDecisionList.create(sourceDuration);
+        const keptRanges = EditDecisionList.removeRange(currentRanges, this.startTime, this.endTime);
 
-        if (!inputPath) {
-            showNotification("Não foi possível encontrar o caminho do vídeo original.", "error");
+        if (EditDecisionList.getKeptDuration(keptRanges) <= 0) {
+            showNotification('Não é possível remover todo o vídeo.', 'error');
             return;
         }
 
-                try {
-            const result = await window.electronAPI.trimVideo({
-                inputPath: inputPath,
-                startTime: this.startTime,
-                endTime: this.endTime
-            });
-
-            if (result.success) {
-                showNotification('Trecho removido com sucesso!', 'success');
+        HistoryManager.track('Cortar vídeo', ['edits'], () => {
+            timelineState.currentEdits = { sourceDuration, keptRanges };
+        });
 
-                // Carregar automaticamente o vídeo cortado no player e sair do modo editor
-                if (result.autoLoad && result.outputPath) {
-                    await this.loadProcessedVideo(result.outputPath, true); // Forçar saída do modo editor
-                } else if (result.outputPath) {
-                    await this.showSaveDialog(result.outputPath);
-                    // Mesmo se salvar manualmente, sair do modo editor
-                    this.setSelectionMode(false, { trigger: 'cut_completed' });
-                }
-            } else {
-                throw new Error(result.error || 'Erro desconhecido');
-            }
-        } catch (error) {
-            console.error('Erro ao cortar vídeo:', error);
-            showNotification(`Erro ao cortar vídeo: ${error.message}`, "error");
-        }
+        renderCutRanges();
+        showNotification('Trecho removido! Clique no trecho cortado na timeline para restaurá-lo.', 'success');
+        this.exitEditorMode();
     }
 }
 
-
 let questionManager = new QuestionManager(currentProject);
 let videoEditor;
 
@@ -3186,6 +3369,8 @@ const timelineState = {
     markerCount: 4,
     overlayCount: 3,
     currentMarkers: {}, // Marcadores dos botões A,B,C,D (unificado com o sistema legado)
+    currentEdits: null, // Lista de trechos mantidos do vídeo em edição (null = vídeo inteiro)
+    currentSegments: null, // Clipes de enunciado e alternativas quando a questão é montada por segmentos
     // Otimização: cache de elementos DOM
     domCache: {
         playhead: null,
@@ -3968,6 +4153,7 @@ function renderMarkers() {
         marker.className = 'marker-item';
         marker.setAttribute('data-number', markerNumber);
         marker.setAttribute('data-label', key);
+        marker.setAttribute('data-marker-id', key);
         marker.setAttribute('data-time', time);
         marker.setAttribute('tabindex', '0');
 
@@ -3983,6 +4169,174 @@ function renderMarkers() {
     }
 
     markersTrack.appendChild(fragment);
+    updateMarkerRuleStates();
+}
+
+// Destaca na trilha os marcadores que violam as regras de ordem, espaçamento ou duração
+function updateMarkerRuleStates() {
+    const duration = document.getElementById('videoPlayer')?.duration;
+    const violations = getMarkerRuleViolations(timelineState.currentMarkers, getEditorAlternatives(), duration);
+
+    const markers = new Map(Object.keys(timelineState.currentMarkers || {}).map(key => {
+        const messages = violations.filter(violation => violation.alternative === key).map(violation => violation.message);
+        return [key, { invalid: messages.length > 0, violation: messages.join('; ') }];
+    }));
+    VisualStateManager.setState({ markers });
+}
+
+// ----- Sugestão automática de marcadores -----
+
+// Sugestões ficam na trilha como marcadores tracejados até serem aceitas; arrastar ou usar as setas ajusta o tempo
+let markerSuggestions = [];
+
+async function detectMarkerSuggestions() {
+    if (!window.electronAPI) return showNotification('API não disponível.', 'error');
+    if (!currentVideoURL) {
+        return showNotification('Carregue um vídeo antes de detectar os marcadores.', 'warning');
+    }
+    if (timelineState.currentSegments) {
+        return showNotification('Questões montadas por segmentos já têm os marcadores no início de cada clipe.', 'info');
+    }
+    const alternatives = getEditorAlternatives();
+    if (alternatives.length === 0) {
+        return showNotification('Este tipo de questão não usa marcadores.', 'warning');
+    }
+
+    try {
+        const { suggestions } = await window.electronAPI.detectMarkers({
+            videoPath: videoPaths.get(currentVideoURL) || currentVideoURL,
+            count: alternatives.length
+        });
+        const edits = timelineState.currentEdits;
+        markerSuggestions = suggestions.map((suggestion, index) => ({
+            alternative: alternatives[index],
+            // Sugestões dentro de um trecho cortado vão para o início do trecho mantido seguinte
+            time: edits ? (EditDecisionList.nextKeptTime(edits.keptRanges, suggestion.time) ?? suggestion.time) : suggestion.time,
+            source: suggestion.source
+        }));
+        renderMarkerSuggestions();
+
+        const estimated = markerSuggestions.filter(suggestion => suggestion.source === 'estimate').length;
+        showNotification(
+            `${markerSuggestions.length} marcador(es) sugerido(s)${estimated > 0 ? `, ${estimated} estimado(s) sem pausa ou corte claro` : ''}. Ajuste na trilha e clique em Aceitar.`,
+            'info'
+        );
+    } catch (error) {
+        console.error('❌ Erro na detecção de marcadores:', error);
+        showNotification(`Erro ao detectar marcadores: ${error.message}`, 'error');
+    }
+}
+
+function renderMarkerSuggestions() {
+    const markersTrack = document.getElementById('markersTrack');
+    const videoPlayer = document.getElementById('videoPlayer');
+    const actions = document.getElementById('marker-suggestions-actions');
+    if (actions) actions.hidden = markerSuggestions.length === 0;
+    if (!markersTrack) return;
+
+    markersTrack.querySelectorAll('.marker-suggestion').forEach(element => element.remove());
+
+    const duration = videoPlayer && videoPlayer.duration ? videoPlayer.duration : 100;
+    markerSuggestions.forEach(suggestion => {
+        const element = document.createElement('div');
+        element.className = `marker-suggestion${suggestion.source === 'estimate' ? ' estimated' : ''}`;
+        element.dataset.alternative = suggestion.alternative;
+        element.style.left = `${(suggestion.time / duration) * 100}%`;
+        element.textContent = getAlternativeLabel(getEditorQuestionType(), suggestion.alternative);
+        element.tabIndex = 0;
+        element.title = `Sugestão ${suggestion.alternative} - ${formatTimeWithMilliseconds(suggestion.time)} (arraste ou use as setas; Enter aceita, Delete descarta)`;
+
+        element.addEventListener('mousedown', (e) => startDraggingMarkerSuggestion(e, suggestion, element));
+        element.addEventListener('keydown', (e) => handleMarkerSuggestionKeydown(e, suggestion));
+        element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (videoPlayer) videoPlayer.currentTime = suggestion.time;
+        });
+        markersTrack.appendChild(element);
+    });
+}
+
+function startDraggingMarkerSuggestion(e, suggestion, element) {
+    // Impede que a trilha trate o clique como arrasto de marcador ou seleção de corte
+    e.preventDefault();
+    e.stopPropagation();
+
+    const duration = document.getElementById('videoPlayer')?.duration;
+    if (!duration) return;
+    const trackRect = element.parentElement.getBoundingClientRect();
+
+    const onMove = (moveEvent) => {
+        const ratio = Math.min(Math.max((moveEvent.clientX - trackRect.left) / trackRect.width, 0), 1);
+        suggestion.time = ratio * duration;
+        element.style.left = `${ratio * 100}%`;
+    };
+    const onUp = () => {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+        element.classList.remove('dragging');
+        renderMarkerSuggestions();
+    };
+
+    element.classList.add('dragging');
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+}
+
+function handleMarkerSuggestionKeydown(e, suggestion) {
+    const handled = ['ArrowLeft', 'ArrowRight', 'Enter', 'Delete', 'Backspace'];
+    if (!handled.includes(e.key)) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.key === 'Enter') {
+        acceptMarkerSuggestions([suggestion]);
+        return;
+    }
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+        markerSuggestions = markerSuggestions.filter(item => item !== suggestion);
+        renderMarkerSuggestions();
+        return;
+    }
+
+    // Setas ajustam 0,1 s; com Shift, 1 s
+    const step = (e.shiftKey ? 1 : 0.1) * (e.key === 'ArrowLeft' ? -1 : 1);
+    const duration = document.getElementById('videoPlayer')?.duration || Infinity;
+    suggestion.time = Math.min(Math.max(0, suggestion.time + step), duration);
+    renderMarkerSuggestions();
+    document.querySelector(`.marker-suggestion[data-alternative="${suggestion.alternative}"]`)?.focus();
+}
+
+function acceptMarkerSuggestions(suggestions = markerSuggestions) {
+    if (suggestions.length === 0) return;
+
+    HistoryManager.track('Aceitar marcadores sugeridos', ['markers', 'questions'], () => {
+        if (!timelineState.currentMarkers) timelineState.currentMarkers = {};
+        suggestions.forEach(({ alternative, time }) => {
+            timelineState.currentMarkers[alternative] = time;
+        });
+
+        if (activeQuestionIndex !== -1) {
+            // Mesmo comportamento de setMarker() ao editar uma questão existente
+            const question = currentProject.questions[activeQuestionIndex];
+            if (question) {
+                question.markers = { ...question.markers };
+                suggestions.forEach(({ alternative, time }) => { question.markers[alternative] = time; });
+                questionManager.updateQuestion(question.originalIndex, question);
+            }
+        }
+    });
+
+    markerSuggestions = markerSuggestions.filter(item => !suggestions.includes(item));
+    renderMarkerSuggestions();
+    renderMarkers();
+    suggestions.forEach(({ alternative }) => {
+        document.querySelector(`[data-marker="${alternative}"]`)?.classList.add('active');
+    });
+}
+
+function discardMarkerSuggestions() {
+    markerSuggestions = [];
+    renderMarkerSuggestions();
 }
 
 // Renderizar overlays na trilha de overlays - CORRIGIDO para usar estado centralizado
@@ -4255,38 +4609,185 @@ function renderOverlays() {
     console.log('✅ Overlays renderizados com sucesso na timeline');
 }
 
-// ===== FASE 2: INTERATIVIDADE AVANÇADA =====
+// ===== CORTES NÃO DESTRUTIVOS (LISTA DE DECISÕES DE EDIÇÃO) =====
 
-// Implementar interatividade para marcadores e overlays
-function initTimelineInteractivity() {
-    const markersTrack = document.getElementById('markersTrack');
-    const overlaysTrack = document.getElementById('overlaysTrack');
+// Trechos mantidos são guardados em tempo do arquivo original: [{ start, end }] ordenados e sem sobreposição
+const EditDecisionList = {
+    create(sourceDuration) {
+        return [{ start: 0, end: sourceDuration }];
+    },
 
-    if (markersTrack) {
-        markersTrack.addEventListener('click', handleMarkerClick);
-        markersTrack.addEventListener('mousedown', handleMarkerMouseDown);
-        markersTrack.addEventListener('keydown', handleMarkerKeydown);
-    }
+    removeRange(keptRanges, start, end) {
+        const result = [];
+        keptRanges.forEach(range => {
+            if (end <= range.start || start >= range.end) {
+                result.push({ ...range });
+                return;
+            }
+            if (start > range.start) result.push({ start: range.start, end: start });
+            if (end < range.end) result.push({ start: end, end: range.end });
+        });
+        return result.filter(range => range.end - range.start > 0.01);
+    },
 
-    if (overlaysTrack) {
-        overlaysTrack.addEventListener('click', handleOverlayClick);
-        // CONFLITO RESOLVIDO: Desabilitar mousedown duplicado para evitar conflitos com timeline.js
-        // overlaysTrack.addEventListener('mousedown', handleOverlayMouseDown);
-        overlaysTrack.addEventListener('keydown', handleOverlayKeydown);
-    }
+    // Devolve ao vídeo um trecho removido, unindo-o aos trechos vizinhos
+    restoreRange(keptRanges, start, end) {
+        const merged = [...keptRanges.map(range => ({ ...range })), { start, end }]
+            .sort((a, b) => a.start - b.start);
+        return merged.reduce((result, range) => {
+            const last = result[result.length - 1];
+            if (last && range.start <= last.end + 0.01) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                result.push(range);
+            }
+            return result;
+        }, []);
+    },
 
-    // Adicionar eventos de teclado globais
-    document.addEventListener('keydown', handleTimelineKeydown);
-}
+    getRemovedRanges(keptRanges, sourceDuration) {
+        const removed = [];
+        let cursor = 0;
+        keptRanges.forEach(range => {
+            if (range.start - cursor > 0.01) removed.push({ start: cursor, end: range.start });
+            cursor = range.end;
+        });
+        if (sourceDuration - cursor > 0.01) removed.push({ start: cursor, end: sourceDuration });
+        return removed;
+    },
 
-// Manipular clique na trilha de marcadores para adicionar novo marcador
-function handleMarkersTrackClick(e) {
-    // Se clicou em um marcador existente, não adiciona novo
-    if (e.target.classList.contains('marker-item')) {
-        return;
+    getKeptDuration(keptRanges) {
+        return keptRanges.reduce((total, range) => total + (range.end - range.start), 0);
+    },
+
+    isKept(keptRanges, time) {
+        return keptRanges.some(range => time >= range.start && time < range.end);
+    },
+
+    // Próximo instante reproduzível a partir de `time`, ou null se não houver mais trechos
+    nextKeptTime(keptRanges, time) {
+        const next = keptRanges.find(range => range.end > time);
+        if (!next) return null;
+        return Math.max(time, next.start);
     }
+};
 
-    // Se clicou na área vazia da trilha, adiciona novo marcador
+// Desenha os trechos removidos sobre a trilha principal; clicar em um trecho o restaura
+function renderCutRanges() {
+    const track = document.querySelector('.timeline-track');
+    if (!track) return;
+
+    track.querySelectorAll('.timeline-cut-range').forEach(element => element.remove());
+
+    const edits = timelineState.currentEdits;
+    if (!edits || !edits.sourceDuration) return;
+
+    EditDecisionList.getRemovedRanges(edits.keptRanges, edits.sourceDuration).forEach(range => {
+        const cutElement = document.createElement('div');
+        cutElement.className = 'timeline-cut-range';
+        cutElement.style.left = `${(range.start / edits.sourceDuration) * 100}%`;
+        cutElement.style.width = `${((range.end - range.start) / edits.sourceDuration) * 100}%`;
+        cutElement.title = `Trecho removido: ${formatTime(range.start)} a ${formatTime(range.end)} (clique para restaurar)`;
+
+        cutElement.addEventListener('mousedown', (e) => e.stopPropagation());
+        cutElement.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const confirmed = await showConfirmModal({
+                title: 'Restaurar trecho',
+                message: `Restaurar o trecho de ${formatTime(range.start)} a ${formatTime(range.end)} no vídeo?`
+            });
+            if (!confirmed) return;
+
+            HistoryManager.track('Restaurar trecho', ['edits'], () => {
+                const keptRanges = EditDecisionList.restoreRange(timelineState.currentEdits.keptRanges, range.start, range.end);
+                const isWholeVideo = EditDecisionList.getRemovedRanges(keptRanges, edits.sourceDuration).length === 0;
+                timelineState.currentEdits = isWholeVideo ? null : { ...timelineState.currentEdits, keptRanges };
+            });
+            renderCutRanges();
+        });
+
+        track.appendChild(cutElement);
+    });
+}
+
+// Em questões montadas por segmentos, mostra cada clipe como uma faixa sequencial na timeline
+function renderVideoSegments() {
+    const track = document.querySelector('.timeline-track');
+    if (!track) return;
+
+    track.querySelectorAll('.timeline-segment').forEach(element => element.remove());
+
+    const clips = timelineState.currentSegments?.clips;
+    const totalDuration = (clips || []).reduce((sum, clip) => sum + (clip.duration || 0), 0);
+    if (!clips || totalDuration <= 0) return;
+
+    let offset = 0;
+    clips.forEach(clip => {
+        const label = getSegmentLabel(clip.key);
+        const segmentElement = document.createElement('div');
+        segmentElement.className = `timeline-segment${clip.key === 'statement' ? ' statement' : ''}`;
+        segmentElement.style.left = `${(offset / totalDuration) * 100}%`;
+        segmentElement.style.width = `${(clip.duration / totalDuration) * 100}%`;
+        segmentElement.title = `${label}: ${formatTime(offset)} a ${formatTime(offset + clip.duration)}`;
+        segmentElement.textContent = label;
+        track.appendChild(segmentElement);
+        offset += clip.duration;
+    });
+}
+
+// Durante a reprodução, pula os trechos removidos para pré-visualizar o vídeo final sem renderizá-lo
+function initEditDecisionPlayback() {
+    const videoPlayer = document.getElementById('videoPlayer');
+    if (!videoPlayer) return;
+
+    timelineState.eventRegistry.register(videoPlayer, 'timeupdate', () => {
+        const edits = timelineState.currentEdits;
+        if (!edits || videoPlayer.paused || videoPlayer.seeking) return;
+
+        const time = videoPlayer.currentTime;
+        if (EditDecisionList.isKept(edits.keptRanges, time)) return;
+
+        const nextTime = EditDecisionList.nextKeptTime(edits.keptRanges, time);
+        if (nextTime === null) {
+            videoPlayer.pause();
+        } else {
+            videoPlayer.currentTime = nextTime;
+        }
+    });
+}
+
+// ===== FASE 2: INTERATIVIDADE AVANÇADA =====
+
+// Implementar interatividade para marcadores e overlays
+function initTimelineInteractivity() {
+    const markersTrack = document.getElementById('markersTrack');
+    const overlaysTrack = document.getElementById('overlaysTrack');
+
+    if (markersTrack) {
+        markersTrack.addEventListener('click', handleMarkerClick);
+        markersTrack.addEventListener('mousedown', handleMarkerMouseDown);
+        markersTrack.addEventListener('keydown', handleMarkerKeydown);
+    }
+
+    if (overlaysTrack) {
+        overlaysTrack.addEventListener('click', handleOverlayClick);
+        // CONFLITO RESOLVIDO: Desabilitar mousedown duplicado para evitar conflitos com timeline.js
+        // overlaysTrack.addEventListener('mousedown', handleOverlayMouseDown);
+        overlaysTrack.addEventListener('keydown', handleOverlayKeydown);
+    }
+
+    // Adicionar eventos de teclado globais
+    document.addEventListener('keydown', handleTimelineKeydown);
+}
+
+// Manipular clique na trilha de marcadores para adicionar novo marcador
+function handleMarkersTrackClick(e) {
+    // Se clicou em um marcador existente, não adiciona novo
+    if (e.target.classList.contains('marker-item')) {
+        return;
+    }
+
+    // Se clicou na área vazia da trilha, adiciona novo marcador
     if (e.target.classList.contains('markers-track')) {
         e.preventDefault();
         addAdvancedMarker();
@@ -4611,6 +5112,7 @@ function handleAdvancedMouseMove(e) {
 
         // Atualizar em timelineState.currentMarkers
         timelineState.currentMarkers[currentLabel] = newTime;
+        updateMarkerRuleStates();
 
     } else if (timelineState.dragState.element.classList.contains('overlay-segment')) {
         // Verificar tipo de interação: mover ou redimensionar
@@ -5091,6 +5593,17 @@ function deleteMarker(marker) {
 
 // Excluir overlay
 function deleteOverlay(overlay) {
+    const overlayId = overlay.getAttribute('data-id');
+    if (overlayId && OverlayState.getOverlay(overlayId)) {
+        HistoryManager.track('Excluir overlay', ['overlays'], () => OverlayState.removeOverlay(overlayId));
+        overlay.remove();
+        if (timelineState.selectedOverlay === overlay) {
+            timelineState.selectedOverlay = null;
+            updateTimelineConnections();
+        }
+        return;
+    }
+
     const label = overlay.getAttribute('data-label');
     if (currentProject && currentProject.overlays) {
         const index = currentProject.overlays.findIndex(o => o.label === label);
@@ -5483,40 +5996,12 @@ function initTimelineSeeking() {
     // A navegação agora é tratada pelo mousedown do VideoEditor quando não for clique duplo
 }
 
-// Sobrescrever função saveProject para incluir timeline
-function saveProject() {
-    saveTimelineState();
-
-    // Salvar no localStorage
-    localStorage.setItem('currentProject', JSON.stringify(currentProject));
-    localStorage.setItem('currentMarkers', JSON.stringify(timelineState.currentMarkers));
-
-    console.log('Project and timeline saved successfully');
-}
-
-// Sobrescrever função loadProject para incluir timeline
-function loadProject() {
-    const savedProject = localStorage.getItem('currentProject');
-    const savedMarkers = localStorage.getItem('currentMarkers');
-
-    if (savedProject) {
-        currentProject = JSON.parse(savedProject);
-    }
-
-    if (savedMarkers) {
-        timelineState.currentMarkers = JSON.parse(savedMarkers);
-    }
-
-    loadTimelineState();
-    updateProjectUI();
-
-    console.log('Project and timeline loaded successfully');
-}
-
 // Atualizar função principal para manter apenas Fases 1-3
 function renderTimeline() {
     renderMarkers();
     renderOverlays();
+    renderCutRanges();
+    renderVideoSegments();
 
     // Inicializar timeline avançada se ainda não foi feita
     if (!timelineState.domCache.playhead) {
@@ -5526,6 +6011,7 @@ function renderTimeline() {
         initAdvancedKeyboardShortcuts();
         initTimelineInteractivity();
         initTimelineVideoSync();
+        initEditDecisionPlayback();
         initTimelineSeeking();
         initExtendedTimelineFeatures(); // Adicionar funcionalidades estendidas
         loadTimelineState();
@@ -5534,6 +6020,13 @@ function renderTimeline() {
 
 // Manter compatibilidade com código existente
 
+// Mesmo resumo de describeQuestionTypes (projectSchema.js, gravado em metadata.type): o tipo único ou "Mista"
+function describeProjectQuestionTypes(questions) {
+    const types = [...new Set(questions.map(question => getQuestionType(question)))];
+    if (types.length === 0) return QuestionTypes.multiple_choice.label;
+    return types.length === 1 ? QuestionTypes[types[0]].label : 'Mista';
+}
+
 function updateProjectUI() {
     // Update project header with IDs
     const projectTitle = document.getElementById('project-title');
@@ -5542,8 +6035,8 @@ function updateProjectUI() {
     const questionCount = document.getElementById('question-count');
 
     if (projectTitle) projectTitle.textContent = currentProject.name;
-    if (projectType) projectType.textContent = `Múltipla Escolha • ${currentProject.totalAlternatives} alternativas`;
-    if (projectProgress) projectProgress.textContent = `${currentProject.questions.length} questões (máximo 90)`;
+    if (projectType) projectType.textContent = `${describeProjectQuestionTypes(currentProject.questions)} • ${currentProject.totalAlternatives} alternativas por padrão`;
+    if (projectProgress) projectProgress.textContent = `${currentProject.questions.length} questões (máximo ${getMaxQuestions()})`;
 
     if (questionCount) questionCount.textContent = currentProject.questions.length;
 
@@ -5566,20 +6059,170 @@ function updateProjectUI() {
 // FUNÇÕES DE ALTERNATIVAS DINÂMICAS (MVP)
 // ---------------------------------------------------------------------------------
 
+function getAlternativeLetters(count) {
+    return Array.from({ length: count }, (_, i) => String.fromCharCode(65 + i));
+}
+
+// Questões gravadas antes do número de alternativas por questão usam o padrão do projeto
+function getQuestionAlternativesCount(question) {
+    return question?.totalAlternatives ?? currentProject.totalAlternatives;
+}
+
+// Overlays do editor no formato gravado na questão
+function getEditorOverlays() {
+    return OverlayState.getAllOverlays().map(overlay => OverlayState.toProjectOverlay(overlay));
+}
+
+// Alternativas da questão aberta no editor (ou da que está sendo criada)
+function getEditorAlternatives() {
+    const fixedAlternatives = QuestionTypes[getEditorQuestionType()].fixedAlternatives;
+    return getAlternativeLetters(fixedAlternatives ?? currentAlternativesCount ?? currentProject.totalAlternatives);
+}
+
+// Tipos de questão: campo do gabarito em cada um e, quando fixo, o número de alternativas
+const QuestionTypes = {
+    multiple_choice: {
+        label: 'Múltipla Escolha',
+        answerField: 'correctAnswer',
+        gabaritoHint: 'Selecione a alternativa correta para esta questão:'
+    },
+    true_false: {
+        label: 'Verdadeiro ou Falso',
+        answerField: 'correctAnswer',
+        fixedAlternatives: 2,
+        alternativeLabels: { A: 'V', B: 'F' },
+        gabaritoHint: 'A alternativa A é "Verdadeiro" e a B é "Falso". Selecione a correta:'
+    },
+    multiple_answer: {
+        label: 'Múltiplas Corretas',
+        answerField: 'correctAnswers',
+        gabaritoHint: 'Selecione todas as alternativas corretas:'
+    },
+    ordering: {
+        label: 'Ordenação',
+        answerField: 'correctOrder',
+        gabaritoHint: 'Clique nos itens na ordem correta (clique de novo para remover):'
+    },
+    // O aluno responde gravando um vídeo; não há alternativas, só o tempo máximo de gravação
+    open_response: {
+        label: 'Resposta Aberta',
+        answerField: 'responseTimeLimit',
+        fixedAlternatives: 0,
+        gabaritoHint: 'Tempo máximo, em segundos, para o aluno gravar a resposta em vídeo:'
+    }
+};
+
+const QUESTION_ANSWER_FIELDS = ['correctAnswer', 'correctAnswers', 'correctOrder', 'responseTimeLimit'];
+
+function getQuestionType(question) {
+    return QuestionTypes[question?.type] ? question.type : 'multiple_choice';
+}
+
+function getEditorQuestionType() {
+    return currentQuestionType || 'multiple_choice';
+}
+
+function getQuestionAnswer(question, type = getQuestionType(question)) {
+    return question?.[QuestionTypes[type].answerField] ?? null;
+}
+
+function getAlternativeLabel(type, alternative) {
+    return QuestionTypes[type].alternativeLabels?.[alternative] || alternative;
+}
+
+function formatQuestionAnswer(type, answer) {
+    if (answer === null || answer === undefined || (Array.isArray(answer) && answer.length === 0)) return '-';
+    switch (type) {
+        case 'multiple_answer': return answer.join(', ');
+        case 'ordering': return answer.join(' → ');
+        case 'open_response': return `${answer}s`;
+        default: return getAlternativeLabel(type, answer);
+    }
+}
+
+// Descarta do gabarito as letras que deixaram de existir após mudar as alternativas
+function filterAnswerToAlternatives(answer, alternatives) {
+    if (Array.isArray(answer)) return answer.filter(alt => alternatives.includes(alt));
+    if (typeof answer === 'string') return alternatives.includes(answer) ? answer : null;
+    return answer;
+}
+
+function setQuestionType(type) {
+    const previousDefinition = QuestionTypes[getEditorQuestionType()];
+    const definition = QuestionTypes[type];
+
+    HistoryManager.track('Alterar tipo de questão', ['markers'], () => {
+        currentQuestionType = type;
+        if (definition.fixedAlternatives !== undefined) {
+            currentAlternativesCount = definition.fixedAlternatives;
+        } else if (previousDefinition.fixedAlternatives !== undefined) {
+            currentAlternativesCount = currentProject.totalAlternatives;
+        }
+        const alternatives = getEditorAlternatives();
+        timelineState.currentMarkers = Object.fromEntries(
+            Object.entries(timelineState.currentMarkers || {}).filter(([alt]) => alternatives.includes(alt))
+        );
+    });
+    // Cada tipo guarda o gabarito num formato próprio
+    if (previousDefinition.answerField !== definition.answerField) {
+        tempCorrectAnswer = null;
+    } else {
+        tempCorrectAnswer = filterAnswerToAlternatives(tempCorrectAnswer, getEditorAlternatives());
+    }
+
+    updateMarkerButtons();
+    renderTimeline();
+    renderDetailsPanel(currentProject.questions[activeQuestionIndex] || null);
+}
+
+// Troca o número de alternativas no editor; a questão só muda ao salvar, como os marcadores
+function setQuestionAlternativesCount(count) {
+    const alternatives = getAlternativeLetters(count);
+
+    HistoryManager.track('Alterar número de alternativas', ['markers'], () => {
+        currentAlternativesCount = count;
+        // Marcadores de alternativas que deixaram de existir são descartados
+        timelineState.currentMarkers = Object.fromEntries(
+            Object.entries(timelineState.currentMarkers || {}).filter(([alt]) => alternatives.includes(alt))
+        );
+    });
+    tempCorrectAnswer = filterAnswerToAlternatives(tempCorrectAnswer, alternatives);
+
+    updateMarkerButtons();
+    renderTimeline();
+    renderDetailsPanel(currentProject.questions[activeQuestionIndex] || null);
+}
+
 function updateMarkerButtons() {
     const container = document.getElementById('marker-alternatives-container');
     if (!container) return;
 
-    const alternatives = Array.from({ length: currentProject.totalAlternatives }, (_, i) =>
-        String.fromCharCode(65 + i)
-    );
+    const type = getEditorQuestionType();
+    const alternatives = getEditorAlternatives();
+
+    const typeSelect = document.getElementById('question-type');
+    if (typeSelect) {
+        if (typeSelect.options.length === 0) {
+            typeSelect.innerHTML = Object.entries(QuestionTypes)
+                .map(([value, definition]) => `<option value="${value}">${definition.label}</option>`).join('');
+        }
+        typeSelect.value = type;
+    }
+
+    // Tipos com número fixo de alternativas não deixam trocar a quantidade
+    const countSelect = document.getElementById('question-alternatives-count');
+    if (countSelect) {
+        countSelect.value = String(alternatives.length);
+        countSelect.disabled = QuestionTypes[type].fixedAlternatives !== undefined;
+        countSelect.style.display = alternatives.length === 0 ? 'none' : '';
+    }
 
     container.innerHTML = '';
 
     alternatives.forEach(marker => {
         const button = document.createElement('button');
         button.className = 'btn btn-ghost btn-icon';
-        button.innerHTML = `<span style="font-weight: 600; font-size: var(--font-size-xs);">${marker}</span>`;
+        button.innerHTML = `<span style="font-weight: 600; font-size: var(--font-size-xs);">${getAlternativeLabel(type, marker)}</span>`;
         button.setAttribute('data-marker', marker);
         button.setAttribute('role', 'button');
         button.setAttribute('aria-label', `Marcador ${marker}`);
@@ -5596,21 +6239,21 @@ function setMarker(marker) {
 
     const currentTime = videoPlayer.currentTime;
 
-    // Usar estado centralizado em timelineState
-    if (!timelineState.currentMarkers) timelineState.currentMarkers = {};
-    timelineState.currentMarkers[marker] = currentTime;
-
-    if (activeQuestionIndex === -1) {
-        // Modo de criação de nova questão
-      } else {
-        // Modo de edição de questão existente
-        const question = currentProject.questions[activeQuestionIndex];
-        if (question) {
-            if (!question.markers) question.markers = {};
-            question.markers[marker] = currentTime;
-            questionManager.updateQuestion(question.originalIndex, question);
+    HistoryManager.track(`Marcador ${marker}`, ['markers', 'questions'], () => {
+        // Usar estado centralizado em timelineState
+        if (!timelineState.currentMarkers) timelineState.currentMarkers = {};
+        timelineState.currentMarkers[marker] = currentTime;
+
+        if (activeQuestionIndex !== -1) {
+            // Modo de edição de questão existente
+            const question = currentProject.questions[activeQuestionIndex];
+            if (question) {
+                if (!question.markers) question.markers = {};
+                question.markers[marker] = currentTime;
+                questionManager.updateQuestion(question.originalIndex, question);
             }
-    }
+        }
+    });
 
     // Adicionar classe active ao botão clicado
     const clickedButton = document.querySelector(`[data-marker="${marker}"]`);
@@ -5643,7 +6286,7 @@ function renderMarkerButtons() {
     container.querySelectorAll('.q-tag').forEach(btn => btn.remove());
     const fragment = document.createDocumentFragment();
 
-    const alternatives = Array.from({ length: currentProject.totalAlternatives }, (_, i) => String.fromCharCode(65 + i));
+    const alternatives = getEditorAlternatives();
 
     alternatives.forEach(alt => {
         const button = document.createElement('button');
@@ -5670,14 +6313,79 @@ function renderMarkerButtons() {
     container.appendChild(fragment);
 }
 
+// Limite de questões por projeto, definido nas preferências
+function getMaxQuestions() {
+    return AppSettings.get('maxQuestions');
+}
+
+// A grade mostra uma página por vez para projetos grandes continuarem leves
+const QUESTION_GRID_PAGE_SIZE = 50;
+const questionGridState = {
+    page: 0,
+    lastActiveIndex: -1,
+    lastCount: 0
+};
+
+function setQuestionGridPage(page) {
+    questionGridState.page = page;
+    renderQuestionGrid();
+}
+
+function renderQuestionGridPager(pageCount, start, end) {
+    const pager = document.createElement('div');
+    pager.className = 'question-grid-pager';
+
+    const prevButton = document.createElement('button');
+    prevButton.className = 'btn btn-ghost btn-sm';
+    prevButton.innerHTML = '<i class="fas fa-chevron-left"></i>';
+    prevButton.setAttribute('aria-label', 'Página anterior de questões');
+    prevButton.disabled = questionGridState.page === 0;
+    prevButton.addEventListener('click', () => setQuestionGridPage(questionGridState.page - 1));
+
+    const info = document.createElement('span');
+    info.className = 'question-grid-pager-info';
+    info.textContent = `${start + 1}–${end} de ${currentProject.questions.length}`;
+
+    const nextButton = document.createElement('button');
+    nextButton.className = 'btn btn-ghost btn-sm';
+    nextButton.innerHTML = '<i class="fas fa-chevron-right"></i>';
+    nextButton.setAttribute('aria-label', 'Próxima página de questões');
+    nextButton.disabled = questionGridState.page >= pageCount - 1;
+    nextButton.addEventListener('click', () => setQuestionGridPage(questionGridState.page + 1));
+
+    pager.append(prevButton, info, nextButton);
+    return pager;
+}
+
 function renderQuestionGrid() {
     const grid = document.querySelector('.question-grid');
     if (!grid) return;
 
+    const total = currentProject.questions.length;
+    const pageCount = Math.max(1, Math.ceil(total / QUESTION_GRID_PAGE_SIZE));
+
+    // Acompanhar a questão aberta no editor e ir para a última página quando uma questão é adicionada
+    if (activeQuestionIndex !== -1 && activeQuestionIndex !== questionGridState.lastActiveIndex) {
+        questionGridState.page = Math.floor(activeQuestionIndex / QUESTION_GRID_PAGE_SIZE);
+    } else if (total === questionGridState.lastCount + 1) {
+        questionGridState.page = pageCount - 1;
+    }
+    questionGridState.page = Math.min(Math.max(questionGridState.page, 0), pageCount - 1);
+    questionGridState.lastActiveIndex = activeQuestionIndex;
+    questionGridState.lastCount = total;
+
+    const start = questionGridState.page * QUESTION_GRID_PAGE_SIZE;
+    const end = Math.min(start + QUESTION_GRID_PAGE_SIZE, total);
+
     grid.innerHTML = '';
     const fragment = document.createDocumentFragment();
 
-    currentProject.questions.forEach((q, index) => {
+    if (pageCount > 1) {
+        fragment.appendChild(renderQuestionGridPager(pageCount, start, end));
+    }
+
+    currentProject.questions.slice(start, end).forEach((q, pageIndex) => {
+        const index = start + pageIndex;
         const button = document.createElement('button');
         button.className = 'btn btn-icon question-btn';
         button.textContent = q.small_label;
@@ -5708,11 +6416,11 @@ function renderQuestionGrid() {
         handleVideoUpload();
     });
 
-    if (currentProject.questions.length >= 90 || activeQuestionIndex !== -1) {
+    if (total >= getMaxQuestions() || activeQuestionIndex !== -1) {
         addButton.disabled = true;
         addButton.style.cursor = 'not-allowed';
         addButton.setAttribute('aria-disabled', 'true');
-        addButton.title = activeQuestionIndex !== -1 ? 'Salve ou cancele a edição atual para adicionar uma nova questão' : 'Limite de 90 questões atingido';
+        addButton.title = activeQuestionIndex !== -1 ? 'Salve ou cancele a edição atual para adicionar uma nova questão' : `Limite de ${getMaxQuestions()} questões atingido`;
     }
 
     fragment.appendChild(addButton);
@@ -5720,6 +6428,43 @@ function renderQuestionGrid() {
     grid.appendChild(fragment);
 }
 
+// Mostra o gabarito no formato do tipo: letras marcadas, posição na ordem ou tempo de resposta
+function renderAnswerChoices(container, type, alternatives, answer) {
+    if (type === 'open_response') {
+        const note = document.createElement('p');
+        note.className = 'text-xs';
+        note.style.color = 'var(--text-secondary)';
+        note.textContent = answer ? `Resposta em vídeo • até ${answer}s` : 'Resposta em vídeo • tempo não definido';
+        container.appendChild(note);
+        return;
+    }
+
+    const selected = Array.isArray(answer) ? answer : [answer];
+    alternatives.forEach(alt => {
+        const button = document.createElement('div');
+        button.className = 'answer-choice';
+        button.textContent = getAlternativeLabel(type, alt);
+        button.setAttribute('aria-label', `Alternativa ${alt}`);
+        if (selected.includes(alt)) {
+            button.classList.add('selected');
+            button.setAttribute('aria-pressed', 'true');
+            if (type === 'ordering') {
+                button.dataset.order = selected.indexOf(alt) + 1;
+            }
+        }
+        container.appendChild(button);
+    });
+}
+
+// Gabarito da questão no editor: enquanto um novo tipo não é salvo, o gabarito fica pendente em tempCorrectAnswer
+function getEditorAnswer() {
+    const question = currentProject.questions[activeQuestionIndex];
+    if (question && getQuestionType(question) === getEditorQuestionType()) {
+        return getQuestionAnswer(question);
+    }
+    return tempCorrectAnswer;
+}
+
 function renderDetailsPanel(question) {
     const detailsPanel = document.querySelector('.panel-details');
     const videoNameEl = document.getElementById('details-video-name');
@@ -5736,21 +6481,10 @@ function renderDetailsPanel(question) {
     if (activeQuestionIndex === -1) { // Modo de criação de nova questão
         videoNameEl.textContent = currentVideoURL ? videoPaths.get(currentVideoURL)?.split(/[\\/]/).pop() : 'Nenhum vídeo carregado';
         if (alternativesContainer) {
-            if (tempCorrectAnswer) {
+            if (tempCorrectAnswer !== null && tempCorrectAnswer !== undefined) {
                 // Show selected gabarito in creation mode
-                const alternatives = Array.from({ length: currentProject.totalAlternatives }, (_, i) => String.fromCharCode(65 + i));
                 alternativesContainer.innerHTML = '';
-                alternatives.forEach(alt => {
-                    const button = document.createElement('div');
-                    button.className = 'answer-choice';
-                    button.textContent = alt;
-                    button.setAttribute('aria-label', `Alternativa ${alt}`);
-                    if (tempCorrectAnswer === alt) {
-                        button.classList.add('selected');
-                        button.setAttribute('aria-pressed', 'true');
-                    }
-                    alternativesContainer.appendChild(button);
-                });
+                renderAnswerChoices(alternativesContainer, getEditorQuestionType(), getEditorAlternatives(), tempCorrectAnswer);
             } else {
                 alternativesContainer.innerHTML = '<p class="text-xs" style="color: var(--text-secondary)">Use o botão de gabarito (✓) para definir a resposta correta.</p>';
             }
@@ -5775,26 +6509,21 @@ function renderDetailsPanel(question) {
         changeVideoButton.innerHTML = '<i class="fas fa-edit"></i>';
         changeVideoButton.title = 'Trocar vídeo da questão';
         changeVideoButton.setAttribute('aria-label', 'Trocar vídeo da questão');
-        changeVideoButton.addEventListener('click', handleChangeVideoForQuestion);
+        changeVideoButton.addEventListener('click', () => {
+            HistoryManager.trackAsync('Trocar vídeo da questão', ['questions', 'video', 'edits'], handleChangeVideoForQuestion);
+        });
         changeVideoButtonContainer.appendChild(changeVideoButton);
     }
 
     if (alternativesContainer) {
         alternativesContainer.innerHTML = '';
 
-        const alternatives = Array.from({ length: currentProject.totalAlternatives }, (_, i) => String.fromCharCode(65 + i));
-
-        alternatives.forEach(alt => {
-            const button = document.createElement('div');
-            button.className = 'answer-choice';
-            button.textContent = alt;
-            button.setAttribute('aria-label', `Alternativa ${alt}`);
-            if (question.correctAnswer === alt) {
-                button.classList.add('selected');
-                button.setAttribute('aria-pressed', 'true');
-            }
-            alternativesContainer.appendChild(button);
-        });
+        if (question === currentProject.questions[activeQuestionIndex]) {
+            renderAnswerChoices(alternativesContainer, getEditorQuestionType(), getEditorAlternatives(), getEditorAnswer());
+        } else {
+            renderAnswerChoices(alternativesContainer, getQuestionType(question),
+                getAlternativeLetters(getQuestionAlternativesCount(question)), getQuestionAnswer(question));
+        }
 
         // Add edit button at the end
         const editGabaritoButton = document.createElement('button');
@@ -5824,16 +6553,24 @@ async function handleChangeVideoForQuestion() {
 
         const newVideoPath = result.filePaths[0];
         const newVideoName = newVideoPath.split(/[\\/]/).pop();
+        const newVideoUrl = `file://${newVideoPath}`;
 
         // Update the video path for the current question
+        // Os cortes pertenciam ao vídeo anterior e não se aplicam ao novo
         const question = currentProject.questions[activeQuestionIndex];
-        question.video = newVideoPath;
+        question.video = newVideoUrl;
+        question.edits = null;
+        question.segments = null;
         currentProject.isDirty = true;
 
         // Update the main video player and state
-        currentVideoURL = newVideoPath;
-        videoPlayer.src = newVideoPath;
-        videoPaths.set(newVideoPath, newVideoName);
+        currentVideoURL = newVideoUrl;
+        videoPlayer.src = newVideoUrl;
+        videoPaths.set(newVideoUrl, newVideoPath);
+        timelineState.currentEdits = null;
+        timelineState.currentSegments = null;
+        renderCutRanges();
+        renderVideoSegments();
 
         // Update the UI
         document.getElementById('details-video-name').textContent = newVideoName;
@@ -5851,7 +6588,7 @@ function updateStatusBar() {
     const videoName = currentVideoURL ? videoPaths.get(currentVideoURL)?.split(/[\\/]/).pop() : 'Nenhum';
     document.getElementById('status-project-name').textContent = currentProject.name;
     document.getElementById('status-video-name').textContent = videoName;
-    document.getElementById('status-question-count').textContent = `${currentProject.questions.length}/90`;
+    document.getElementById('status-question-count').textContent = `${currentProject.questions.length}/${getMaxQuestions()}`;
 }
 
 // ---------------------------------------------------------------------------------
@@ -5870,7 +6607,7 @@ function addToRecentProjects(projectPath, projectName) {
     });
 
     // Limit to max
-    recentProjects = recentProjects.slice(0, MAX_RECENT_PROJECTS);
+    recentProjects = recentProjects.slice(0, AppSettings.get('maxRecentProjects'));
 
     // Save to localStorage
     localStorage.setItem('avalibras_recent_projects', JSON.stringify(recentProjects));
@@ -5923,20 +6660,18 @@ function renderRecentProjects() {
 
 async function openRecentProject(projectPath) {
     try {
-        const { projectData, missingFiles } = await window.electronAPI.openProject(projectPath);
+        const { projectData, missingFiles, migrationReport } = await window.electronAPI.openProject(projectPath);
         
         if (missingFiles && missingFiles.length > 0) {
             showNotification(`Arquivos de mídia ausentes: ${missingFiles.join(', ')}`, 'warn');
         }
+        notifyProjectMigration(migrationReport);
 
-        currentProject = projectData;
-        questionManager = new QuestionManager(currentProject);
-        clearQuestionForm();
+        applyOpenedProject(projectData, projectPath);
 
         // Update recent projects
-        addToRecentProjects(projectPath, projectData.name);
-
-            } catch (error) {
+        addToRecentProjects(projectPath, currentProject.name);
+    } catch (error) {
         showNotification(`Erro ao abrir projeto recente: ${error.message}`, 'error');
         // Remove from recent if it can't be opened
         removeFromRecentProjects(projectPath);
@@ -5944,95 +6679,466 @@ async function openRecentProject(projectPath) {
 }
 
 // ---------------------------------------------------------------------------------
-// MODAL DE GABARITO
+// SALVAMENTO AUTOMÁTICO E RECUPERAÇÃO DE SESSÃO
 // ---------------------------------------------------------------------------------
 
-function showGabaritoModal() {
-    const modal = document.getElementById('gabaritoModal');
-    const optionsContainer = document.getElementById('gabaritoOptions');
-    const confirmButton = document.getElementById('confirmGabarito');
-    const question = activeQuestionIndex >= 0 ? currentProject.questions[activeQuestionIndex] : null;
-    const currentCorrectAnswer = question ? question.correctAnswer : tempCorrectAnswer;
+// Grava o estado do editor num arquivo de recuperação (pasta de dados do app) sempre que ele muda
+const AutosaveManager = {
+    checkInterval: 5000,
+    timerId: null,
+    lastSnapshot: null,
+    isWriting: false,
+
+    start() {
+        if (!window.electronAPI?.autosaveWrite || this.timerId) return;
+        this.timerId = setInterval(() => this.saveIfChanged(), this.checkInterval);
+        console.log('💾 Salvamento automático ativado');
+    },
 
-    optionsContainer.innerHTML = '';
-    confirmButton.disabled = true;
+    stop() {
+        clearInterval(this.timerId);
+        this.timerId = null;
+    },
 
-    const alternatives = Array.from({ length: currentProject.totalAlternatives }, (_, i) => String.fromCharCode(65 + i));
+    buildSnapshot() {
+        return JSON.stringify({
+            currentProject,
+            currentMarkers: timelineState.currentMarkers,
+            videoPaths: Object.fromEntries(videoPaths),
+            currentProjectPath,
+            activeQuestionIndex,
+            // URLs blob: não sobrevivem ao reinício; só vídeos em disco podem ser restaurados
+            currentVideoURL: currentVideoURL && !currentVideoURL.startsWith('blob:') ? currentVideoURL : null
+        });
+    },
 
-    alternatives.forEach(alt => {
-        const option = document.createElement('div'); // Use DIV instead of BUTTON
-        option.className = 'answer-choice'; // Use the correct class
-        option.textContent = alt;
-        option.setAttribute('data-alternative', alt);
-        option.setAttribute('role', 'button');
-        option.setAttribute('tabindex', '0');
+    async saveIfChanged() {
+        if (this.isWriting || !isProjectInitialized()) return;
+
+        const snapshot = this.buildSnapshot();
+        if (snapshot === this.lastSnapshot) return;
 
-        if (currentCorrectAnswer === alt) {
-            option.classList.add('selected');
-            confirmButton.disabled = false;
+        this.isWriting = true;
+        try {
+            await window.electronAPI.autosaveWrite(JSON.parse(snapshot));
+            this.lastSnapshot = snapshot;
+        } catch (error) {
+            console.error('❌ Erro no salvamento automático:', error);
+        } finally {
+            this.isWriting = false;
         }
+    },
 
-        option.addEventListener('click', () => {
-            optionsContainer.querySelectorAll('.answer-choice').forEach(opt => {
-                opt.classList.remove('selected');
-            });
+    async checkRecovery() {
+        if (!window.electronAPI?.autosaveCheck) return null;
+        try {
+            const result = await window.electronAPI.autosaveCheck();
+            return result.available ? result.sessionData : null;
+        } catch (error) {
+            console.error('❌ Erro ao verificar sessão recuperável:', error);
+            return null;
+        }
+    },
 
-            option.classList.add('selected');
-            confirmButton.disabled = false;
-        });
+    async discardRecovery() {
+        await window.electronAPI?.autosaveClear?.();
+    },
 
-        optionsContainer.appendChild(option);
-    });
+    restore(sessionData) {
+        currentProject = { ...sessionData.currentProject, isDirty: true };
+        videoPaths = new Map(Object.entries(sessionData.videoPaths || {}));
+        currentProjectPath = sessionData.currentProjectPath || null;
+        questionManager = new QuestionManager(currentProject);
+        HistoryManager.clear();
 
-    modal.classList.add('active');
-}
+        const activeQuestion = currentProject.questions[sessionData.activeQuestionIndex];
+        if (activeQuestion) {
+            loadQuestionForEditing(activeQuestion);
+        } else {
+            clearQuestionForm();
+            if (sessionData.currentVideoURL) {
+                document.getElementById('videoPlayer').src = sessionData.currentVideoURL;
+                currentVideoURL = sessionData.currentVideoURL;
+            }
+        }
 
-function hideGabaritoModal() {
-    const modal = document.getElementById('gabaritoModal');
-    modal.classList.remove('active');
-}
+        // Marcadores em edição podem não ter sido salvos na questão ainda
+        timelineState.currentMarkers = sessionData.currentMarkers || {};
+        renderMarkers();
+        updateMarkerButtons();
 
-function confirmGabarito() {
-    const selectedOption = document.querySelector('#gabaritoOptions .answer-choice.selected');
+        unlockInterface();
+        updateInterfaceState();
+        updateProjectUI();
+        updateStatusBar();
 
-    if (!selectedOption) {
-            return;
+        this.lastSnapshot = this.buildSnapshot();
+        console.log('♻️ Sessão recuperada de', sessionData.savedAt);
     }
+};
 
-    const correctAnswer = selectedOption.getAttribute('data-alternative');
+// ---------------------------------------------------------------------------------
+// HISTÓRICO DE DESFAZER/REFAZER
+// ---------------------------------------------------------------------------------
 
-    if (activeQuestionIndex >= 0) {
-        // Modo de edição - salvar na questão existente
-        const question = currentProject.questions[activeQuestionIndex];
-        if (question) {
-            question.correctAnswer = correctAnswer;
+const cloneHistoryState = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+// Cada domínio sabe capturar e restaurar sua parte do estado; os comandos guardam o antes e o depois
+const HistoryDomains = {
+    questions: {
+        capture: () => ({
+            questions: cloneHistoryState(currentProject.questions),
+            activeQuestionIndex,
+            tempCorrectAnswer
+        }),
+        restore(state) {
+            currentProject.questions = cloneHistoryState(state.questions);
+            tempCorrectAnswer = state.tempCorrectAnswer;
+            activeQuestionIndex = state.activeQuestionIndex < currentProject.questions.length ? state.activeQuestionIndex : -1;
             currentProject.isDirty = true;
 
-            // Pausar o vídeo e atualizar a UI
-            if (videoPlayer) videoPlayer.pause();
-            renderDetailsPanel(question);
+            renderQuestionGrid();
+            renderDetailsPanel(currentProject.questions[activeQuestionIndex] || null);
+            updateProjectUI();
+            updateStatusBar();
+            if (isManageQuestionsModalOpen()) renderManageQuestionsList();
+        }
+    },
 
-            hideGabaritoModal();
-            showNotification(`Gabarito definido: Alternativa ${correctAnswer}`, 'success');
+    markers: {
+        capture: () => ({
+            markers: cloneHistoryState(timelineState.currentMarkers || {}),
+            alternativesCount: currentAlternativesCount,
+            questionType: currentQuestionType,
+            segments: cloneHistoryState(timelineState.currentSegments)
+        }),
+        restore(state) {
+            timelineState.currentMarkers = cloneHistoryState(state.markers);
+            currentAlternativesCount = state.alternativesCount;
+            currentQuestionType = state.questionType;
+            timelineState.currentSegments = cloneHistoryState(state.segments);
+            renderVideoSegments();
+            renderMarkers();
+            updateMarkerButtons();
         }
-    } else {
-        // Modo de criação - armazenar temporariamente
-        tempCorrectAnswer = correctAnswer;
+    },
 
-        // Pausar o vídeo e atualizar a UI
-        if (videoPlayer) videoPlayer.pause();
-        renderDetailsPanel(null);
+    overlays: {
+        capture: () => cloneHistoryState(OverlayState.overlays),
+        restore(state) {
+            OverlayState.overlays = cloneHistoryState(state);
+            OverlayState.syncWithProject();
+            currentProject.isDirty = true;
 
-        hideGabaritoModal();
-        showNotification(`Gabarito definido: Alternativa ${correctAnswer}`, 'success');
-    }
-}
+            // O preview no vídeo só é removido se o overlay exibido deixou de existir
+            const previewId = window.overlayManager?.currentOverlay?.overlayId;
+            if (previewId && !OverlayState.getOverlay(previewId)) {
+                window.overlayManager.removeExistingOverlay();
+            } else if (previewId) {
+                // Posição e tamanho desfeitos aparecem sem esperar o próximo quadro
+                window.overlayManager.currentOverlay.updateFunction(true);
+            }
+            renderOverlays();
+        }
+    },
 
-function clearQuestionForm() {
-    // Reset save button to create mode
-    const saveButton = document.getElementById('saveQuestionButton');
-    if (saveButton) {
-        const icon = saveButton.querySelector('i');
+    edits: {
+        capture: () => cloneHistoryState(timelineState.currentEdits),
+        restore(state) {
+            timelineState.currentEdits = cloneHistoryState(state);
+            renderCutRanges();
+        }
+    },
+
+    video: {
+        capture: () => ({ currentVideoURL }),
+        restore(state) {
+            if (state.currentVideoURL === currentVideoURL) return;
+            currentVideoURL = state.currentVideoURL;
+            const videoPlayer = document.getElementById('videoPlayer');
+            if (videoPlayer) {
+                videoPlayer.src = currentVideoURL || '';
+                if (currentVideoURL) videoPlayer.load();
+            }
+            renderDetailsPanel(currentProject.questions[activeQuestionIndex] || null);
+        }
+    }
+};
+
+const HistoryManager = {
+    undoStack: [],
+    redoStack: [],
+    maxEntries: 100,
+    depth: 0, // Alterações aninhadas (ex.: setMarker → updateQuestion) viram um único comando
+    isApplying: false,
+    pendingGesture: null,
+
+    capture(domains) {
+        return Object.fromEntries(domains.map(domain => [domain, HistoryDomains[domain].capture()]));
+    },
+
+    createCommand(label, domains, before, after) {
+        return {
+            label,
+            undo: () => domains.forEach(domain => HistoryDomains[domain].restore(before[domain])),
+            redo: () => domains.forEach(domain => HistoryDomains[domain].restore(after[domain]))
+        };
+    },
+
+    record(command) {
+        if (this.isApplying) return;
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.maxEntries) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        console.log(`↩️ Histórico: "${command.label}" registrado (${this.undoStack.length} ações)`);
+    },
+
+    recordIfChanged(label, domains, before) {
+        const after = this.capture(domains);
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            this.record(this.createCommand(label, domains, before, after));
+        }
+    },
+
+    // Executa uma alteração síncrona e registra o que mudou nos domínios informados
+    track(label, domains, mutate) {
+        if (this.isApplying || this.depth > 0) return mutate();
+
+        const before = this.capture(domains);
+        this.depth++;
+        try {
+            return mutate();
+        } finally {
+            this.depth--;
+            this.recordIfChanged(label, domains, before);
+        }
+    },
+
+    async trackAsync(label, domains, mutate) {
+        if (this.isApplying || this.depth > 0) return mutate();
+
+        const before = this.capture(domains);
+        this.depth++;
+        try {
+            return await mutate();
+        } finally {
+            this.depth--;
+            this.recordIfChanged(label, domains, before);
+        }
+    },
+
+    // Arrastos na timeline começam no mousedown e terminam no mouseup
+    beginGesture(label, domains) {
+        if (this.isApplying) return;
+        this.pendingGesture = { label, domains, before: this.capture(domains) };
+    },
+
+    endGesture() {
+        const gesture = this.pendingGesture;
+        this.pendingGesture = null;
+        if (gesture) {
+            this.recordIfChanged(gesture.label, gesture.domains, gesture.before);
+        }
+    },
+
+    apply(fromStack, toStack, action) {
+        const command = fromStack.pop();
+        if (!command) {
+            showNotification(action === 'undo' ? 'Nada para desfazer.' : 'Nada para refazer.', 'info');
+            return;
+        }
+
+        this.isApplying = true;
+        try {
+            command[action]();
+            toStack.push(command);
+            showNotification(`${action === 'undo' ? 'Desfeito' : 'Refeito'}: ${command.label}`, 'info');
+        } catch (error) {
+            console.error(`❌ Erro ao ${action === 'undo' ? 'desfazer' : 'refazer'} "${command.label}":`, error);
+            showNotification(`Não foi possível ${action === 'undo' ? 'desfazer' : 'refazer'}: ${command.label}`, 'error');
+        } finally {
+            this.isApplying = false;
+        }
+    },
+
+    undo() {
+        this.apply(this.undoStack, this.redoStack, 'undo');
+    },
+
+    redo() {
+        this.apply(this.redoStack, this.undoStack, 'redo');
+    },
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingGesture = null;
+    }
+};
+
+// Ctrl+Z / Ctrl+Shift+Z chegam pelo processo principal; em campos de texto mantêm o comportamento nativo
+function handleHistoryShortcut(action) {
+    const activeElement = document.activeElement;
+    const isTextField = activeElement && (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA' || activeElement.isContentEditable);
+    if (isTextField) {
+        document.execCommand(action);
+        return;
+    }
+    HistoryManager[action]();
+}
+
+function initTimelineHistoryGestures() {
+    document.addEventListener('mousedown', (e) => {
+        const target = e.target.closest?.('.marker-item, .overlay-segment');
+        if (!target) return;
+        const label = target.classList.contains('marker-item') ? 'Mover marcador' : 'Ajustar overlay';
+        HistoryManager.beginGesture(label, ['markers', 'overlays']);
+    }, true);
+
+    // Registrar depois que os handlers de mouseup da timeline terminarem de sincronizar o estado
+    document.addEventListener('mouseup', () => {
+        if (HistoryManager.pendingGesture) {
+            setTimeout(() => HistoryManager.endGesture(), 0);
+        }
+    });
+}
+
+// ---------------------------------------------------------------------------------
+// MODAL DE GABARITO
+// ---------------------------------------------------------------------------------
+
+let gabaritoSelection = null; // Seleção em andamento no modal de gabarito
+
+function showGabaritoModal() {
+    const modal = document.getElementById('gabaritoModal');
+    const optionsContainer = document.getElementById('gabaritoOptions');
+    const confirmButton = document.getElementById('confirmGabarito');
+    const hint = modal.querySelector('.gabarito-hint');
+    const type = getEditorQuestionType();
+    const alternatives = getEditorAlternatives();
+    const currentAnswer = filterAnswerToAlternatives(getEditorAnswer(), alternatives);
+
+    optionsContainer.innerHTML = '';
+    confirmButton.disabled = true;
+    if (hint) hint.textContent = QuestionTypes[type].gabaritoHint;
+
+    if (type === 'open_response') {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'input';
+        input.min = '5';
+        input.max = '600';
+        input.step = '5';
+        input.value = currentAnswer || 120;
+        input.setAttribute('aria-label', 'Tempo máximo de resposta em segundos');
+
+        const updateSelection = () => {
+            gabaritoSelection = Number(input.value);
+            confirmButton.disabled = !(gabaritoSelection > 0);
+        };
+        input.addEventListener('input', updateSelection);
+        updateSelection();
+
+        optionsContainer.appendChild(input);
+        modal.classList.add('active');
+        input.focus();
+        return;
+    }
+
+    const isMultiple = type === 'multiple_answer' || type === 'ordering';
+    gabaritoSelection = isMultiple ? [...(currentAnswer || [])] : currentAnswer;
+
+    const refresh = () => {
+        const selected = isMultiple ? gabaritoSelection : [gabaritoSelection];
+        optionsContainer.querySelectorAll('.answer-choice').forEach(option => {
+            const alt = option.getAttribute('data-alternative');
+            option.classList.toggle('selected', selected.includes(alt));
+            if (type === 'ordering' && selected.includes(alt)) {
+                option.dataset.order = selected.indexOf(alt) + 1;
+            } else {
+                delete option.dataset.order;
+            }
+        });
+
+        if (type === 'ordering') {
+            confirmButton.disabled = gabaritoSelection.length !== alternatives.length;
+        } else if (isMultiple) {
+            confirmButton.disabled = gabaritoSelection.length === 0;
+        } else {
+            confirmButton.disabled = !gabaritoSelection;
+        }
+    };
+
+    alternatives.forEach(alt => {
+        const option = document.createElement('div'); // Use DIV instead of BUTTON
+        option.className = 'answer-choice'; // Use the correct class
+        option.textContent = getAlternativeLabel(type, alt);
+        option.setAttribute('data-alternative', alt);
+        option.setAttribute('role', 'button');
+        option.setAttribute('tabindex', '0');
+
+        option.addEventListener('click', () => {
+            if (!isMultiple) {
+                gabaritoSelection = alt;
+            } else if (gabaritoSelection.includes(alt)) {
+                gabaritoSelection = gabaritoSelection.filter(item => item !== alt);
+            } else {
+                gabaritoSelection = [...gabaritoSelection, alt];
+            }
+            refresh();
+        });
+
+        optionsContainer.appendChild(option);
+    });
+
+    refresh();
+    modal.classList.add('active');
+}
+
+function hideGabaritoModal() {
+    const modal = document.getElementById('gabaritoModal');
+    modal.classList.remove('active');
+}
+
+function confirmGabarito() {
+    const type = getEditorQuestionType();
+    const answer = Array.isArray(gabaritoSelection) ? [...gabaritoSelection] : gabaritoSelection;
+
+    if (answer === null || answer === undefined || (Array.isArray(answer) && answer.length === 0)) {
+            return;
+    }
+
+    const question = activeQuestionIndex >= 0 ? currentProject.questions[activeQuestionIndex] : null;
+
+    if (question && getQuestionType(question) === type) {
+        // Modo de edição - salvar na questão existente
+        HistoryManager.track('Alterar gabarito', ['questions'], () => {
+            question[QuestionTypes[type].answerField] = answer;
+            currentProject.isDirty = true;
+        });
+    } else {
+        // Modo de criação (ou tipo trocado ainda não salvo) - armazenar temporariamente
+        HistoryManager.track('Definir gabarito', ['questions'], () => {
+            tempCorrectAnswer = answer;
+        });
+    }
+
+    // Pausar o vídeo e atualizar a UI
+    if (videoPlayer) videoPlayer.pause();
+    renderDetailsPanel(question);
+
+    hideGabaritoModal();
+    const description = type === 'open_response' ? 'Tempo de resposta' : 'Gabarito definido';
+    showNotification(`${description}: ${formatQuestionAnswer(type, answer)}`, 'success');
+}
+
+function clearQuestionForm() {
+    // Reset save button to create mode
+    const saveButton = document.getElementById('saveQuestionButton');
+    if (saveButton) {
+        const icon = saveButton.querySelector('i');
         icon.className = 'fas fa-save';
         saveButton.setAttribute('data-hint', 'Salvar questão');
         saveButton.setAttribute('aria-label', 'Salvar questão');
@@ -6069,8 +7175,18 @@ function clearQuestionForm() {
 
     currentVideoURL = null;
     timelineState.currentMarkers = {};
+    timelineState.currentEdits = null;
+    timelineState.currentSegments = null;
+    renderVideoSegments();
+    discardMarkerSuggestions();
+    // Overlays pertencem à questão: salvos nela ou descartados junto com o formulário
+    window.overlayManager?.removeExistingOverlay();
+    OverlayState.loadOverlays([]);
+    renderOverlays();
     activeQuestionIndex = -1;
     tempCorrectAnswer = null;
+    currentAlternativesCount = null;
+    currentQuestionType = null;
     if (videoEditor) {
         videoEditor.clearSelection();
     }
@@ -6125,6 +7241,13 @@ function loadQuestionForEditing(question) {
     videoPlayer.src = question.video;
     currentVideoURL = question.video;
     timelineState.currentMarkers = { ...question.markers };
+    timelineState.currentEdits = question.edits ? cloneHistoryState(question.edits) : null;
+    timelineState.currentSegments = question.segments ? cloneHistoryState(question.segments) : null;
+    renderVideoSegments();
+    OverlayState.loadOverlays(cloneHistoryState(question.overlays || []));
+    renderOverlays();
+    currentAlternativesCount = getQuestionAlternativesCount(question);
+    currentQuestionType = getQuestionType(question);
 
     // Garantir que o vídeo comece pausado
     if (videoPlayer) {
@@ -6221,6 +7344,8 @@ function confirmProjectCreation() {
     currentProject.name = projectName;
     currentProject.totalAlternatives = alternativesCount;
     currentProject.isDirty = false;
+    currentProjectPath = null;
+    HistoryManager.clear();
 
     // Habilitar interface
     unlockInterface();
@@ -6425,7 +7550,24 @@ function setupInterfaceLock() {
 }
 
 // Mostrar modal inicial se necessário
-function checkAndShowInitialModal() {
+async function checkAndShowInitialModal() {
+    // Após uma saída inesperada, oferecer a sessão recuperada antes do modal de novo projeto
+    const recoveredSession = await AutosaveManager.checkRecovery();
+    if (recoveredSession) {
+        const savedAt = new Date(recoveredSession.savedAt).toLocaleString('pt-BR');
+        const shouldRestore = await showConfirmModal({
+            title: 'Recuperar sessão anterior?',
+            message: `O AvaLIBRAS não foi encerrado corretamente. Deseja restaurar "${recoveredSession.currentProject?.name}" (salvo automaticamente em ${savedAt})?`
+        });
+
+        if (shouldRestore) {
+            AutosaveManager.restore(recoveredSession);
+            showNotification('Sessão anterior recuperada. Salve o projeto para manter as alterações.', 'success');
+            return;
+        }
+        await AutosaveManager.discardRecovery();
+    }
+
     if (!isProjectInitialized()) {
         lockInterface();
         setTimeout(() => {
@@ -6725,6 +7867,21 @@ function initializeEventListeners() {
         gabaritoButton.addEventListener('click', showGabaritoModal);
     }
 
+    // Tipo e número de alternativas da questão em edição
+    const questionTypeSelect = document.getElementById('question-type');
+    if (questionTypeSelect) {
+        questionTypeSelect.addEventListener('change', (e) => setQuestionType(e.target.value));
+    }
+    const alternativesCountSelect = document.getElementById('question-alternatives-count');
+    if (alternativesCountSelect) {
+        alternativesCountSelect.addEventListener('change', (e) => setQuestionAlternativesCount(parseInt(e.target.value)));
+    }
+
+    // Sugestão automática de marcadores
+    document.getElementById('detect-markers-button')?.addEventListener('click', detectMarkerSuggestions);
+    document.getElementById('accept-marker-suggestions')?.addEventListener('click', () => acceptMarkerSuggestions());
+    document.getElementById('discard-marker-suggestions')?.addEventListener('click', discardMarkerSuggestions);
+
     // Initialize OverlayManager para botão de overlay
     const overlayButton = document.getElementById('overlayButton');
     if (overlayButton) {
@@ -6934,6 +8091,13 @@ function initializePlayerControls() {
     // Apenas preview de tempo ao passar o mouse sem indicador visual que prende o mouse
 }
 
+/** Escapa texto vindo de projetos e provas importados antes de montar HTML */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
 /** Formata segundos para o formato MM:SS.ms ou MM:SS */
 function formatTime(seconds, includeMilliseconds = true) {
     const minutes = Math.floor(seconds / 60);
@@ -6953,6 +8117,7 @@ function handleMenuAction(action) {
         case 'new-project': showNewProjectModal(); break;
         case 'open-project': openProject(); break;
         case 'save-project': saveProject(); break;
+        case 'save-as-project': saveProject(true); break;
         case 'export-proof': exportProof(); break;
         case 'add-question':
             clearQuestionForm();
@@ -6964,6 +8129,10 @@ function handleMenuAction(action) {
         // Menu Questão - Novas funcionalidades
         case 'import-questions': importQuestions(); break;
         case 'manage-questions': showManageQuestionsModal(); break;
+        case 'record-video': showRecordVideoModal(); break;
+        case 'question-segments': showSegmentsModal(); break;
+        case 'question-bank': showQuestionBankModal(); break;
+        case 'save-to-bank': saveActiveQuestionToBank(); break;
         case 'duplicate-question': duplicateCurrentQuestion(); break;
         case 'clear-all-questions': clearAllQuestions(); break;
 
@@ -6983,6 +8152,42 @@ function handleMenuAction(action) {
     }
 }
 
+// Carrega um arquivo de vídeo como vídeo da questão em edição
+function loadVideoIntoEditor(filePath) {
+    const videoUrl = `file://${filePath}`;
+
+    if (currentVideoURL && currentVideoURL.startsWith('blob:')) {
+        URL.revokeObjectURL(currentVideoURL);
+    }
+
+    videoPaths.set(videoUrl, filePath);
+    document.getElementById('videoPlayer').src = videoUrl;
+    currentVideoURL = videoUrl;
+    timelineState.currentEdits = null;
+    timelineState.currentSegments = null;
+    renderCutRanges();
+    renderVideoSegments();
+    discardMarkerSuggestions();
+    updateProjectUI();
+
+    // Atualizar estado do botão play/pause após carregar vídeo
+    setTimeout(() => {
+        const playPauseBtn = document.getElementById('play-pause');
+        const playPauseIcon = document.getElementById('play-pause-icon');
+        if (playPauseBtn) {
+            playPauseBtn.disabled = false;
+            playPauseBtn.style.cursor = 'pointer';
+            playPauseBtn.style.opacity = '1';
+            playPauseBtn.setAttribute('aria-disabled', 'false');
+            playPauseBtn.removeAttribute('title');
+            playPauseBtn.setAttribute('aria-pressed', 'false');
+            if (playPauseIcon && playPauseIcon.classList && playPauseIcon.classList.contains('fa-pause')) {
+                playPauseIcon.classList.replace('fa-pause', 'fa-play');
+            }
+        }
+    }, 100);
+}
+
 async function handleVideoUpload() {
     if (!window.electronAPI) return showNotification('API não disponível.', 'error');
     try {
@@ -6993,34 +8198,7 @@ async function handleVideoUpload() {
         });
 
         if (!result.canceled && result.filePaths.length > 0) {
-            const filePath = result.filePaths[0];
-            const videoUrl = `file://${filePath}`;
-            
-            if (currentVideoURL && currentVideoURL.startsWith('blob:')) {
-                URL.revokeObjectURL(currentVideoURL);
-            }
-
-            videoPaths.set(videoUrl, filePath);
-            document.getElementById('videoPlayer').src = videoUrl;
-            currentVideoURL = videoUrl;
-            updateProjectUI();
-
-            // Atualizar estado do botão play/pause após carregar vídeo
-            setTimeout(() => {
-                const playPauseBtn = document.getElementById('play-pause');
-                const playPauseIcon = document.getElementById('play-pause-icon');
-                if (playPauseBtn) {
-                    playPauseBtn.disabled = false;
-                    playPauseBtn.style.cursor = 'pointer';
-                    playPauseBtn.style.opacity = '1';
-                    playPauseBtn.setAttribute('aria-disabled', 'false');
-                    playPauseBtn.removeAttribute('title');
-                    playPauseBtn.setAttribute('aria-pressed', 'false');
-                    if (playPauseIcon && playPauseIcon.classList && playPauseIcon.classList.contains('fa-pause')) {
-                        playPauseIcon.classList.replace('fa-pause', 'fa-play');
-                    }
-                }
-            }, 100);
+            loadVideoIntoEditor(result.filePaths[0]);
         }
     } catch (error) {
         showNotification(`Erro ao selecionar vídeo: ${error.message}`, 'error');
@@ -7032,13 +8210,16 @@ async function saveCurrentQuestion() {
         // Validações básicas
         if (!currentVideoURL) throw new Error("Nenhum vídeo foi carregado para esta questão.");
 
-        // Verificar se há marcadores definidos
-        if (!timelineState.currentMarkers || Object.keys(timelineState.currentMarkers).length === 0) {
+        const type = getEditorQuestionType();
+        const expectedAlternatives = getEditorAlternatives();
+
+        // Verificar se há marcadores definidos (questões de resposta aberta não têm alternativas)
+        if (expectedAlternatives.length > 0 &&
+            (!timelineState.currentMarkers || Object.keys(timelineState.currentMarkers).length === 0)) {
             throw new Error("Defina pelo menos um marcador de tempo para a questão.");
         }
 
         // Verificar se todos os marcadores obrigatórios foram definidos
-        const expectedAlternatives = Array.from({ length: currentProject.totalAlternatives }, (_, i) => String.fromCharCode(65 + i));
         const missingMarkers = expectedAlternatives.filter(alt =>
             !timelineState.currentMarkers[alt] || timelineState.currentMarkers[alt] === 0
         );
@@ -7047,32 +8228,54 @@ async function saveCurrentQuestion() {
             throw new Error(`Defina os marcadores para as alternativas: ${missingMarkers.join(', ')}`);
         }
 
+        // Todas as violações de ordem, espaçamento e duração de uma vez, já destacadas na timeline
+        const ruleViolations = getMarkerRuleViolations(
+            timelineState.currentMarkers, expectedAlternatives, document.getElementById('videoPlayer')?.duration
+        );
+        if (ruleViolations.length > 0) {
+            throw new Error(ruleViolations.map(violation => violation.message).join('; '));
+        }
+
+        const answer = getEditorAnswer();
+        if (answer === null || answer === undefined || (Array.isArray(answer) && answer.length === 0)) {
+            throw new Error(type === 'open_response'
+                ? "Defina o tempo máximo de resposta antes de salvar."
+                : "Defina o gabarito da questão antes de salvar.");
+        }
+
         if (activeQuestionIndex >= 0) {
             // Modo de edição - usar gabarito existente
             const currentQuestion = currentProject.questions[activeQuestionIndex];
-            const correctAnswer = currentQuestion?.correctAnswer;
-            
-            if (!correctAnswer) {
-                throw new Error("Defina o gabarito da questão antes de salvar.");
-            }
 
             const updatedData = {
                 ...currentQuestion,
+                type: type,
                 video: currentVideoURL,
                 markers: timelineState.currentMarkers,
-                correctAnswer: correctAnswer
+                [QuestionTypes[type].answerField]: answer,
+                totalAlternatives: expectedAlternatives.length,
+                edits: timelineState.currentEdits,
+                segments: timelineState.currentSegments,
+                overlays: getEditorOverlays()
             };
+            delete updatedData.overlay;
             questionManager.updateQuestion(currentQuestion.originalIndex, updatedData);
 
         } else {
             // Modo de criação - usar gabarito temporário
-            const correctAnswer = tempCorrectAnswer;
-            if (!correctAnswer) {
-                throw new Error("Defina o gabarito da questão antes de salvar.");
-            }
-            questionManager.addQuestion(currentVideoURL, timelineState.currentMarkers, correctAnswer);
+            questionManager.addQuestion(currentVideoURL, timelineState.currentMarkers, answer, {
+                edits: timelineState.currentEdits,
+                segments: timelineState.currentSegments,
+                overlays: getEditorOverlays(),
+                totalAlternatives: expectedAlternatives.length,
+                type: type
+            });
         }
 
+        // Overlays antigos salvos nesta questão deixam de estar pendentes
+        const savedIds = new Set(getEditorOverlays().map(overlay => overlay.id));
+        currentProject.unassignedOverlays = (currentProject.unassignedOverlays || []).filter(overlay => !savedIds.has(overlay.id));
+
         // Atualizar interface
         renderQuestionGrid();
         updateProjectUI();
@@ -7095,6 +8298,11 @@ function showNewProjectModal() {
         return;
     }
 
+    const alternativesSelect = document.getElementById('alternativesCount');
+    if (alternativesSelect) {
+        alternativesSelect.value = String(AppSettings.get('defaultAlternatives'));
+    }
+
     modal.classList.add('active');
 
     // Focar no primeiro campo do formulário com verificação de segurança
@@ -7158,51 +8366,199 @@ async function openProject() {
     try {
         const result = await window.electronAPI.showOpenDialog({
             title: 'Abrir Projeto AvaLIBRAS',
-            filters: [{ name: 'Projeto AvaLIBRAS', extensions: ['avaproject'] }],
+            filters: [
+                { name: 'Projeto AvaLIBRAS', extensions: ['avaproject'] },
+                { name: 'Videoprova exportada', extensions: ['ava'] }
+            ],
             properties: ['openFile']
         });
 
         if (!result.canceled && result.filePaths.length > 0) {
             const filePath = result.filePaths[0];
-            const { projectData, missingFiles } = await window.electronAPI.openProject(filePath);
+            if (filePath.toLowerCase().endsWith('.ava')) {
+                return await openExportedExam(filePath);
+            }
+            const { projectData, missingFiles, migrationReport } = await window.electronAPI.openProject(filePath);
             
             if (missingFiles && missingFiles.length > 0) {
                 showNotification(`Arquivos de mídia ausentes: ${missingFiles.join(', ')}`, 'warn');
             }
+            notifyProjectMigration(migrationReport);
 
-            currentProject = projectData;
-            questionManager = new QuestionManager(currentProject);
-            clearQuestionForm();
+            applyOpenedProject(projectData, filePath);
 
             // Add to recent projects
-            addToRecentProjects(filePath, projectData.name);
-
-                    }
+            addToRecentProjects(filePath, currentProject.name);
+        }
     } catch (error) {
         showNotification(`Erro ao abrir projeto: ${error.message}`, 'error');
     }
 }
 
-async function saveProject() {
+// Informa quando um projeto de versão anterior foi atualizado ou veio com campos irrecuperáveis
+function notifyProjectMigration(migrationReport) {
+    if (!migrationReport) return;
+
+    if (migrationReport.applied.length > 0) {
+        console.log('🔄 Projeto migrado:', migrationReport.applied.join(', '));
+        showNotification(`Projeto da versão ${migrationReport.fromVersion} atualizado para ${migrationReport.toVersion}. Salve para gravar no novo formato.`, 'info');
+    }
+
+    if (migrationReport.unrecoverable.length > 0) {
+        console.warn('⚠️ Campos irrecuperáveis no projeto:', migrationReport.unrecoverable);
+        const details = migrationReport.unrecoverable.slice(0, 5).map(item => `${item.path}: ${item.message}`);
+        const remaining = migrationReport.unrecoverable.length - details.length;
+        showNotification(`Alguns dados do projeto não puderam ser recuperados:\n${details.join('\n')}${remaining > 0 ? `\n... e mais ${remaining}` : ''}`, 'warn');
+    }
+}
+
+// Reabre uma videoprova .ava já entregue como projeto editável
+// Extrai um .ava pedindo a senha até acertar; retorna null se o usuário cancelar
+async function extractExportedExam(filePath) {
+    let extracted = await window.electronAPI.extractAvaProject(filePath);
+
+    while (!extracted.success && (extracted.passwordRequired || extracted.wrongPassword)) {
+        const promptMessage = extracted.wrongPassword
+            ? 'Senha incorreta. Digite novamente a senha da videoprova:'
+            : 'Esta videoprova é protegida por senha. Digite a senha para abri-la:';
+        const password = await showPromptModal('Videoprova protegida', promptMessage, 'password');
+        if (password === null) return null;
+        extracted = await window.electronAPI.extractAvaProject(filePath, password);
+    }
+    return extracted;
+}
+
+async function openExportedExam(filePath) {
+    const extracted = await extractExportedExam(filePath);
+    if (!extracted) return;
+
+    if (!extracted.success) {
+        throw new Error(extracted.error || 'Não foi possível extrair a videoprova.');
+    }
+
+    if (extracted.missingFiles && extracted.missingFiles.length > 0) {
+        showNotification(`Arquivos de mídia ausentes: ${extracted.missingFiles.join(', ')}`, 'warn');
+    }
+
+    const questions = extracted.questions.map((question, index) => {
+        const questionNumber = Number(question.originalIndex) || index + 1;
+        return {
+            ...question,
+            label: question.label || `Questão ${questionNumber.toString().padStart(2, "0")}`,
+            small_label: question.small_label || questionNumber.toString().padStart(2, "0"),
+            type: getQuestionType(question),
+            markers: question.markers || {},
+            // Videoprovas antigas não gravavam o número de alternativas: deduzir pelos marcadores
+            totalAlternatives: question.totalAlternatives ?? (Object.keys(question.markers || {}).length || 4),
+            originalIndex: questionNumber,
+            overlays: question.overlays || []
+        };
+    });
+
+    // O videos.js não guarda o padrão do projeto: usar o maior número de alternativas entre as questões
+    const totalAlternatives = Math.max(0, ...questions.map(q => q.totalAlternatives)) || 4;
+
+    // O .ava extraído fica em pasta temporária, por isso o projeto nasce sem caminho e com alterações pendentes
+    applyOpenedProject({
+        metadata: { name: extracted.nomeProva },
+        totalAlternatives,
+        questions,
+        videoPaths: extracted.videoPaths
+    }, null);
+    currentProject.isDirty = true;
+    // A mídia extraída é apagada ao fechar o programa: o projeto salvo precisa levar sua própria cópia
+    currentProject.bundleMedia = true;
+
+    showNotification(`Videoprova "${currentProject.name}" importada com ${questions.length} questão(ões). Salve como projeto para manter as alterações.`, 'success');
+}
+
+// Converte o JSON salvo em disco (version/metadata/questions/videoPaths) no estado do editor
+function applyOpenedProject(projectData, filePath) {
+    const metadata = projectData.metadata || {};
+    const editorState = projectData.project || {};
+
+    currentProject = {
+        name: metadata.name || projectData.name || "Projeto sem Título",
+        type: editorState.type || projectData.type || "multiple_choice",
+        totalAlternatives: editorState.totalAlternatives || projectData.totalAlternatives || 4,
+        questions: projectData.questions || [],
+        created: metadata.created,
+        isDirty: false,
+        overlays: editorState.overlays || projectData.overlays || [],
+        unassignedOverlays: editorState.unassignedOverlays || [],
+        // Projetos anteriores à escolha gravada: mídia empacotada indica que ela já foi feita
+        bundleMedia: projectData.settings?.bundleMedia ?? (projectData.media?.directory ? true : null)
+    };
+
+    videoPaths = new Map(Object.entries(projectData.videoPaths || {}));
+    currentProjectPath = filePath;
+    activeQuestionIndex = -1;
+    HistoryManager.clear();
+
+    questionManager = new QuestionManager(currentProject);
+    clearQuestionForm();
+
+    // Overlays de projetos anteriores à 2.4 sem questão: ficam no editor até serem salvos em uma
+    const unassigned = currentProject.unassignedOverlays;
+    if (unassigned.length > 0) {
+        OverlayState.loadOverlays(cloneHistoryState(unassigned));
+        renderOverlays();
+        showNotification(`${unassigned.length} overlay(s) de uma versão anterior não pertencem a nenhuma questão. Eles foram carregados no editor: abra o vídeo da questão e salve-a para associá-los.`, 'warning');
+    }
+
+    unlockInterface();
+    updateInterfaceState();
+    updateProjectUI();
+    updateStatusBar();
+}
+
+async function saveProject(saveAs = false) {
     if (!window.electronAPI) return showNotification('API não disponível.', 'error');
     try {
-        const result = await window.electronAPI.showSaveDialog({
-            title: 'Salvar Projeto AvaLIBRAS',
-            defaultPath: `${currentProject.name.replace(/[^a-z0-9]/gi, '_')}.avaproject`,
-            filters: [{ name: 'Projeto AvaLIBRAS', extensions: ['avaproject'] }]
-        });
+        let filePath = saveAs ? null : currentProjectPath;
 
-        if (!result.canceled && result.filePath) {
-            await window.electronAPI.saveProject({
-                filePath: result.filePath,
-                projectData: currentProject,
-                videoPaths: Object.fromEntries(videoPaths)
+        if (!filePath) {
+            const result = await window.electronAPI.showSaveDialog({
+                title: 'Salvar Projeto AvaLIBRAS',
+                defaultPath: `${currentProject.name.replace(/[^a-z0-9]/gi, '_')}.avaproject`,
+                filters: [{ name: 'Projeto AvaLIBRAS', extensions: ['avaproject'] }]
+            });
+            if (result.canceled || !result.filePath) return;
+            filePath = result.filePath;
+        }
+
+        // Empacotar mídias permite mover o projeto para outro computador sem perder os vídeos.
+        // A escolha fica gravada no projeto: só é perguntada de novo em "Salvar como".
+        if (saveAs || typeof currentProject.bundleMedia !== 'boolean') {
+            const bundleChoice = await window.electronAPI.showMessageBox({
+                type: 'question',
+                title: 'Salvar Projeto',
+                message: 'Deseja incluir as mídias (vídeos e imagens) junto ao projeto?',
+                detail: 'As mídias serão copiadas para uma pasta "_media" ao lado do arquivo .avaproject.',
+                buttons: ['Incluir mídias', 'Somente o projeto'],
+                defaultId: 0,
+                cancelId: 1
             });
-            currentProject.isDirty = false;
+            currentProject.bundleMedia = bundleChoice.response === 0;
+        }
 
-            // Add to recent projects
-            addToRecentProjects(result.filePath, currentProject.name);
+        const saveResult = await window.electronAPI.saveProject({
+            filePath,
+            projectData: currentProject,
+            videoPaths: Object.fromEntries(videoPaths),
+            bundleMedia: currentProject.bundleMedia
+        });
+        currentProject.isDirty = false;
+        currentProjectPath = filePath;
+
+        // Add to recent projects
+        addToRecentProjects(filePath, currentProject.name);
 
+        if (saveResult?.skippedMedia?.length > 0) {
+            showNotification(`Projeto salvo, mas ${saveResult.skippedMedia.length} mídia(s) não foram encontradas e não foram copiadas.`, 'warn');
+        } else if (saveResult?.temporaryMediaBundled) {
+            showNotification(`Projeto salvo. Gravações e mídias importadas foram copiadas para a pasta "${saveResult.mediaDirectory}", pois a pasta temporária é apagada ao fechar o programa.`, 'success');
+        } else {
             showNotification('Projeto salvo com sucesso!', 'success');
         }
     } catch (error) {
@@ -7217,6 +8573,9 @@ async function exportProof() {
     }
 
     try {
+        const canExport = await runExportPreflight();
+        if (!canExport) return;
+
         const result = await window.electronAPI.showSaveDialog({
             title: 'Exportar Prova Final',
             defaultPath: `${currentProject.name.replace(/[^a-z0-9]/gi, '_')}.ava`,
@@ -7224,18 +8583,176 @@ async function exportProof() {
         });
 
         if (!result.canceled && result.filePath) {
-                        await window.electronAPI.exportTest({
+            // Overlays gravados no vídeo dispensam o player de reposicioná-los, mas não podem ser desligados
+            let overlayMode = 'data';
+            if (currentProject.questions.some(question => question.overlays?.length)) {
+                const overlayChoice = await window.electronAPI.showMessageBox({
+                    type: 'question',
+                    title: 'Exportar Prova Final',
+                    message: 'Como exportar os overlays das questões?',
+                    detail: 'Como dados, as imagens vão em arquivos separados, as legendas no videos.js, e o player as posiciona. Gravados no vídeo, aparecem exatamente como na pré-visualização.',
+                    buttons: ['Como dados (videos.js)', 'Gravar no vídeo', 'Cancelar'],
+                    defaultId: 0,
+                    cancelId: 2
+                });
+                if (overlayChoice.response === 2) return;
+                overlayMode = overlayChoice.response === 1 ? 'burn' : 'data';
+            }
+
+            const manifest = await window.electronAPI.exportTest({
                 filePath: result.filePath,
                 projectData: currentProject,
-                videoPaths: Object.fromEntries(videoPaths)
+                videoPaths: Object.fromEntries(videoPaths),
+                overlayMode
             });
-            showNotification('Prova exportada com sucesso!', 'success');
-        }
+            // O AdmZip não grava arquivos criptografados: a exportação nunca tem senha
+            const protectionNote = 'O arquivo .ava não é protegido por senha.';
+
+            if (manifest.skipped.length > 0) {
+                const typeLabels = { video: 'vídeo', overlay: 'overlay', segment: 'segmento' };
+                const skippedList = manifest.skipped.map(item => `${item.question} (${typeLabels[item.type] || item.type})`);
+                showNotification(`Prova exportada com ${manifest.skipped.length} item(ns) ausente(s): ${skippedList.join(', ')}. ${protectionNote}`, 'warn');
+            } else {
+                showNotification(`Prova exportada com sucesso! ${manifest.included.length} arquivo(s) incluído(s). ${protectionNote}`, 'success');
+            }
+        }
     } catch (error) {
         showNotification(`Erro ao exportar a prova: ${error.message}`, 'error');
     }
 }
 
+// Verifica todas as questões antes de gerar o .ava; retorna true quando a exportação pode seguir
+async function runExportPreflight() {
+    const mediaInfo = await window.electronAPI.preflightExport({
+        questions: currentProject.questions,
+        videoPaths: Object.fromEntries(videoPaths)
+    });
+
+    const report = currentProject.questions.map((question, index) => ({
+        index,
+        question,
+        label: question.label || `Questão ${index + 1}`,
+        issues: new Set()
+    }));
+
+    getProjectIntegrityIssues().forEach(issue => report[issue.index].issues.add(issue.message));
+
+    report.forEach(entry => {
+        const { question, issues } = entry;
+        const info = mediaInfo[entry.index] || {};
+
+        try {
+            questionManager.validateQuestion(question);
+        } catch (error) {
+            issues.add(error.message);
+        }
+
+        if (question.video && !info.videoFound) {
+            issues.add('Arquivo de vídeo não encontrado');
+        } else if (info.probeError) {
+            issues.add(`Não foi possível ler o vídeo: ${info.probeError}`);
+        }
+
+        if (question.markers) {
+            const orderedMarkers = Object.entries(question.markers).sort(([a], [b]) => a.localeCompare(b));
+            getMarkerRuleViolations(question.markers, orderedMarkers.map(([alternative]) => alternative), info.duration)
+                .forEach(violation => issues.add(`${violation.message}.`));
+            orderedMarkers.forEach(([alternative, time]) => {
+                if (question.edits && !EditDecisionList.isKept(question.edits.keptRanges, time)) {
+                    issues.add(`Marcador ${alternative} (${formatTime(time)}) está dentro de um trecho cortado do vídeo`);
+                }
+            });
+        }
+
+        (info.missingOverlays || []).forEach(label => {
+            issues.add(`Imagem do ${label} não encontrada (o overlay não será exportado)`);
+        });
+
+        (info.missingSegments || []).forEach(key => {
+            issues.add(`Segmento ${getSegmentLabel(key)} não encontrado (será exportada a pré-visualização unida)`);
+        });
+        if (question.segments?.exportMode === 'separate' && question.edits) {
+            issues.add('Cortes são ignorados ao exportar os segmentos como arquivos separados');
+        }
+    });
+
+    const problems = report.filter(entry => entry.issues.size > 0);
+    if (problems.length === 0) {
+        console.log('✅ Pré-verificação da exportação sem problemas');
+        return true;
+    }
+
+    console.warn('⚠️ Pré-verificação da exportação encontrou problemas:', problems);
+    return showExportPreflightModal(problems);
+}
+
+function showExportPreflightModal(problems) {
+    return new Promise((resolve) => {
+        const modal = document.getElementById('exportPreflightModal');
+        if (!modal) {
+            console.error('Export preflight modal not found in DOM.');
+            resolve(false);
+            return;
+        }
+
+        const list = modal.querySelector('.preflight-list');
+        const acknowledge = modal.querySelector('#preflightAcknowledge');
+        const confirmButton = modal.querySelector('#preflightConfirm');
+        const cancelButtons = modal.querySelectorAll('#preflightCancel, #preflightCancelBtn');
+
+        modal.querySelector('.preflight-summary').textContent =
+            `${problems.length} questão(ões) com problemas. Corrija-as ou confirme que deseja exportar assim mesmo.`;
+
+        list.innerHTML = '';
+        problems.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'preflight-item';
+            item.innerHTML = `
+                <div class="preflight-item-header">
+                    <span class="preflight-item-title">
+                        <i class="fas fa-exclamation-circle"></i>
+                    </span>
+                    <button type="button" class="btn btn-ghost btn-sm preflight-fix">
+                        <i class="fas fa-edit"></i>
+                        Corrigir
+                    </button>
+                </div>
+                <ul class="preflight-issues"></ul>
+            `;
+            // Rótulos e nomes de arquivo vêm do projeto: entram como texto
+            item.querySelector('.preflight-item-title').append(` ${entry.label}`);
+            const issuesList = item.querySelector('.preflight-issues');
+            entry.issues.forEach(issue => {
+                const issueItem = document.createElement('li');
+                issueItem.textContent = issue;
+                issuesList.appendChild(issueItem);
+            });
+            item.querySelector('.preflight-fix').onclick = () => {
+                closeModal(false);
+                loadQuestionForEditing(entry.question);
+            };
+            list.appendChild(item);
+        });
+
+        acknowledge.checked = false;
+        confirmButton.disabled = true;
+        acknowledge.onchange = () => confirmButton.disabled = !acknowledge.checked;
+
+        function closeModal(result) {
+            modal.classList.remove('active');
+            confirmButton.onclick = null;
+            acknowledge.onchange = null;
+            cancelButtons.forEach(button => button.onclick = null);
+            resolve(result);
+        }
+
+        confirmButton.onclick = () => closeModal(true);
+        cancelButtons.forEach(button => button.onclick = () => closeModal(false));
+
+        modal.classList.add('active');
+    });
+}
+
 // ---------------------------------------------------------------------------------
 // 5. UTILITÁRIOS
 // ---------------------------------------------------------------------------------
@@ -7446,6 +8963,44 @@ function showConfirmModal({ title, message }) {
     });
 }
 
+function showPromptModal(title, message, inputType = 'text') {
+    return new Promise((resolve) => {
+        const modal = document.getElementById('promptModal');
+        if (!modal) {
+            console.error('Prompt modal not found in DOM.');
+            resolve(null);
+            return;
+        }
+
+        const input = modal.querySelector('#promptInput');
+        modal.querySelector('.prompt-title').textContent = title || 'Informe um valor';
+        modal.querySelector('.prompt-message').textContent = message || '';
+        input.type = inputType;
+        input.value = '';
+
+        const confirmButton = modal.querySelector('#promptConfirm');
+        const cancelButtons = modal.querySelectorAll('#promptCancel, #promptCancelBtn');
+
+        const closeModal = (result) => {
+            modal.classList.remove('active');
+            confirmButton.onclick = null;
+            cancelButtons.forEach(button => button.onclick = null);
+            input.onkeydown = null;
+            resolve(result);
+        };
+
+        confirmButton.onclick = () => closeModal(input.value);
+        cancelButtons.forEach(button => button.onclick = () => closeModal(null));
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') closeModal(input.value);
+            else if (e.key === 'Escape') closeModal(null);
+        };
+
+        modal.classList.add('active');
+        setTimeout(() => input.focus(), 50);
+    });
+}
+
 function initializeWindowControls() {
     const minimizeButton = document.getElementById('minimize');
     const maximizeButton = document.getElementById('maximize');
@@ -7621,117 +9176,563 @@ function injectConfirmModalHTML() {
     document.body.insertAdjacentHTML('beforeend', modalHTML);
 }
 
-function injectProgressModalHTML() {
+function injectPromptModalHTML() {
     const modalHTML = `
-        <div class="modal-overlay" id="progressModal">
-            <div class="modal-base-desktop progress-modal-desktop">
+        <div class="modal-overlay" id="promptModal">
+            <div class="modal-base-desktop confirm-modal-desktop">
                 <div class="modal-header-desktop">
                     <h3 class="modal-title-desktop">
-                        <i class="fas fa-spinner fa-spin"></i>
-                        Processando
+                        <i class="fas fa-lock"></i>
+                        <span class="prompt-title">Informe um valor</span>
                     </h3>
+                    <button class="btn btn-ghost btn-icon" id="promptCancel">
+                        <i class="fas fa-times"></i>
+                    </button>
                 </div>
                 <div class="modal-body-desktop">
-                    <div class="progress-content-desktop">
-                        <div class="progress-loader-desktop"></div>
-                        <p class="progress-text-desktop">Processando...</p>
-                        <div class="progress-bar-desktop">
-                            <div class="progress-fill-desktop"></div>
-                        </div>
+                    <div class="form-group">
+                        <label for="promptInput" class="prompt-message"></label>
+                        <input type="password" id="promptInput" class="input" autocomplete="off">
                     </div>
                 </div>
+                <div class="modal-footer-desktop">
+                    <button type="button" class="btn btn-secondary" id="promptCancelBtn">
+                        <i class="fas fa-times"></i>
+                        Cancelar
+                    </button>
+                    <button type="button" class="btn btn-primary" id="promptConfirm">
+                        <i class="fas fa-check"></i>
+                        Confirmar
+                    </button>
+                </div>
             </div>
         </div>
     `;
     document.body.insertAdjacentHTML('beforeend', modalHTML);
 }
 
-function showProgressModal(message) {
-    const modal = document.getElementById('progressModal');
-    if (!modal) return;
-    const textElement = modal.querySelector('.progress-text-desktop');
-    const fillElement = modal.querySelector('.progress-fill-desktop');
-    if (textElement) textElement.textContent = message || 'Processando...';
-    if (fillElement) fillElement.style.width = '0%';
-    modal.classList.add('active');
+function injectExportPreflightModalHTML() {
+    const modalHTML = `
+        <div class="modal-overlay" id="exportPreflightModal">
+            <div class="modal-base-desktop preflight-modal-desktop">
+                <div class="modal-header-desktop">
+                    <h3 class="modal-title-desktop">
+                        <i class="fas fa-clipboard-check"></i>
+                        Verificação antes da Exportação
+                    </h3>
+                    <button class="btn btn-ghost btn-icon" id="preflightCancel">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body-desktop">
+                    <p class="preflight-summary"></p>
+                    <ul class="preflight-list"></ul>
+                    <label class="preflight-acknowledge">
+                        <input type="checkbox" id="preflightAcknowledge">
+                        Estou ciente dos problemas e quero exportar assim mesmo
+                    </label>
+                </div>
+                <div class="modal-footer-desktop">
+                    <button type="button" class="btn btn-secondary" id="preflightCancelBtn">
+                        <i class="fas fa-times"></i>
+                        Cancelar
+                    </button>
+                    <button type="button" class="btn btn-primary" id="preflightConfirm" disabled>
+                        <i class="fas fa-file-export"></i>
+                        Exportar assim mesmo
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
 }
 
-function updateProgressModal({ text, percent }) {
-    const modal = document.getElementById('progressModal');
-    if (!modal) return;
-    if (text) {
-        const textElement = modal.querySelector('.progress-text-desktop');
-        if (textElement) textElement.textContent = text;
-    }
-    if (percent !== undefined) {
-        const fillElement = modal.querySelector('.progress-fill-desktop');
-        if (fillElement) fillElement.style.width = `${percent}%`;
-    }
+function injectManageQuestionsModalHTML() {
+    const modalHTML = `
+        <div class="modal-overlay" id="manageQuestionsModal">
+            <div class="modal-base-desktop manage-questions-modal-desktop">
+                <div class="modal-header-desktop">
+                    <h3 class="modal-title-desktop">
+                        <i class="fas fa-list-ol"></i>
+                        Gerenciar Questões
+                    </h3>
+                    <button class="btn btn-ghost btn-icon" id="manageQuestionsClose">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body-desktop">
+                    <div class="manage-questions-toolbar">
+                        <label class="manage-questions-select-all">
+                            <input type="checkbox" id="manageQuestionsSelectAll">
+                            <span class="manage-questions-selection">0 selecionada(s)</span>
+                        </label>
+                        <select class="input" id="manageQuestionsAnswer" aria-label="Gabarito para as questões selecionadas"></select>
+                        <button type="button" class="btn btn-secondary btn-sm" id="manageQuestionsApplyAnswer" disabled>
+                            <i class="fas fa-check"></i>
+                            Aplicar gabarito
+                        </button>
+                        <button type="button" class="btn btn-secondary btn-sm" id="manageQuestionsDelete" disabled>
+                            <i class="fas fa-trash"></i>
+                            Excluir
+                        </button>
+                    </div>
+                    <ul class="manage-questions-list"></ul>
+                </div>
+                <div class="modal-footer-desktop">
+                    <button type="button" class="btn btn-primary" id="manageQuestionsCloseBtn">
+                        Fechar
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
 }
 
-function hideProgressModal() {
-    const modal = document.getElementById('progressModal');
-    if (!modal) return;
-    modal.classList.remove('active');
+function injectImportQuestionsModalHTML() {
+    const modalHTML = `
+        <div class="modal-overlay" id="importQuestionsModal">
+            <div class="modal-base-desktop manage-questions-modal-desktop">
+                <div class="modal-header-desktop">
+                    <h3 class="modal-title-desktop">
+                        <i class="fas fa-file-import"></i>
+                        Importar Questões de <span class="import-questions-source"></span>
+                    </h3>
+                    <button class="btn btn-ghost btn-icon" id="importQuestionsCancel">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body-desktop">
+                    <div class="manage-questions-toolbar">
+                        <label class="manage-questions-select-all">
+                            <input type="checkbox" id="importQuestionsSelectAll">
+                            <span class="import-questions-summary"></span>
+                        </label>
+                    </div>
+                    <ul class="manage-questions-list"></ul>
+                </div>
+                <div class="modal-footer-desktop">
+                    <button type="button" class="btn btn-secondary" id="importQuestionsCancelBtn">
+                        <i class="fas fa-times"></i>
+                        Cancelar
+                    </button>
+                    <button type="button" class="btn btn-primary" id="importQuestionsConfirm" disabled>
+                        <i class="fas fa-file-import"></i>
+                        Importar selecionadas
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
 }
 
-// ---------------------------------------------------------------------------------
-// SISTEMA DE MONITORAMENTO
-// ---------------------------------------------------------------------------------
-
-function updateSystemStats() {
-    // Memory usage estimation
-    if (window.performance && window.performance.memory) {
-        const memoryMB = Math.round(window.performance.memory.usedJSHeapSize / 1048576);
-        const memoryElement = document.getElementById('status-memory');
-        if (memoryElement) {
-            memoryElement.textContent = `${memoryMB} MB`;
-        }
-    } else {
-        // Fallback: estimate based on project size
-        const memoryElement = document.getElementById('status-memory');
-        if (memoryElement) {
-            const estimatedMB = Math.max(30, currentProject.questions.length * 2 + 10);
-            memoryElement.textContent = `${estimatedMB} MB (est.)`;
-        }
-    }
-
-    // CPU estimation (simplified - browser doesn't provide direct CPU access)
-    const cpuElement = document.getElementById('status-cpu');
-    if (cpuElement) {
-        // Simulated CPU usage based on application activity
-        const baseUsage = 2;
-        const videoUsage = currentVideoURL ? 3 : 0;
-        const questionUsage = currentProject.questions.length * 0.5;
-        const estimatedCPU = Math.round(baseUsage + videoUsage + questionUsage);
-        cpuElement.textContent = `CPU ${estimatedCPU}%`;
-    }
+function injectSettingsModalHTML() {
+    const presetOptions = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow']
+        .map(preset => `<option value="${preset}">${preset}</option>`).join('');
 
-    // Status update
-    const statusElement = document.getElementById('status-ready');
-    if (statusElement) {
-        if (currentProject.isDirty) {
-            statusElement.textContent = 'Modificado';
-            statusElement.style.color = 'var(--warning)';
-        } else {
-            statusElement.textContent = 'Pronto';
-            // Removido style.color para seguir padrão branco da statusbar
-        }
-    }
-}
+    const modalHTML = `
+        <div class="modal-overlay" id="settingsModal">
+            <div class="modal-base-desktop settings-modal-desktop">
+                <div class="modal-header-desktop">
+                    <h3 class="modal-title-desktop">
+                        <i class="fas fa-cog"></i>
+                        Configurações
+                    </h3>
+                    <button class="btn btn-ghost btn-icon" id="settingsCancel">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body-desktop">
+                    <h4 class="settings-section-title">Projetos</h4>
+                    <div class="form-group">
+                        <label for="settingsDefaultAlternatives">Alternativas em novos projetos</label>
+                        <select id="settingsDefaultAlternatives" class="input" data-setting="defaultAlternatives">
+                            <option value="4">4 Alternativas (A, B, C, D)</option>
+                            <option value="5">5 Alternativas (A, B, C, D, E)</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="settingsMaxQuestions">Limite de questões por projeto</label>
+                        <input type="number" id="settingsMaxQuestions" class="input" min="1" max="9999" step="1" data-setting="maxQuestions">
+                    </div>
+                    <div class="form-group">
+                        <label for="settingsMaxRecent">Projetos recentes exibidos</label>
+                        <input type="number" id="settingsMaxRecent" class="input" min="1" max="20" step="1" data-setting="maxRecentProjects">
+                    </div>
 
-// ---------------------------------------------------------------------------------
-// 6. INICIALIZAÇÃO DA APLICAÇÃO
-// ---------------------------------------------------------------------------------
+                    <h4 class="settings-section-title">Edição de vídeo</h4>
+                    <div class="form-group">
+                        <label for="settingsMinSelection">Duração mínima da seleção de corte (segundos)</label>
+                        <input type="number" id="settingsMinSelection" class="input" min="0.1" max="10" step="0.1" data-setting="minSelectionDuration">
+                    </div>
 
-document.addEventListener('DOMContentLoaded', () => {
-    try {
-    console.log("AvaLIBRAS v2.0 - Carregando aplicação...");
+                    <h4 class="settings-section-title">Marcadores</h4>
+                    <div class="form-group">
+                        <label for="settingsMarkerOrder">Ordem das alternativas</label>
+                        <select id="settingsMarkerOrder" class="input" data-setting="markerStrictOrder">
+                            <option value="true">Exigir A antes de B antes de C...</option>
+                            <option value="false">Livre</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="settingsMarkerMinGap">Distância mínima entre marcadores (segundos, 0 desativa)</label>
+                        <input type="number" id="settingsMarkerMinGap" class="input" min="0" max="10" step="0.1" data-setting="markerMinGap">
+                    </div>
+                    <div class="form-group">
+                        <label for="settingsMarkerWithinDuration">Marcadores fora do vídeo</label>
+                        <select id="settingsMarkerWithinDuration" class="input" data-setting="markerWithinDuration">
+                            <option value="true">Bloquear</option>
+                            <option value="false">Permitir</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="settingsEncodingPreset">Preset de codificação (libx264)</label>
+                        <select id="settingsEncodingPreset" class="input" data-setting="encodingPreset">${presetOptions}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="settingsEncodingCrf">Qualidade CRF (0 = sem perdas, 51 = pior)</label>
+                        <input type="number" id="settingsEncodingCrf" class="input" min="0" max="51" step="1" data-setting="encodingCrf">
+                    </div>
 
-    // Inicializar componentes existentes
-    injectModalHTMLAndCSS();
-    injectConfirmModalHTML();
-    injectProgressModalHTML();
+                    <h4 class="settings-section-title">Arquivos temporários</h4>
+                    <div class="form-group">
+                        <label for="settingsTempDirectory">Pasta (vazio usa a pasta temporária do sistema)</label>
+                        <div class="settings-path-row">
+                            <input type="text" id="settingsTempDirectory" class="input" readonly data-setting="tempDirectory">
+                            <button type="button" class="btn btn-secondary btn-sm" id="settingsBrowseTemp">
+                                <i class="fas fa-folder-open"></i>
+                            </button>
+                            <button type="button" class="btn btn-ghost btn-sm" id="settingsResetTemp" title="Usar pasta do sistema">
+                                <i class="fas fa-undo"></i>
+                            </button>
+                        </div>
+                        <div class="input-hint">Em uso: <span class="settings-temp-in-use"></span></div>
+                    </div>
+                </div>
+                <div class="modal-footer-desktop">
+                    <button type="button" class="btn btn-secondary" id="settingsCancelBtn">
+                        <i class="fas fa-times"></i>
+                        Cancelar
+                    </button>
+                    <button type="button" class="btn btn-primary" id="settingsSave">
+                        <i class="fas fa-save"></i>
+                        Salvar
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+}
+
+function injectQuestionBankModalHTML() {
+    const modalHTML = `
+        <div class="modal-overlay" id="questionBankModal">
+            <div class="modal-base-desktop manage-questions-modal-desktop">
+                <div class="modal-header-desktop">
+                    <h3 class="modal-title-desktop">
+                        <i class="fas fa-database"></i>
+                        Banco de Questões
+                    </h3>
+                    <button class="btn btn-ghost btn-icon" id="questionBankClose">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body-desktop">
+                    <div class="manage-questions-toolbar">
+                        <input type="search" class="input" id="questionBankSearch" placeholder="Buscar por título, assunto ou tag">
+                        <select class="input" id="questionBankTag" aria-label="Filtrar por tag"></select>
+                        <span class="question-bank-count"></span>
+                    </div>
+                    <ul class="manage-questions-list"></ul>
+                </div>
+                <div class="modal-footer-desktop">
+                    <button type="button" class="btn btn-primary" id="questionBankCloseBtn">
+                        Fechar
+                    </button>
+                </div>
+            </div>
+        </div>
+        <div class="modal-overlay" id="saveToBankModal">
+            <div class="modal-base-desktop">
+                <div class="modal-header-desktop">
+                    <h3 class="modal-title-desktop">
+                        <i class="fas fa-database"></i>
+                        Salvar no Banco: <span class="save-to-bank-question"></span>
+                    </h3>
+                    <button class="btn btn-ghost btn-icon" id="saveToBankCancel">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body-desktop">
+                    <div class="form-group">
+                        <label for="saveToBankSubject">Assunto</label>
+                        <input type="text" id="saveToBankSubject" class="input" maxlength="100" placeholder="Ex.: Geografia">
+                    </div>
+                    <div class="form-group">
+                        <label for="saveToBankTags">Tags</label>
+                        <input type="text" id="saveToBankTags" class="input" placeholder="Ex.: relevo, 6º ano">
+                        <div class="input-hint">Separe as tags por vírgula</div>
+                    </div>
+                </div>
+                <div class="modal-footer-desktop">
+                    <button type="button" class="btn btn-secondary" id="saveToBankCancelBtn">
+                        <i class="fas fa-times"></i>
+                        Cancelar
+                    </button>
+                    <button type="button" class="btn btn-primary" id="saveToBankConfirm">
+                        <i class="fas fa-save"></i>
+                        Salvar no banco
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+}
+
+function injectSegmentsModalHTML() {
+    const modalHTML = `
+        <div class="modal-overlay" id="segmentsModal">
+            <div class="modal-base-desktop segments-modal-desktop">
+                <div class="modal-header-desktop">
+                    <h3 class="modal-title-desktop">
+                        <i class="fas fa-film"></i>
+                        Montar Questão por Segmentos
+                    </h3>
+                    <button class="btn btn-ghost btn-icon" id="segmentsClose">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body-desktop">
+                    <p class="text-sm segments-hint">
+                        Escolha ou grave um clipe para o enunciado e para cada alternativa. Os clipes são unidos na ordem abaixo
+                        e os marcadores ficam no início de cada alternativa.
+                    </p>
+                    <ul class="segments-list"></ul>
+                    <div class="form-group">
+                        <label>Na exportação</label>
+                        <label class="segments-export-option">
+                            <input type="radio" name="segmentsExportMode" value="join">
+                            Unir em um único vídeo com marcadores automáticos
+                        </label>
+                        <label class="segments-export-option">
+                            <input type="radio" name="segmentsExportMode" value="separate">
+                            Enviar cada segmento como um arquivo separado
+                        </label>
+                    </div>
+                </div>
+                <div class="modal-footer-desktop">
+                    <button type="button" class="btn btn-ghost" id="segmentsUnset">
+                        <i class="fas fa-unlink"></i>
+                        Usar como vídeo único
+                    </button>
+                    <button type="button" class="btn btn-secondary" id="segmentsCancel">
+                        <i class="fas fa-times"></i>
+                        Cancelar
+                    </button>
+                    <button type="button" class="btn btn-primary" id="segmentsApply">
+                        <i class="fas fa-check"></i>
+                        Unir segmentos
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+}
+
+function injectRecordVideoModalHTML() {
+    const modalHTML = `
+        <div class="modal-overlay" id="recordVideoModal">
+            <div class="modal-base-desktop record-video-modal-desktop">
+                <div class="modal-header-desktop">
+                    <h3 class="modal-title-desktop">
+                        <i class="fas fa-video"></i>
+                        Gravar Vídeo da Questão
+                    </h3>
+                    <button class="btn btn-ghost btn-icon" id="recordVideoClose">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body-desktop">
+                    <div class="record-video-stage">
+                        <video id="recordVideoPreview" class="record-video-preview" autoplay muted playsinline></video>
+                        <div class="record-video-countdown" hidden></div>
+                        <div class="record-video-status">
+                            <span class="record-video-indicator"></span>
+                            <span id="recordVideoTimer">0:00</span>
+                        </div>
+                    </div>
+                    <div class="record-video-devices">
+                        <div class="form-group">
+                            <label for="recordVideoCamera">Câmera</label>
+                            <select id="recordVideoCamera" class="input"></select>
+                        </div>
+                        <div class="form-group">
+                            <label for="recordVideoMic">Microfone</label>
+                            <select id="recordVideoMic" class="input"></select>
+                        </div>
+                        <div class="form-group">
+                            <label for="recordVideoCountdown">Contagem regressiva</label>
+                            <select id="recordVideoCountdown" class="input">
+                                <option value="0">Sem contagem</option>
+                                <option value="3" selected>3 segundos</option>
+                                <option value="5">5 segundos</option>
+                                <option value="10">10 segundos</option>
+                            </select>
+                        </div>
+                    </div>
+                </div>
+                <div class="modal-footer-desktop">
+                    <button type="button" class="btn btn-secondary" id="recordVideoCancel">
+                        <i class="fas fa-times"></i>
+                        Cancelar
+                    </button>
+                    <button type="button" class="btn btn-secondary" id="recordVideoRetake" hidden>
+                        <i class="fas fa-redo"></i>
+                        Regravar
+                    </button>
+                    <button type="button" class="btn btn-primary" id="recordVideoStart">
+                        <i class="fas fa-circle"></i>
+                        Gravar
+                    </button>
+                    <button type="button" class="btn btn-primary" id="recordVideoStop" hidden>
+                        <i class="fas fa-stop"></i>
+                        Parar
+                    </button>
+                    <button type="button" class="btn btn-primary" id="recordVideoUse" hidden>
+                        <i class="fas fa-check"></i>
+                        Usar gravação
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+}
+
+function injectProgressModalHTML() {
+    const modalHTML = `
+        <div class="modal-overlay" id="progressModal">
+            <div class="modal-base-desktop progress-modal-desktop">
+                <div class="modal-header-desktop">
+                    <h3 class="modal-title-desktop">
+                        <i class="fas fa-spinner fa-spin"></i>
+                        Processando
+                    </h3>
+                </div>
+                <div class="modal-body-desktop">
+                    <div class="progress-content-desktop">
+                        <div class="progress-loader-desktop"></div>
+                        <p class="progress-text-desktop">Processando...</p>
+                        <div class="progress-bar-desktop">
+                            <div class="progress-fill-desktop"></div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+}
+
+function showProgressModal(message) {
+    const modal = document.getElementById('progressModal');
+    if (!modal) return;
+    const textElement = modal.querySelector('.progress-text-desktop');
+    const fillElement = modal.querySelector('.progress-fill-desktop');
+    if (textElement) textElement.textContent = message || 'Processando...';
+    if (fillElement) fillElement.style.width = '0%';
+    modal.classList.add('active');
+}
+
+function updateProgressModal({ text, percent }) {
+    const modal = document.getElementById('progressModal');
+    if (!modal) return;
+    if (text) {
+        const textElement = modal.querySelector('.progress-text-desktop');
+        if (textElement) textElement.textContent = text;
+    }
+    if (percent !== undefined) {
+        const fillElement = modal.querySelector('.progress-fill-desktop');
+        if (fillElement) fillElement.style.width = `${percent}%`;
+    }
+}
+
+function hideProgressModal() {
+    const modal = document.getElementById('progressModal');
+    if (!modal) return;
+    modal.classList.remove('active');
+}
+
+// ---------------------------------------------------------------------------------
+// SISTEMA DE MONITORAMENTO
+// ---------------------------------------------------------------------------------
+
+function updateSystemStats() {
+    // Memory usage estimation
+    if (window.performance && window.performance.memory) {
+        const memoryMB = Math.round(window.performance.memory.usedJSHeapSize / 1048576);
+        const memoryElement = document.getElementById('status-memory');
+        if (memoryElement) {
+            memoryElement.textContent = `${memoryMB} MB`;
+        }
+    } else {
+        // Fallback: estimate based on project size
+        const memoryElement = document.getElementById('status-memory');
+        if (memoryElement) {
+            const estimatedMB = Math.max(30, currentProject.questions.length * 2 + 10);
+            memoryElement.textContent = `${estimatedMB} MB (est.)`;
+        }
+    }
+
+    // CPU estimation (simplified - browser doesn't provide direct CPU access)
+    const cpuElement = document.getElementById('status-cpu');
+    if (cpuElement) {
+        // Simulated CPU usage based on application activity
+        const baseUsage = 2;
+        const videoUsage = currentVideoURL ? 3 : 0;
+        const questionUsage = currentProject.questions.length * 0.5;
+        const estimatedCPU = Math.round(baseUsage + videoUsage + questionUsage);
+        cpuElement.textContent = `CPU ${estimatedCPU}%`;
+    }
+
+    // Status update
+    const statusElement = document.getElementById('status-ready');
+    if (statusElement) {
+        if (currentProject.isDirty) {
+            statusElement.textContent = 'Modificado';
+            statusElement.style.color = 'var(--warning)';
+        } else {
+            statusElement.textContent = 'Pronto';
+            // Removido style.color para seguir padrão branco da statusbar
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------------
+// 6. INICIALIZAÇÃO DA APLICAÇÃO
+// ---------------------------------------------------------------------------------
+
+document.addEventListener('DOMContentLoaded', () => {
+    try {
+    console.log("AvaLIBRAS v2.0 - Carregando aplicação...");
+
+    // Inicializar componentes existentes
+    injectModalHTMLAndCSS();
+    injectConfirmModalHTML();
+    injectPromptModalHTML();
+    injectExportPreflightModalHTML();
+    injectManageQuestionsModalHTML();
+    injectImportQuestionsModalHTML();
+    injectSettingsModalHTML();
+    injectQuestionBankModalHTML();
+    injectSegmentsModalHTML();
+    injectRecordVideoModalHTML();
+    injectProgressModalHTML();
     initializeEventListeners();
     initializeResizeHandles();
     initializeWindowControls();
@@ -7744,8 +9745,14 @@ document.addEventListener('DOMContentLoaded', () => {
     // Inicializar timeline avançada
     renderTimeline();
 
-    // VERIFICAÇÃO CRÍTICA DO MVP: Mostrar modal inicial se necessário
-    checkAndShowInitialModal();
+    // VERIFICAÇÃO CRÍTICA DO MVP: Mostrar modal inicial se necessário (após ler as preferências)
+    AppSettings.load().then(() => checkAndShowInitialModal());
+
+    // Salvamento automático para recuperação após falhas
+    AutosaveManager.start();
+
+    // Registrar arrastos de marcadores/overlays no histórico de desfazer
+    initTimelineHistoryGestures();
 
     // Configurar sistema de bloqueio de interface
     setupInterfaceLock();
@@ -7779,10 +9786,18 @@ document.addEventListener('DOMContentLoaded', () => {
 
         if (window.electronAPI && window.electronAPI.onExportProject) {
             window.electronAPI.onExportProject(() => {
-                exportProject();
+                exportProof();
             });
         }
 
+        if (window.electronAPI && window.electronAPI.onUndo) {
+            window.electronAPI.onUndo(() => handleHistoryShortcut('undo'));
+        }
+
+        if (window.electronAPI && window.electronAPI.onRedo) {
+            window.electronAPI.onRedo(() => handleHistoryShortcut('redo'));
+        }
+
         // Window state listeners
         if (window.electronAPI && window.electronAPI.onWindowMaximize) {
             window.electronAPI.onWindowMaximize(() => {
@@ -7940,38 +9955,1208 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Menu Questão - Funcionalidades
 async function importQuestions() {
-  }
+    if (!window.electronAPI) return showNotification('API não disponível.', 'error');
 
-function showManageQuestionsModal() {
-    if (currentProject.questions.length === 0) {
-        showNotification('Nenhuma questão para gerenciar.', 'warning');
+    const availableSlots = getMaxQuestions() - currentProject.questions.length;
+    if (availableSlots <= 0) {
+        showNotification(`Limite de ${getMaxQuestions()} questões atingido.`, 'error');
         return;
     }
 
-      // TODO: Implementar modal de gerenciamento de questões
-}
+    try {
+        const result = await window.electronAPI.showOpenDialog({
+            title: 'Importar Questões',
+            filters: [
+                { name: 'Projetos e videoprovas', extensions: ['avaproject', 'ava'] },
+                { name: 'Projeto AvaLIBRAS', extensions: ['avaproject'] },
+                { name: 'Videoprova exportada', extensions: ['ava'] }
+            ],
+            properties: ['openFile']
+        });
+        if (result.canceled || result.filePaths.length === 0) return;
 
-function duplicateCurrentQuestion() {
-    if (activeQuestionIndex === -1 || !currentProject.questions[activeQuestionIndex]) {
-        showNotification('Selecione uma questão para duplicar.', 'warning');
-        return;
+        const source = await loadImportSource(result.filePaths[0]);
+        if (!source) return;
+        if (source.questions.length === 0) {
+            showNotification('O arquivo selecionado não contém questões.', 'warning');
+            return;
+        }
+
+        const selected = await showImportQuestionsModal(source, availableSlots);
+        if (!selected || selected.length === 0) return;
+
+        await mergeImportedQuestions(selected, source.videoPaths);
+    } catch (error) {
+        console.error('❌ Erro ao importar questões:', error);
+        showNotification(`Erro ao importar questões: ${error.message}`, 'error');
     }
+}
 
-    if (currentProject.questions.length >= 90) {
-        showNotification('Limite de 90 questões atingido.', 'error');
-        return;
+// Lê as questões de um .avaproject ou .ava sem alterar o projeto aberto
+async function loadImportSource(filePath) {
+    if (filePath.toLowerCase().endsWith('.ava')) {
+        const extracted = await extractExportedExam(filePath);
+        if (!extracted) return null;
+        if (!extracted.success) {
+            throw new Error(extracted.error || 'Não foi possível extrair a videoprova.');
+        }
+        return { name: extracted.nomeProva, questions: extracted.questions, videoPaths: extracted.videoPaths };
     }
 
-    const originalQuestion = currentProject.questions[activeQuestionIndex];
-    const duplicatedQuestion = {
-        ...originalQuestion,
-        label: `Questão ${questionManager._getNextQuestionNumber()}`,
-        small_label: questionManager._getNextQuestionNumber().toString().padStart(2, "0"),
+    const { projectData } = await window.electronAPI.openProject(filePath);
+    return {
+        name: projectData.metadata?.name || filePath.split(/[\\/]/).pop(),
+        questions: projectData.questions || [],
+        videoPaths: projectData.videoPaths || {}
+    };
+}
+
+function showImportQuestionsModal(source, availableSlots) {
+    return new Promise((resolve) => {
+        const modal = document.getElementById('importQuestionsModal');
+        if (!modal) {
+            console.error('Import questions modal not found in DOM.');
+            resolve(null);
+            return;
+        }
+
+        const list = modal.querySelector('.manage-questions-list');
+        const summary = modal.querySelector('.import-questions-summary');
+        const confirmButton = modal.querySelector('#importQuestionsConfirm');
+        const selectAll = modal.querySelector('#importQuestionsSelectAll');
+        const cancelButtons = modal.querySelectorAll('#importQuestionsCancel, #importQuestionsCancelBtn');
+
+        modal.querySelector('.import-questions-source').textContent = source.name;
+
+        const getChecked = () => [...list.querySelectorAll('.manage-question-select:checked')];
+        const updateSummary = () => {
+            const count = getChecked().length;
+            const overLimit = count > availableSlots;
+            summary.textContent = overLimit
+                ? `${count} selecionada(s): o projeto comporta apenas mais ${availableSlots} questão(ões).`
+                : `${count} de ${source.questions.length} selecionada(s) • ${availableSlots} vaga(s) no projeto`;
+            summary.classList.toggle('import-questions-over-limit', overLimit);
+            confirmButton.disabled = count === 0 || overLimit;
+            selectAll.checked = count === source.questions.length;
+            selectAll.indeterminate = count > 0 && count < source.questions.length;
+        };
+
+        list.innerHTML = '';
+        source.questions.forEach((question, index) => {
+            const markers = Object.entries(question.markers || {})
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([alt, time]) => `<span class="manage-question-marker">${escapeHtml(alt)} ${formatTime(time)}</span>`)
+                .join('');
+
+            const item = document.createElement('li');
+            item.className = 'manage-question-item';
+            item.innerHTML = `
+                <input type="checkbox" class="manage-question-select" data-index="${index}" aria-label="Importar ${escapeHtml(question.label)}">
+                <div class="manage-question-thumb"><i class="fas fa-film"></i></div>
+                <div class="manage-question-info">
+                    <div class="manage-question-title">
+                        ${escapeHtml(question.label || `Questão ${index + 1}`)}
+                        <span class="manage-question-duration">--:--</span>
+                    </div>
+                    <div class="manage-question-markers">${markers || '<em>Sem marcadores</em>'}</div>
+                </div>
+                <span class="manage-question-answer" title="Gabarito">${escapeHtml(formatQuestionAnswer(getQuestionType(question), getQuestionAnswer(question)))}</span>
+                <i class="fas fa-layer-group manage-question-overlay ${question.overlays?.length ? 'has-overlay' : ''}"
+                   title="${question.overlays?.length ? `${question.overlays.length} overlay(s)` : 'Sem overlay'}"></i>
+            `;
+            item.querySelector('.manage-question-select').addEventListener('change', updateSummary);
+
+            getQuestionPreview(question).then(({ thumbnail, duration }) => {
+                if (thumbnail) {
+                    item.querySelector('.manage-question-thumb').innerHTML = `<img src="${thumbnail}" alt="">`;
+                }
+                if (duration) {
+                    item.querySelector('.manage-question-duration').textContent = formatTime(duration);
+                }
+            });
+
+            list.appendChild(item);
+        });
+
+        function closeModal(result) {
+            modal.classList.remove('active');
+            confirmButton.onclick = null;
+            selectAll.onchange = null;
+            cancelButtons.forEach(button => button.onclick = null);
+            resolve(result);
+        }
+
+        selectAll.onchange = () => {
+            list.querySelectorAll('.manage-question-select').forEach(checkbox => checkbox.checked = selectAll.checked);
+            updateSummary();
+        };
+        confirmButton.onclick = () => closeModal(getChecked().map(checkbox => source.questions[Number(checkbox.dataset.index)]));
+        cancelButtons.forEach(button => button.onclick = () => closeModal(null));
+
+        updateSummary();
+        modal.classList.add('active');
+    });
+}
+
+async function mergeImportedQuestions(selectedQuestions, sourceVideoPaths) {
+    const media = await window.electronAPI.importQuestionMedia({
+        questions: selectedQuestions,
+        videoPaths: sourceVideoPaths,
+        projectFilePath: currentProjectPath,
+        projectName: currentProject.name
+    });
+
+    if (media.missingFiles.length > 0) {
+        showNotification(`Arquivos de mídia ausentes: ${media.missingFiles.join(', ')}`, 'warn');
+    }
+
+    // Questões sem vídeo não podem ser editadas nem exportadas
+    const importable = media.questions.filter(question => question.video && media.videoPaths[question.video]);
+    if (importable.length === 0) {
+        showNotification('Nenhuma questão importada: os vídeos de origem não foram encontrados.', 'error');
+        return;
+    }
+
+    HistoryManager.track('Importar questões', ['questions'], () => {
+        importable.forEach(question => {
+            const questionNumber = questionManager._getNextQuestionNumber();
+            currentProject.questions.push({
+                ...question,
+                label: `Questão ${questionNumber.toString().padStart(2, "0")}`,
+                small_label: questionNumber.toString().padStart(2, "0"),
+                type: getQuestionType(question),
+                markers: questionManager.normalizeMarkers(question.markers || {}),
+                totalAlternatives: question.totalAlternatives ?? (Object.keys(question.markers || {}).length || currentProject.totalAlternatives),
+                originalIndex: questionNumber,
+                overlays: question.overlays || [],
+                edits: question.edits || null
+            });
+        });
+        currentProject.isDirty = true;
+    });
+    Object.entries(media.videoPaths).forEach(([key, value]) => videoPaths.set(key, value));
+
+    updateProjectUI();
+    showNotification(media.temporary
+        ? `${importable.length} questão(ões) importada(s). Salve o projeto para guardar as mídias importadas: até lá elas ficam numa pasta temporária, apagada ao fechar o programa.`
+        : `${importable.length} questão(ões) importada(s).`, 'success');
+}
+
+// ----- Gerenciar Questões -----
+
+// Miniatura e duração por vídeo: gerar exige decodificar o arquivo, então o resultado fica em cache
+const questionPreviewCache = new Map();
+
+function getQuestionPreview(question) {
+    if (questionPreviewCache.has(question.video)) {
+        return questionPreviewCache.get(question.video);
+    }
+
+    const preview = new Promise((resolve) => {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'metadata';
+
+        const finish = (thumbnail) => {
+            const duration = Number.isFinite(video.duration) ? video.duration : null;
+            video.removeAttribute('src');
+            video.load();
+            resolve({ thumbnail, duration });
+        };
+
+        video.addEventListener('loadedmetadata', () => {
+            // Evita o quadro preto inicial comum em gravações
+            video.currentTime = Math.min(1, video.duration / 2);
+        }, { once: true });
+
+        video.addEventListener('seeked', () => {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = 160;
+                canvas.height = 90;
+                canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+                finish(canvas.toDataURL('image/jpeg', 0.7));
+            } catch (error) {
+                console.warn('⚠️ Não foi possível gerar miniatura:', error);
+                finish(null);
+            }
+        }, { once: true });
+
+        video.addEventListener('error', () => finish(null), { once: true });
+        video.src = question.video;
+    });
+
+    questionPreviewCache.set(question.video, preview);
+    return preview;
+}
+
+// Numeração segue a posição na lista, que também define os nomes Q_XX na exportação
+function renumberQuestions() {
+    currentProject.questions.forEach((question, index) => {
+        const number = index + 1;
+        question.label = `Questão ${number.toString().padStart(2, "0")}`;
+        question.small_label = number.toString().padStart(2, "0");
+        question.originalIndex = number;
+    });
+}
+
+function moveQuestion(fromIndex, toIndex) {
+    if (fromIndex === toIndex) return;
+
+    const activeQuestion = currentProject.questions[activeQuestionIndex] || null;
+    HistoryManager.track('Reordenar questões', ['questions'], () => {
+        const [moved] = currentProject.questions.splice(fromIndex, 1);
+        currentProject.questions.splice(toIndex, 0, moved);
+        renumberQuestions();
+        activeQuestionIndex = activeQuestion ? currentProject.questions.indexOf(activeQuestion) : -1;
+        currentProject.isDirty = true;
+    });
+    updateProjectUI();
+}
+
+function isManageQuestionsModalOpen() {
+    return Boolean(document.getElementById('manageQuestionsModal')?.classList.contains('active'));
+}
+
+function getSelectedManagedQuestions() {
+    const modal = document.getElementById('manageQuestionsModal');
+    return [...modal.querySelectorAll('.manage-question-select:checked')]
+        .map(checkbox => currentProject.questions[Number(checkbox.dataset.index)])
+        .filter(Boolean);
+}
+
+function updateManageQuestionsToolbar() {
+    const modal = document.getElementById('manageQuestionsModal');
+    if (!modal) return;
+
+    const selectedCount = getSelectedManagedQuestions().length;
+    const selectAll = modal.querySelector('#manageQuestionsSelectAll');
+    selectAll.checked = selectedCount > 0 && selectedCount === currentProject.questions.length;
+    selectAll.indeterminate = selectedCount > 0 && selectedCount < currentProject.questions.length;
+
+    modal.querySelector('.manage-questions-selection').textContent = `${selectedCount} selecionada(s)`;
+    modal.querySelector('#manageQuestionsDelete').disabled = selectedCount === 0;
+    modal.querySelector('#manageQuestionsApplyAnswer').disabled = selectedCount === 0 || !modal.querySelector('#manageQuestionsAnswer').value;
+}
+
+function renderManageQuestionsList() {
+    const modal = document.getElementById('manageQuestionsModal');
+    if (!modal) return;
+
+    const list = modal.querySelector('.manage-questions-list');
+    list.innerHTML = '';
+
+    const answerSelect = modal.querySelector('#manageQuestionsAnswer');
+    const maxAlternatives = Math.max(...currentProject.questions.map(getQuestionAlternativesCount), currentProject.totalAlternatives);
+    const alternatives = getAlternativeLetters(maxAlternatives);
+    answerSelect.innerHTML = '<option value="">Gabarito...</option>' +
+        alternatives.map(alt => `<option value="${alt}">${alt}</option>`).join('');
+
+    if (currentProject.questions.length === 0) {
+        list.innerHTML = '<li class="manage-questions-empty">Nenhuma questão no projeto.</li>';
+        updateManageQuestionsToolbar();
+        return;
+    }
+
+    currentProject.questions.forEach((question, index) => {
+        const markers = Object.entries(question.markers || {})
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([alt, time]) => `<span class="manage-question-marker">${escapeHtml(alt)} ${formatTime(time)}</span>`)
+            .join('');
+
+        const item = document.createElement('li');
+        item.className = 'manage-question-item';
+        item.draggable = true;
+        item.dataset.index = index;
+        if (index === activeQuestionIndex) item.classList.add('active');
+
+        item.innerHTML = `
+            <input type="checkbox" class="manage-question-select" data-index="${index}" aria-label="Selecionar ${escapeHtml(question.label)}">
+            <i class="fas fa-grip-vertical manage-question-handle" title="Arraste para reordenar"></i>
+            <div class="manage-question-thumb"><i class="fas fa-film"></i></div>
+            <div class="manage-question-info">
+                <div class="manage-question-title">
+                    ${escapeHtml(question.label)}
+                    <span class="manage-question-duration">--:--</span>
+                </div>
+                <div class="manage-question-markers">${markers || '<em>Sem marcadores</em>'}</div>
+            </div>
+            <span class="manage-question-answer" title="${QuestionTypes[getQuestionType(question)].label} • ${getQuestionAlternativesCount(question)} alternativas">${escapeHtml(formatQuestionAnswer(getQuestionType(question), getQuestionAnswer(question)))}</span>
+            <i class="fas fa-layer-group manage-question-overlay ${question.overlays?.length ? 'has-overlay' : ''}"
+               title="${question.overlays?.length ? `${question.overlays.length} overlay(s)` : 'Sem overlay'}"></i>
+            <button type="button" class="btn btn-ghost btn-sm manage-question-bank" title="Salvar no banco de questões">
+                <i class="fas fa-database"></i>
+            </button>
+            <button type="button" class="btn btn-ghost btn-sm manage-question-open" title="Abrir no editor">
+                <i class="fas fa-arrow-right"></i>
+            </button>
+        `;
+
+        item.querySelector('.manage-question-select').addEventListener('change', updateManageQuestionsToolbar);
+        item.querySelector('.manage-question-bank').addEventListener('click', () => saveQuestionToBank(question));
+        item.querySelector('.manage-question-open').addEventListener('click', () => {
+            modal.classList.remove('active');
+            loadQuestionForEditing(question);
+        });
+
+        item.addEventListener('dragstart', (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(index));
+            item.classList.add('dragging');
+        });
+        item.addEventListener('dragend', () => item.classList.remove('dragging'));
+        item.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            item.classList.add('drag-over');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            item.classList.remove('drag-over');
+            const fromIndex = Number(e.dataTransfer.getData('text/plain'));
+            if (Number.isInteger(fromIndex)) {
+                moveQuestion(fromIndex, index);
+                renderManageQuestionsList();
+            }
+        });
+
+        getQuestionPreview(question).then(({ thumbnail, duration }) => {
+            if (thumbnail) {
+                item.querySelector('.manage-question-thumb').innerHTML = `<img src="${thumbnail}" alt="">`;
+            }
+            // Com cortes, a duração exibida é a do vídeo que será exportado
+            const finalDuration = question.edits ? EditDecisionList.getKeptDuration(question.edits.keptRanges) : duration;
+            if (finalDuration) {
+                item.querySelector('.manage-question-duration').textContent = formatTime(finalDuration);
+            }
+        });
+
+        list.appendChild(item);
+    });
+
+    updateManageQuestionsToolbar();
+}
+
+async function deleteSelectedQuestions() {
+    const selected = getSelectedManagedQuestions();
+    if (selected.length === 0) return;
+
+    const confirmed = await showConfirmModal({
+        title: 'Excluir Questões',
+        message: `Excluir ${selected.length} questão(ões) selecionada(s)? Use Ctrl+Z para desfazer.`
+    });
+    if (!confirmed) return;
+
+    const activeQuestion = currentProject.questions[activeQuestionIndex] || null;
+    const activeDeleted = selected.includes(activeQuestion);
+
+    HistoryManager.track('Excluir questões', ['questions'], () => {
+        currentProject.questions = currentProject.questions.filter(question => !selected.includes(question));
+        activeQuestionIndex = activeQuestion && !activeDeleted ? currentProject.questions.indexOf(activeQuestion) : -1;
+        currentProject.isDirty = true;
+    });
+
+    if (activeDeleted) {
+        clearQuestionForm();
+    } else {
+        updateProjectUI();
+    }
+    renderManageQuestionsList();
+    showNotification(`${selected.length} questão(ões) excluída(s).`, 'success');
+}
+
+function applyBulkCorrectAnswer() {
+    const modal = document.getElementById('manageQuestionsModal');
+    const answer = modal.querySelector('#manageQuestionsAnswer').value;
+    const selected = getSelectedManagedQuestions();
+    if (!answer || selected.length === 0) return;
+
+    // Só tipos de resposta única recebem a letra, e apenas se tiverem essa alternativa
+    const applicable = selected.filter(question =>
+        QuestionTypes[getQuestionType(question)].answerField === 'correctAnswer' &&
+        getAlternativeLetters(getQuestionAlternativesCount(question)).includes(answer));
+    if (applicable.length === 0) {
+        showNotification(`Nenhuma questão selecionada aceita a alternativa ${answer} como resposta única.`, 'warning');
+        return;
+    }
+
+    HistoryManager.track('Alterar gabarito em lote', ['questions'], () => {
+        applicable.forEach(question => question.correctAnswer = answer);
+        currentProject.isDirty = true;
+    });
+
+    updateProjectUI();
+    renderManageQuestionsList();
+    const skipped = selected.length - applicable.length;
+    showNotification(`Gabarito ${answer} aplicado a ${applicable.length} questão(ões).${skipped > 0 ? ` ${skipped} ignorada(s) pelo tipo ou por não ter essa alternativa.` : ''}`, skipped > 0 ? 'warn' : 'success');
+}
+
+function showManageQuestionsModal() {
+    if (currentProject.questions.length === 0) {
+        showNotification('Nenhuma questão para gerenciar.', 'warning');
+        return;
+    }
+
+    const modal = document.getElementById('manageQuestionsModal');
+    if (!modal) {
+        console.error('Manage questions modal not found in DOM.');
+        return;
+    }
+
+    const closeModal = () => modal.classList.remove('active');
+    modal.querySelectorAll('#manageQuestionsClose, #manageQuestionsCloseBtn').forEach(button => button.onclick = closeModal);
+    modal.querySelector('#manageQuestionsDelete').onclick = deleteSelectedQuestions;
+    modal.querySelector('#manageQuestionsApplyAnswer').onclick = applyBulkCorrectAnswer;
+    modal.querySelector('#manageQuestionsAnswer').onchange = updateManageQuestionsToolbar;
+    modal.querySelector('#manageQuestionsSelectAll').onchange = (e) => {
+        modal.querySelectorAll('.manage-question-select').forEach(checkbox => checkbox.checked = e.target.checked);
+        updateManageQuestionsToolbar();
+    };
+
+    renderManageQuestionsList();
+    modal.classList.add('active');
+}
+
+// ----- Banco de Questões -----
+
+let questionBankEntries = [];
+
+async function showQuestionBankModal() {
+    if (!window.electronAPI) return showNotification('API não disponível.', 'error');
+
+    const modal = document.getElementById('questionBankModal');
+    if (!modal) {
+        console.error('Question bank modal not found in DOM.');
+        return;
+    }
+
+    try {
+        questionBankEntries = await window.electronAPI.bankList();
+    } catch (error) {
+        console.error('❌ Erro ao ler o banco de questões:', error);
+        showNotification(`Erro ao abrir o banco de questões: ${error.message}`, 'error');
+        return;
+    }
+
+    const searchInput = modal.querySelector('#questionBankSearch');
+    const tagSelect = modal.querySelector('#questionBankTag');
+    const tags = [...new Set(questionBankEntries.flatMap(entry => entry.tags))].sort();
+    tagSelect.innerHTML = '<option value="">Todas as tags</option>' +
+        tags.map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('');
+
+    searchInput.value = '';
+    searchInput.oninput = renderQuestionBankList;
+    tagSelect.onchange = renderQuestionBankList;
+    modal.querySelectorAll('#questionBankClose, #questionBankCloseBtn').forEach(button => {
+        button.onclick = () => modal.classList.remove('active');
+    });
+
+    renderQuestionBankList();
+    modal.classList.add('active');
+    searchInput.focus();
+}
+
+function renderQuestionBankList() {
+    const modal = document.getElementById('questionBankModal');
+    const list = modal.querySelector('.manage-questions-list');
+    const search = modal.querySelector('#questionBankSearch').value.trim().toLowerCase();
+    const tag = modal.querySelector('#questionBankTag').value;
+
+    // A busca cobre título, assunto e tags
+    const entries = questionBankEntries.filter(entry => {
+        if (tag && !entry.tags.includes(tag)) return false;
+        if (!search) return true;
+        return [entry.title, entry.subject, ...entry.tags].some(text => (text || '').toLowerCase().includes(search));
+    });
+
+    modal.querySelector('.question-bank-count').textContent = `${entries.length} de ${questionBankEntries.length} questão(ões)`;
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+        list.innerHTML = `<li class="manage-questions-empty">${questionBankEntries.length === 0
+            ? 'O banco está vazio. Use "Salvar no banco" em uma questão para começar.'
+            : 'Nenhuma questão encontrada.'}</li>`;
+        return;
+    }
+
+    entries.forEach(entry => {
+        const videoUrl = `file://${entry.video}`;
+        const markers = Object.entries(entry.markers || {})
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([alt, time]) => `<span class="manage-question-marker">${escapeHtml(alt)} ${formatTime(time)}</span>`)
+            .join('');
+
+        const item = document.createElement('li');
+        item.className = 'manage-question-item';
+        item.innerHTML = `
+            <div class="manage-question-thumb"><i class="fas fa-film"></i></div>
+            <div class="manage-question-info">
+                <div class="manage-question-title">
+                    ${escapeHtml(entry.title)}
+                    <span class="manage-question-duration">${escapeHtml(entry.subject || 'Sem assunto')}</span>
+                </div>
+                <div class="manage-question-markers">${markers || '<em>Sem marcadores</em>'}</div>
+                <div class="question-bank-tags">${entry.tags.map(t => `<span class="question-bank-tag">${escapeHtml(t)}</span>`).join('')}</div>
+            </div>
+            <span class="manage-question-answer" title="${QuestionTypes[getQuestionType(entry)].label}">${escapeHtml(formatQuestionAnswer(getQuestionType(entry), getQuestionAnswer(entry)))}</span>
+            <button type="button" class="btn btn-secondary btn-sm question-bank-insert" ${entry.videoAvailable ? '' : 'disabled title="Vídeo não encontrado no banco"'}>
+                <i class="fas fa-plus"></i>
+                Inserir
+            </button>
+            <button type="button" class="btn btn-ghost btn-sm question-bank-delete" title="Remover do banco">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+
+        item.querySelector('.question-bank-insert').addEventListener('click', () => insertQuestionFromBank(entry));
+        item.querySelector('.question-bank-delete').addEventListener('click', () => deleteQuestionFromBank(entry));
+
+        if (entry.videoAvailable) {
+            getQuestionPreview({ video: videoUrl }).then(({ thumbnail }) => {
+                if (thumbnail) {
+                    item.querySelector('.manage-question-thumb').innerHTML = `<img src="${thumbnail}" alt="">`;
+                }
+            });
+        }
+
+        list.appendChild(item);
+    });
+}
+
+async function insertQuestionFromBank(entry) {
+    const bankVideoUrl = `file://${entry.video}`;
+    const type = getQuestionType(entry);
+    const totalAlternatives = entry.totalAlternatives ?? Object.keys(entry.markers || {}).length;
+    const answer = cloneHistoryState(getQuestionAnswer(entry));
+    try {
+        // Valida antes de copiar o vídeo, para não deixar cópias de questões recusadas
+        if (currentProject.questions.length >= getMaxQuestions()) {
+            throw new Error(`O limite de ${getMaxQuestions()} questões por projeto foi atingido.`);
+        }
+        questionManager.validateQuestion({
+            video: bankVideoUrl, markers: entry.markers, type, totalAlternatives,
+            [QuestionTypes[type].answerField]: answer
+        });
+
+        // O projeto recebe uma cópia do vídeo: remover a questão do banco não afeta projetos que a usam
+        const media = await window.electronAPI.importQuestionMedia({
+            questions: [{ label: entry.title, video: bankVideoUrl }],
+            videoPaths: { [bankVideoUrl]: entry.video },
+            projectFilePath: currentProjectPath,
+            projectName: currentProject.name
+        });
+        const videoUrl = media.questions[0]?.video;
+        if (!videoUrl || !media.videoPaths[videoUrl]) {
+            throw new Error('o vídeo guardado no banco não foi encontrado.');
+        }
+
+        questionManager.addQuestion(videoUrl, { ...entry.markers }, answer, {
+            edits: entry.edits ? cloneHistoryState(entry.edits) : null,
+            totalAlternatives,
+            type
+        });
+        Object.entries(media.videoPaths).forEach(([key, value]) => videoPaths.set(key, value));
+    } catch (error) {
+        showNotification(`Não foi possível inserir "${entry.title}": ${error.message}`, 'error');
+        return;
+    }
+
+    updateProjectUI();
+    showNotification(`"${entry.title}" inserida no projeto.`, 'success');
+}
+
+async function deleteQuestionFromBank(entry) {
+    const confirmed = await showConfirmModal({
+        title: 'Remover do Banco',
+        message: `Remover "${entry.title}" do banco de questões? O vídeo guardado no banco será apagado; projetos onde a questão já foi inserida têm sua própria cópia e não são afetados.`
+    });
+    if (!confirmed) return;
+
+    try {
+        await window.electronAPI.bankDelete(entry.id);
+        questionBankEntries = questionBankEntries.filter(item => item.id !== entry.id);
+        renderQuestionBankList();
+        showNotification('Questão removida do banco.', 'success');
+    } catch (error) {
+        showNotification(`Erro ao remover do banco: ${error.message}`, 'error');
+    }
+}
+
+function saveActiveQuestionToBank() {
+    const question = currentProject.questions[activeQuestionIndex];
+    if (!question) {
+        showNotification('Selecione uma questão para salvar no banco.', 'warning');
+        return;
+    }
+    saveQuestionToBank(question);
+}
+
+function saveQuestionToBank(question) {
+    const modal = document.getElementById('saveToBankModal');
+    if (!modal) {
+        console.error('Save to bank modal not found in DOM.');
+        return;
+    }
+
+    const subjectInput = modal.querySelector('#saveToBankSubject');
+    const tagsInput = modal.querySelector('#saveToBankTags');
+    modal.querySelector('.save-to-bank-question').textContent = question.label;
+    subjectInput.value = '';
+    tagsInput.value = '';
+
+    const closeModal = () => modal.classList.remove('active');
+    modal.querySelectorAll('#saveToBankCancel, #saveToBankCancelBtn').forEach(button => button.onclick = closeModal);
+
+    modal.querySelector('#saveToBankConfirm').onclick = async () => {
+        try {
+            await window.electronAPI.bankAdd({
+                question: {
+                    label: question.label,
+                    video: question.video,
+                    markers: question.markers,
+                    type: getQuestionType(question),
+                    answerField: QuestionTypes[getQuestionType(question)].answerField,
+                    answer: getQuestionAnswer(question),
+                    totalAlternatives: getQuestionAlternativesCount(question),
+                    edits: question.edits || null
+                },
+                videoPath: videoPaths.get(question.video),
+                subject: subjectInput.value,
+                tags: tagsInput.value
+            });
+            closeModal();
+            showNotification(`${question.label} salva no banco de questões.`, 'success');
+        } catch (error) {
+            console.error('❌ Erro ao salvar no banco:', error);
+            showNotification(`Erro ao salvar no banco: ${error.message}`, 'error');
+        }
+    };
+
+    modal.classList.add('active');
+    subjectInput.focus();
+}
+
+// ----- Gravação de Vídeo -----
+
+const VideoRecorder = {
+    stream: null,
+    recorder: null,
+    chunks: [],
+    recordedBlob: null,
+    recordedURL: null,
+    mimeType: '',
+    countdownTimer: null,
+    elapsedTimer: null,
+    onRecorded: null,
+
+    // Ponto de troca para testes: substitua por uma função que devolva um MediaStream falso
+    // (ex.: canvas.captureStream()). Com --fake-media o Chromium também fornece câmera e microfone simulados.
+    getStream(constraints) {
+        return navigator.mediaDevices.getUserMedia(constraints);
+    },
+
+    async listDevices() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return {
+            cameras: devices.filter(device => device.kind === 'videoinput'),
+            microphones: devices.filter(device => device.kind === 'audioinput')
+        };
+    },
+
+    // micId 'none' grava sem áudio; ids vazios usam o dispositivo padrão
+    async openStream(cameraId = '', micId = '') {
+        this.stopStream();
+        const video = cameraId ? { deviceId: { exact: cameraId } } : true;
+        const audio = micId === 'none' ? false : (micId ? { deviceId: { exact: micId } } : true);
+        try {
+            this.stream = await this.getStream({ video, audio });
+        } catch (error) {
+            if (!audio) throw error;
+            // Sem microfone disponível: seguir só com a câmera
+            console.warn('⚠️ Microfone indisponível, gravando sem áudio:', error);
+            this.stream = await this.getStream({ video, audio: false });
+        }
+        return this.stream;
+    },
+
+    pickMimeType() {
+        const candidates = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+        return candidates.find(type => window.MediaRecorder?.isTypeSupported(type)) || '';
+    },
+
+    start() {
+        if (!this.stream) throw new Error('Nenhuma câmera aberta para gravação.');
+        this.discardRecording();
+        this.mimeType = this.pickMimeType();
+        this.recorder = new MediaRecorder(this.stream, this.mimeType ? { mimeType: this.mimeType } : undefined);
+        this.recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) this.chunks.push(event.data);
+        };
+        this.recorder.start(1000);
+    },
+
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.recorder || this.recorder.state === 'inactive') {
+                resolve(this.recordedBlob);
+                return;
+            }
+            this.recorder.onstop = () => {
+                this.recordedBlob = new Blob(this.chunks, { type: this.mimeType || 'video/webm' });
+                this.recordedURL = URL.createObjectURL(this.recordedBlob);
+                this.recorder = null;
+                resolve(this.recordedBlob);
+            };
+            this.recorder.stop();
+        });
+    },
+
+    discardRecording() {
+        if (this.recordedURL) URL.revokeObjectURL(this.recordedURL);
+        this.recordedURL = null;
+        this.recordedBlob = null;
+        this.chunks = [];
+    },
+
+    stopStream() {
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+    },
+
+    clearTimers() {
+        clearInterval(this.countdownTimer);
+        clearInterval(this.elapsedTimer);
+        this.countdownTimer = null;
+        this.elapsedTimer = null;
+    },
+
+    // Descarta tudo ao fechar o painel, inclusive uma gravação em andamento
+    reset() {
+        this.clearTimers();
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.ondataavailable = null;
+            this.recorder.onstop = null;
+            this.recorder.stop();
+        }
+        this.recorder = null;
+        this.discardRecording();
+        this.stopStream();
+    }
+};
+
+// Estados do painel: preview (câmera ao vivo), countdown, recording e review (revisão da gravação)
+function setRecordVideoState(state) {
+    const modal = document.getElementById('recordVideoModal');
+    if (!modal) return;
+    modal.dataset.state = state;
+
+    const visibleButtons = {
+        preview: ['recordVideoStart'],
+        countdown: ['recordVideoStop'],
+        recording: ['recordVideoStop'],
+        review: ['recordVideoRetake', 'recordVideoUse']
+    }[state];
+    ['recordVideoStart', 'recordVideoStop', 'recordVideoRetake', 'recordVideoUse'].forEach(id => {
+        modal.querySelector(`#${id}`).hidden = !visibleButtons.includes(id);
+    });
+    modal.querySelectorAll('#recordVideoCamera, #recordVideoMic, #recordVideoCountdown').forEach(select => {
+        select.disabled = state !== 'preview';
+    });
+    modal.querySelector('.record-video-status').classList.toggle('recording', state === 'recording');
+}
+
+function fillRecordDeviceSelect(select, devices, activeTrack, fallbackLabel) {
+    const activeId = activeTrack?.getSettings().deviceId;
+    // Nomes dos dispositivos vêm do sistema: entram como texto
+    select.replaceChildren(...devices.map((device, index) => {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label || `${fallbackLabel} ${index + 1}`;
+        return option;
+    }));
+    if (activeId) select.value = activeId;
+}
+
+async function showRecordVideoPreview() {
+    const modal = document.getElementById('recordVideoModal');
+    const preview = modal.querySelector('#recordVideoPreview');
+    preview.src = '';
+    preview.controls = false;
+    preview.muted = true;
+    preview.srcObject = VideoRecorder.stream;
+    await preview.play().catch(() => {});
+    modal.querySelector('#recordVideoTimer').textContent = OverlayUtils.formatTime(0);
+    setRecordVideoState('preview');
+}
+
+async function switchRecordDevices() {
+    const modal = document.getElementById('recordVideoModal');
+    try {
+        await VideoRecorder.openStream(modal.querySelector('#recordVideoCamera').value, modal.querySelector('#recordVideoMic').value);
+        await showRecordVideoPreview();
+    } catch (error) {
+        console.error('❌ Erro ao trocar dispositivo de gravação:', error);
+        showNotification(`Não foi possível abrir o dispositivo: ${error.message}`, 'error');
+    }
+}
+
+// Com `onRecorded`, a gravação é entregue a quem abriu o painel (ex.: um segmento) em vez de ir para o editor
+async function showRecordVideoModal({ onRecorded = null } = {}) {
+    if (!window.electronAPI) return showNotification('API não disponível.', 'error');
+    if (!navigator.mediaDevices?.getUserMedia || !window.MediaRecorder) {
+        return showNotification('Gravação de vídeo não suportada neste ambiente.', 'error');
+    }
+
+    const modal = document.getElementById('recordVideoModal');
+    if (!modal) {
+        console.error('Record video modal not found in DOM.');
+        return;
+    }
+
+    VideoRecorder.onRecorded = onRecorded;
+    try {
+        await VideoRecorder.openStream();
+        // Os nomes dos dispositivos só aparecem depois que a permissão foi concedida
+        const { cameras, microphones } = await VideoRecorder.listDevices();
+        fillRecordDeviceSelect(modal.querySelector('#recordVideoCamera'), cameras, VideoRecorder.stream.getVideoTracks()[0], 'Câmera');
+        const micSelect = modal.querySelector('#recordVideoMic');
+        fillRecordDeviceSelect(micSelect, microphones, VideoRecorder.stream.getAudioTracks()[0], 'Microfone');
+        micSelect.insertAdjacentHTML('beforeend', '<option value="none">Sem áudio</option>');
+        if (VideoRecorder.stream.getAudioTracks().length === 0) micSelect.value = 'none';
+    } catch (error) {
+        console.error('❌ Erro ao acessar a câmera:', error);
+        VideoRecorder.reset();
+        showNotification(`Não foi possível acessar a câmera: ${error.message}`, 'error');
+        return;
+    }
+
+    const closeModal = () => {
+        VideoRecorder.reset();
+        const preview = modal.querySelector('#recordVideoPreview');
+        preview.pause();
+        preview.srcObject = null;
+        preview.removeAttribute('src');
+        modal.querySelector('.record-video-countdown').hidden = true;
+        modal.classList.remove('active');
+    };
+
+    modal.querySelectorAll('#recordVideoClose, #recordVideoCancel').forEach(button => {
+        button.onclick = closeModal;
+    });
+    modal.querySelector('#recordVideoCamera').onchange = switchRecordDevices;
+    modal.querySelector('#recordVideoMic').onchange = switchRecordDevices;
+    modal.querySelector('#recordVideoStart').onclick = startRecordVideoCountdown;
+    modal.querySelector('#recordVideoStop').onclick = stopRecordVideo;
+    modal.querySelector('#recordVideoRetake').onclick = () => {
+        VideoRecorder.discardRecording();
+        showRecordVideoPreview();
+    };
+    modal.querySelector('#recordVideoUse').onclick = async () => {
+        const inserted = await insertRecordedVideo();
+        if (inserted) closeModal();
+    };
+
+    await showRecordVideoPreview();
+    modal.classList.add('active');
+}
+
+function startRecordVideoCountdown() {
+    const modal = document.getElementById('recordVideoModal');
+    const countdownEl = modal.querySelector('.record-video-countdown');
+    let remaining = parseInt(modal.querySelector('#recordVideoCountdown').value, 10) || 0;
+
+    if (remaining === 0) {
+        beginRecordVideo();
+        return;
+    }
+
+    setRecordVideoState('countdown');
+    countdownEl.textContent = remaining;
+    countdownEl.hidden = false;
+    VideoRecorder.countdownTimer = setInterval(() => {
+        remaining -= 1;
+        if (remaining > 0) {
+            countdownEl.textContent = remaining;
+            return;
+        }
+        clearInterval(VideoRecorder.countdownTimer);
+        VideoRecorder.countdownTimer = null;
+        countdownEl.hidden = true;
+        beginRecordVideo();
+    }, 1000);
+}
+
+function beginRecordVideo() {
+    const modal = document.getElementById('recordVideoModal');
+    const timerEl = modal.querySelector('#recordVideoTimer');
+    try {
+        VideoRecorder.start();
+    } catch (error) {
+        console.error('❌ Erro ao iniciar gravação:', error);
+        showNotification(`Erro ao iniciar gravação: ${error.message}`, 'error');
+        setRecordVideoState('preview');
+        return;
+    }
+
+    const startedAt = Date.now();
+    timerEl.textContent = OverlayUtils.formatTime(0);
+    VideoRecorder.elapsedTimer = setInterval(() => {
+        timerEl.textContent = OverlayUtils.formatTime((Date.now() - startedAt) / 1000);
+    }, 250);
+    setRecordVideoState('recording');
+}
+
+async function stopRecordVideo() {
+    const modal = document.getElementById('recordVideoModal');
+
+    // Parar durante a contagem apenas cancela o início
+    if (modal.dataset.state === 'countdown') {
+        VideoRecorder.clearTimers();
+        modal.querySelector('.record-video-countdown').hidden = true;
+        setRecordVideoState('preview');
+        return;
+    }
+
+    VideoRecorder.clearTimers();
+    const blob = await VideoRecorder.stop();
+    if (!blob || blob.size === 0) {
+        showNotification('A gravação ficou vazia. Tente novamente.', 'warning');
+        showRecordVideoPreview();
+        return;
+    }
+
+    const preview = modal.querySelector('#recordVideoPreview');
+    preview.srcObject = null;
+    preview.src = VideoRecorder.recordedURL;
+    preview.muted = false;
+    preview.controls = true;
+    setRecordVideoState('review');
+}
+
+// Grava o arquivo na pasta temporária do projeto e o carrega como vídeo da questão em edição
+async function insertRecordedVideo() {
+    if (!VideoRecorder.recordedBlob) return false;
+
+    if (currentVideoURL && !VideoRecorder.onRecorded) {
+        const confirmed = await showConfirmModal({
+            title: 'Substituir vídeo',
+            message: 'A questão em edição já tem um vídeo. Deseja substituí-lo pela gravação?'
+        });
+        if (!confirmed) return false;
+    }
+
+    const useButton = document.getElementById('recordVideoUse');
+    useButton.disabled = true;
+    try {
+        const buffer = await VideoRecorder.recordedBlob.arrayBuffer();
+        showNotification('Convertendo a gravação para MP4...', 'info');
+        const filePath = await window.electronAPI.saveRecordedVideo({
+            videoBuffer: new Uint8Array(buffer),
+            fileName: `gravacao_${Date.now()}.mp4`,
+            projectName: currentProject.name,
+            projectFilePath: currentProjectPath
+        });
+        if (VideoRecorder.onRecorded) {
+            await VideoRecorder.onRecorded(filePath);
+            return true;
+        }
+        loadVideoIntoEditor(filePath);
+        showNotification('Gravação inserida na questão.', 'success');
+        return true;
+    } catch (error) {
+        console.error('❌ Erro ao salvar gravação:', error);
+        showNotification(`Erro ao salvar gravação: ${error.message}`, 'error');
+        return false;
+    } finally {
+        useButton.disabled = false;
+    }
+}
+
+// ----- Questão por Segmentos -----
+
+// Rascunho do modal: clipes na ordem enunciado, A, B, ... e o modo de exportação escolhido
+let segmentsDraft = null;
+
+function getSegmentLabel(key) {
+    return key === 'statement' ? 'Enunciado' : `Alternativa ${getAlternativeLabel(getEditorQuestionType(), key)}`;
+}
+
+// Marcador de cada alternativa = início do seu clipe no vídeo unido
+function getSegmentMarkers(clips) {
+    const markers = {};
+    let offset = 0;
+    clips.forEach(clip => {
+        if (clip.key !== 'statement') markers[clip.key] = Number(offset.toFixed(3));
+        offset += clip.duration;
+    });
+    return markers;
+}
+
+function showSegmentsModal() {
+    if (!window.electronAPI) return showNotification('API não disponível.', 'error');
+
+    const alternatives = getEditorAlternatives();
+    if (alternatives.length === 0) {
+        return showNotification('Questões de resposta aberta não têm alternativas para gravar em segmentos.', 'warning');
+    }
+
+    const modal = document.getElementById('segmentsModal');
+    if (!modal) {
+        console.error('Segments modal not found in DOM.');
+        return;
+    }
+
+    const existing = timelineState.currentSegments;
+    segmentsDraft = {
+        exportMode: existing?.exportMode || 'join',
+        clips: ['statement', ...alternatives].map(key => {
+            const clip = existing?.clips.find(item => item.key === key);
+            return { key, video: clip?.video || null, duration: clip?.duration || null };
+        })
+    };
+
+    modal.querySelector(`input[name="segmentsExportMode"][value="${segmentsDraft.exportMode}"]`).checked = true;
+    modal.querySelectorAll('input[name="segmentsExportMode"]').forEach(input => {
+        input.onchange = () => segmentsDraft.exportMode = input.value;
+    });
+
+    const closeModal = () => {
+        segmentsDraft = null;
+        modal.classList.remove('active');
+    };
+    modal.querySelectorAll('#segmentsClose, #segmentsCancel').forEach(button => button.onclick = closeModal);
+
+    const unsetButton = modal.querySelector('#segmentsUnset');
+    unsetButton.hidden = !existing;
+    unsetButton.onclick = () => {
+        // O vídeo unido continua na questão, agora como vídeo único com marcadores editáveis
+        HistoryManager.track('Desfazer segmentos', ['markers'], () => {
+            timelineState.currentSegments = null;
+        });
+        renderVideoSegments();
+        closeModal();
+    };
+
+    modal.querySelector('#segmentsApply').onclick = async () => {
+        if (await applySegments()) closeModal();
+    };
+
+    renderSegmentsList();
+    modal.classList.add('active');
+}
+
+function renderSegmentsList() {
+    const modal = document.getElementById('segmentsModal');
+    const list = modal.querySelector('.segments-list');
+    list.innerHTML = '';
+
+    segmentsDraft.clips.forEach(clip => {
+        const fileName = clip.video ? (videoPaths.get(clip.video) || clip.video).split(/[\\/]/).pop() : 'Nenhum vídeo';
+        const item = document.createElement('li');
+        item.className = `segment-item${clip.video ? '' : ' empty'}`;
+        item.innerHTML = `
+            <span class="segment-item-label">${getSegmentLabel(clip.key)}</span>
+            <span class="segment-item-file"></span>
+            <span class="segment-item-duration">${clip.duration ? formatTime(clip.duration) : '-'}</span>
+            <button type="button" class="btn btn-secondary btn-sm segment-choose" title="Escolher arquivo">
+                <i class="fas fa-folder-open"></i>
+            </button>
+            <button type="button" class="btn btn-secondary btn-sm segment-record" title="Gravar com a câmera">
+                <i class="fas fa-video"></i>
+            </button>
+        `;
+        // Nome do arquivo como texto: pode conter caracteres de HTML
+        const fileLabel = item.querySelector('.segment-item-file');
+        fileLabel.textContent = fileName;
+        fileLabel.title = fileName;
+        item.querySelector('.segment-choose').onclick = () => chooseSegmentFile(clip);
+        item.querySelector('.segment-record').onclick = () => showRecordVideoModal({
+            onRecorded: (filePath) => setSegmentClip(clip, filePath)
+        });
+        list.appendChild(item);
+    });
+
+    modal.querySelector('#segmentsApply').disabled = segmentsDraft.clips.some(clip => !clip.video);
+}
+
+async function setSegmentClip(clip, filePath) {
+    const videoUrl = `file://${filePath}`;
+    const { duration } = await getQuestionPreview({ video: videoUrl });
+    if (!duration) {
+        showNotification('Não foi possível ler a duração deste vídeo.', 'error');
+        return;
+    }
+    videoPaths.set(videoUrl, filePath);
+    clip.video = videoUrl;
+    clip.duration = duration;
+    if (segmentsDraft) renderSegmentsList();
+}
+
+async function chooseSegmentFile(clip) {
+    try {
+        const result = await window.electronAPI.showOpenDialog({
+            title: `Selecionar Vídeo: ${getSegmentLabel(clip.key)}`,
+            filters: [{ name: 'Vídeos', extensions: ['mp4', 'webm', 'mov', 'avi'] }],
+            properties: ['openFile']
+        });
+        if (!result.canceled && result.filePaths.length > 0) {
+            await setSegmentClip(clip, result.filePaths[0]);
+        }
+    } catch (error) {
+        showNotification(`Erro ao selecionar vídeo: ${error.message}`, 'error');
+    }
+}
+
+// Une os clipes em um vídeo de pré-visualização e posiciona os marcadores no início de cada alternativa
+async function applySegments() {
+    const clips = segmentsDraft.clips.map(({ key, video, duration }) => ({ key, video, duration }));
+    const inputPaths = clips.map(clip => videoPaths.get(clip.video) || clip.video.replace(/^file:\/\//, ''));
+
+    let joined;
+    try {
+        joined = await window.electronAPI.videoProcessor.process({ action: 'join', inputPaths, projectFilePath: currentProjectPath });
+    } catch (error) {
+        console.error('❌ Erro ao unir segmentos:', error);
+        showNotification(`Erro ao unir os segmentos: ${error.error || error.message}`, 'error');
+        return false;
+    }
+
+    const exportMode = segmentsDraft.exportMode;
+    HistoryManager.track('Montar questão por segmentos', ['markers', 'video', 'edits'], () => {
+        loadVideoIntoEditor(joined.path);
+        timelineState.currentSegments = { exportMode, clips };
+        timelineState.currentMarkers = getSegmentMarkers(clips);
+    });
+    renderVideoSegments();
+    renderMarkers();
+    updateMarkerButtons();
+    showNotification('Segmentos unidos. Os marcadores foram posicionados no início de cada alternativa.', 'success');
+    return true;
+}
+
+function duplicateCurrentQuestion() {
+    if (activeQuestionIndex === -1 || !currentProject.questions[activeQuestionIndex]) {
+        showNotification('Selecione uma questão para duplicar.', 'warning');
+        return;
+    }
+
+    if (currentProject.questions.length >= getMaxQuestions()) {
+        showNotification(`Limite de ${getMaxQuestions()} questões atingido.`, 'error');
+        return;
+    }
+
+    const originalQuestion = currentProject.questions[activeQuestionIndex];
+    const duplicatedQuestion = {
+        ...originalQuestion,
+        label: `Questão ${questionManager._getNextQuestionNumber()}`,
+        small_label: questionManager._getNextQuestionNumber().toString().padStart(2, "0"),
         originalIndex: questionManager._getNextQuestionNumber()
     };
 
-    currentProject.questions.push(duplicatedQuestion);
-    currentProject.isDirty = true;
+    HistoryManager.track('Duplicar questão', ['questions'], () => {
+        currentProject.questions.push(duplicatedQuestion);
+        currentProject.isDirty = true;
+    });
     updateProjectUI();
     showNotification('Questão duplicada com sucesso!', 'success');
 }
@@ -7984,12 +11169,14 @@ async function clearAllQuestions() {
 
     const result = await showConfirmModal({
         title: 'Remover Todas as Questões',
-        message: `Tem certeza que deseja remover todas as ${currentProject.questions.length} questões? Esta ação não pode ser desfeita.`
+        message: `Tem certeza que deseja remover todas as ${currentProject.questions.length} questões? Use Ctrl+Z para desfazer.`
     });
 
     if (result) {
-        currentProject.questions = [];
-        currentProject.isDirty = true;
+        HistoryManager.track('Remover todas as questões', ['questions'], () => {
+            currentProject.questions = [];
+            currentProject.isDirty = true;
+        });
         clearQuestionForm();
         updateProjectUI();
         showNotification('Todas as questões foram removidas.', 'success');
@@ -7998,8 +11185,64 @@ async function clearAllQuestions() {
 
 // Menu Ferramentas - Funcionalidades
 function showSettingsModal() {
+    const modal = document.getElementById('settingsModal');
+    if (!modal) {
+        console.error('Settings modal not found in DOM.');
+        return;
     }
 
+    const fields = modal.querySelectorAll('[data-setting]');
+    fields.forEach(field => field.value = AppSettings.get(field.dataset.setting));
+    modal.querySelector('.settings-temp-in-use').textContent = AppSettings.tempDirectoryInUse || '';
+
+    const closeModal = () => modal.classList.remove('active');
+    modal.querySelectorAll('#settingsCancel, #settingsCancelBtn').forEach(button => button.onclick = closeModal);
+
+    modal.querySelector('#settingsBrowseTemp').onclick = async () => {
+        const result = await window.electronAPI.showOpenDialog({
+            title: 'Pasta para arquivos temporários',
+            properties: ['openDirectory', 'createDirectory']
+        });
+        if (!result.canceled && result.filePaths.length > 0) {
+            modal.querySelector('#settingsTempDirectory').value = result.filePaths[0];
+        }
+    };
+    modal.querySelector('#settingsResetTemp').onclick = () => {
+        modal.querySelector('#settingsTempDirectory').value = '';
+    };
+
+    modal.querySelector('#settingsSave').onclick = async () => {
+        const changes = Object.fromEntries([...fields].map(field => [field.dataset.setting, field.value]));
+        try {
+            const previousTempDirectory = AppSettings.get('tempDirectory');
+            await AppSettings.save(changes);
+
+            // Aplicar imediatamente o novo limite à lista de recentes
+            recentProjects = recentProjects.slice(0, AppSettings.get('maxRecentProjects'));
+            localStorage.setItem('avalibras_recent_projects', JSON.stringify(recentProjects));
+            renderRecentProjects();
+
+            // Limite de questões aparece no cabeçalho, na barra de status e no botão de adicionar
+            updateProjectUI();
+            updateStatusBar();
+            renderQuestionGrid();
+            // Regras de marcadores podem ter mudado
+            updateMarkerRuleStates();
+
+            closeModal();
+            const restartNote = previousTempDirectory !== AppSettings.get('tempDirectory')
+                ? ' A nova pasta temporária será usada após reiniciar o AvaLIBRAS.'
+                : '';
+            showNotification(`Configurações salvas.${restartNote}`, 'success');
+        } catch (error) {
+            console.error('❌ Erro ao salvar configurações:', error);
+            showNotification(`Erro ao salvar configurações: ${error.message}`, 'error');
+        }
+    };
+
+    modal.classList.add('active');
+}
+
 function clearCache() {
     // Limpar cache de vídeos temporários
     videoPaths.clear();
@@ -8007,22 +11250,30 @@ function clearCache() {
     showNotification('Cache temporário limpo com sucesso!', 'success');
 }
 
-function verifyProjectIntegrity() {
+// Problemas estruturais por questão, compartilhados com a pré-verificação da exportação
+function getProjectIntegrityIssues() {
     const issues = [];
 
     // Verificar questões sem vídeo
     currentProject.questions.forEach((q, index) => {
         if (!q.video) {
-            issues.push(`Questão ${index + 1}: Sem vídeo`);
+            issues.push({ index, message: 'Sem vídeo' });
         }
-        if (!q.markers || Object.keys(q.markers).length === 0) {
-            issues.push(`Questão ${index + 1}: Sem marcadores`);
+        if (getQuestionAlternativesCount(q) > 0 && (!q.markers || Object.keys(q.markers).length === 0)) {
+            issues.push({ index, message: 'Sem marcadores' });
         }
-        if (!q.correctAnswer) {
-            issues.push(`Questão ${index + 1}: Sem gabarito`);
+        const answer = getQuestionAnswer(q);
+        if (answer === null || (Array.isArray(answer) && answer.length === 0)) {
+            issues.push({ index, message: getQuestionType(q) === 'open_response' ? 'Sem tempo de resposta' : 'Sem gabarito' });
         }
     });
 
+    return issues;
+}
+
+function verifyProjectIntegrity() {
+    const issues = getProjectIntegrityIssues().map(issue => `Questão ${issue.index + 1}: ${issue.message}`);
+
     if (issues.length === 0) {
         showNotification('Integridade do projeto verificada: Nenhum problema encontrado.', 'success');
     } else {
@@ -8033,16 +11284,16 @@ function verifyProjectIntegrity() {
 function showProjectStats() {
     const totalQuestions = currentProject.questions.length;
     const questionTypes = {};
-    const questionsWithOverlays = currentProject.questions.filter(q => q.overlay).length;
+    const questionsWithOverlays = currentProject.questions.filter(q => q.overlays?.length).length;
 
     currentProject.questions.forEach(q => {
-        const type = q.overlay ? 'Com overlay' : 'Sem overlay';
+        const type = q.overlays?.length ? 'Com overlay' : 'Sem overlay';
         questionTypes[type] = (questionTypes[type] || 0) + 1;
     });
 
     const stats = `
 Estatísticas da Avaliação:
-• Total de Questões: ${totalQuestions}/90
+• Total de Questões: ${totalQuestions}/${getMaxQuestions()}
 • Questões com Overlay: ${questionsWithOverlays}
 • Média de marcadores por questão: ${totalQuestions > 0 ? '4' : '0'}
 • Status: ${currentProject.isDirty ? 'Modificado' : 'Salvo'}
@@ -8657,7 +11908,7 @@ function addOverlay() {
             opacity: 1.0
         };
 
-        OverlayState.addOverlay(overlayData);
+        HistoryManager.track('Adicionar overlay', ['overlays'], () => OverlayState.addOverlay(overlayData));
         overlayId = overlayData.id;
         console.log('✅ Overlay criado no OverlayState com ID:', overlayId);
     } else {
@@ -8795,10 +12046,10 @@ function extendTimelineKeyboardShortcuts() {
             // Verificar se há um marcador ou overlay selecionado
             if (timelineState.selectedMarker) {
                 console.log('✅ [DEBUG] Movendo marcador selecionado...');
-                moveSelectedMarker(direction, largeStep);
+                HistoryManager.track('Mover marcador', ['markers'], () => moveSelectedMarker(direction, largeStep));
             } else if (timelineState.selectedOverlay) {
                 console.log('✅ [DEBUG] Movendo overlay selecionado...');
-                moveSelectedOverlay(direction, largeStep);
+                HistoryManager.track('Mover overlay', ['overlays'], () => moveSelectedOverlay(direction, largeStep));
             } else {
                 console.warn('❌ [DEBUG] Nenhum elemento selecionado para mover');
             }
@@ -8828,7 +12079,7 @@ function extendTimelineKeyboardShortcuts() {
             const selectedOverlay = getValidatedSelectedOverlay();
             if (selectedOverlay) {
                 console.log('✅ [UNIFIED] Chamando resizeSelectedOverlay...');
-                resizeSelectedOverlay(direction, isLargeStep);
+                HistoryManager.track('Redimensionar overlay', ['overlays'], () => resizeSelectedOverlay(direction, isLargeStep));
             } else {
                 console.warn('❌ [UNIFIED] Nenhum overlay selecionado para redimensionar');
             }
@@ -8,15 +8,31 @@ const os = require('os');
 const ffmpeg = require('fluent-ffmpeg'); // Novo
 const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path; // Novo
 const ffprobePath = require('@ffprobe-installer/ffprobe').path; // Novo
+const { CURRENT_PROJECT_VERSION, migrateProject, describeQuestionTypes, validateVideosScript, legacyOverlayToList } = require('./projectSchema');
+const { loadSettings, saveSettings } = require('./appSettings');
+const questionBank = require('./questionBank');
+const markerDetection = require('./markerDetection');
+const overlayRender = require('./overlayRender');
 
 ffmpeg.setFfmpegPath(ffmpegPath); // Configura o caminho do FFmpeg
 ffmpeg.setFfprobePath(ffprobePath); // Configura o caminho do FFprobe
 
+// Câmera e microfone simulados para testar a gravação sem hardware: --fake-media ou AVALIBRAS_FAKE_MEDIA=1
+if (process.argv.includes('--fake-media') || process.env.AVALIBRAS_FAKE_MEDIA === '1') {
+  app.commandLine.appendSwitch('use-fake-device-for-media-stream');
+  app.commandLine.appendSwitch('use-fake-ui-for-media-stream');
+}
+
 // Conjunto para rastrear diretórios de extração
 let extractionDirectories = new Set();
 
-// Diretório base para projetos temporários
-const PROJECTS_TEMP_DIR_BASE = path.join(os.tmpdir(), 'AVALibras');
+// Preferências do usuário (ver appSettings.js); alterações feitas pela interface atualizam este objeto
+let appSettings = loadSettings(app.getPath('userData'));
+
+// Diretório base para projetos temporários (a pasta configurada só vale a partir da próxima inicialização)
+const PROJECTS_TEMP_DIR_BASE = appSettings.tempDirectory
+  ? path.join(appSettings.tempDirectory, 'AVALibras')
+  : path.join(os.tmpdir(), 'AVALibras');
 const PROCESSED_VIDEOS_DIR = path.join(PROJECTS_TEMP_DIR_BASE, 'ProcessedVideos'); // Diretório para vídeos processados
 
 // Função para garantir diretório de vídeos processados
@@ -39,15 +55,332 @@ function ensureProjectTempDir(projectName) {
   return projectVideoDir;
 }
 
+// Pasta <nome>_media/ ao lado do .avaproject, onde ficam as mídias empacotadas do projeto
+function getProjectMediaDir(projectFilePath) {
+  return path.join(path.dirname(projectFilePath), `${path.basename(projectFilePath, path.extname(projectFilePath))}_media`);
+}
+
+// Converte caminhos de mídia vindos do renderer (URLs file:// e /C: no Windows) em caminhos do sistema
+function normalizeMediaPath(mediaPath) {
+  if (!mediaPath || typeof mediaPath !== 'string') return mediaPath;
+  let normalizedPath = mediaPath;
+  if (normalizedPath.startsWith('file://')) {
+    normalizedPath = normalizedPath.replace(/^file:\/\//, '');
+  }
+  if (process.platform === 'win32' && normalizedPath.match(/^\/[A-Za-z]:/)) {
+    normalizedPath = normalizedPath.substring(1);
+  }
+  return normalizedPath;
+}
+
+// Retorna o primeiro candidato que existe em disco (já normalizado), ou null
+function findExistingMediaPath(...candidates) {
+  for (const candidate of candidates) {
+    const normalizedPath = normalizeMediaPath(candidate);
+    if (normalizedPath && path.isAbsolute(normalizedPath) && fs.existsSync(normalizedPath)) {
+      return normalizedPath;
+    }
+  }
+  return null;
+}
+
+// Overlays da questão no formato do editor; videoprovas e projetos antigos tinham um único `overlay`
+function getQuestionOverlays(question) {
+  return Array.isArray(question?.overlays) ? question.overlays : legacyOverlayToList(question?.overlay);
+}
+
+// Caminhos relativos gravados no .avaproject usam sempre '/' para serem portáveis entre sistemas
+function isRelativeMediaPath(mediaPath) {
+  return typeof mediaPath === 'string' && mediaPath !== '' &&
+    !mediaPath.startsWith('file://') && !path.isAbsolute(mediaPath) && !/^[A-Za-z]:[\\/]/.test(mediaPath);
+}
+
+// Compara dois arquivos em blocos, sem carregar vídeos inteiros na memória. As cópias de bundleProjectMedia
+// mantêm a data de modificação da origem: mesmo tamanho e mesma data dispensam a leitura.
+async function hasSameFileContent(pathA, pathB) {
+  const [statA, statB] = await Promise.all([fs.promises.stat(pathA), fs.promises.stat(pathB)]);
+  if (statA.size !== statB.size) return false;
+  if (Math.round(statA.mtimeMs) === Math.round(statB.mtimeMs)) return true;
+
+  const [fileA, fileB] = await Promise.all([fs.promises.open(pathA, 'r'), fs.promises.open(pathB, 'r')]);
+  const bufferA = Buffer.alloc(1024 * 1024);
+  const bufferB = Buffer.alloc(1024 * 1024);
+  try {
+    for (let position = 0; position < statA.size; position += bufferA.length) {
+      const [{ bytesRead }] = await Promise.all([
+        fileA.read(bufferA, 0, bufferA.length, position),
+        fileB.read(bufferB, 0, bufferB.length, position)
+      ]);
+      if (!bufferA.subarray(0, bytesRead).equals(bufferB.subarray(0, bytesRead))) return false;
+    }
+    return true;
+  } finally {
+    await Promise.all([fileA.close(), fileB.close()]);
+  }
+}
+
+// Gravações, importações e videoprovas extraídas ficam em PROJECTS_TEMP_DIR_BASE, apagada ao fechar o programa
+function isTemporaryMediaPath(mediaPath) {
+  const normalizedPath = normalizeMediaPath(mediaPath);
+  return typeof normalizedPath === 'string' && path.isAbsolute(normalizedPath) &&
+    path.resolve(normalizedPath).startsWith(PROJECTS_TEMP_DIR_BASE + path.sep);
+}
+
+function hasTemporaryMedia(questions, videoPathsObj) {
+  return Object.values(videoPathsObj || {}).some(isTemporaryMediaPath) || (questions || []).some(question =>
+    isTemporaryMediaPath(question.video) || (question.segments?.clips || []).some(clip => isTemporaryMediaPath(clip.video))
+  );
+}
+
+// Copia as mídias do projeto para <nome>_media/ ao lado do .avaproject e reescreve as referências como relativas.
+// Com `onlyTemporary`, só as mídias de pastas temporárias são copiadas; as demais mantêm o caminho original.
+async function bundleProjectMedia(projectFilePath, questions, videoPathsObj, { onlyTemporary = false } = {}) {
+  const mediaDir = getProjectMediaDir(projectFilePath);
+  const mediaDirName = path.basename(mediaDir);
+  await fs.promises.mkdir(mediaDir, { recursive: true });
+
+  const copiedFiles = new Map(); // caminho absoluto de origem -> caminho relativo no projeto
+  // Arquivos de salvamentos anteriores podem estar referenciados por outras questões: nunca são sobrescritos
+  const existingNames = new Set((await fs.promises.readdir(mediaDir)).map(name => name.toLowerCase()));
+  const usedNames = new Set();
+  const skipped = [];
+
+  // Retorna null para mídias que ficam onde estão
+  const copyToMediaDir = async (sourcePath) => {
+    if (copiedFiles.has(sourcePath)) return copiedFiles.get(sourcePath);
+    if (onlyTemporary && path.dirname(sourcePath) !== mediaDir && !isTemporaryMediaPath(sourcePath)) return null;
+
+    let relativePath;
+    if (path.dirname(sourcePath) === mediaDir) {
+      // Arquivo já pertence à pasta de mídia (projeto salvo novamente no mesmo local)
+      relativePath = `${mediaDirName}/${path.basename(sourcePath)}`;
+    } else {
+      const ext = path.extname(sourcePath);
+      const baseName = path.basename(sourcePath, ext);
+      let fileName = `${baseName}${ext}`;
+      let counter = 1;
+      // Um arquivo já existente com o mesmo conteúdo é reaproveitado (mesma mídia salva de novo)
+      while (usedNames.has(fileName.toLowerCase()) || existingNames.has(fileName.toLowerCase())) {
+        if (!usedNames.has(fileName.toLowerCase()) && await hasSameFileContent(sourcePath, path.join(mediaDir, fileName))) break;
+        fileName = `${baseName}_${counter++}${ext}`;
+      }
+      if (!existingNames.has(fileName.toLowerCase())) {
+        const targetPath = path.join(mediaDir, fileName);
+        await fs.promises.copyFile(sourcePath, targetPath, fs.constants.COPYFILE_EXCL);
+        const { atime, mtime } = await fs.promises.stat(sourcePath);
+        await fs.promises.utimes(targetPath, atime, mtime);
+      }
+      relativePath = `${mediaDirName}/${fileName}`;
+    }
+
+    usedNames.add(path.basename(relativePath).toLowerCase());
+    copiedFiles.set(sourcePath, relativePath);
+    return relativePath;
+  };
+
+  const bundledVideoPaths = {};
+  for (const [key, value] of Object.entries(videoPathsObj || {})) {
+    const sourcePath = findExistingMediaPath(value, key);
+    if (!sourcePath) {
+      skipped.push(key);
+      bundledVideoPaths[key] = value;
+      continue;
+    }
+    const relativePath = await copyToMediaDir(sourcePath);
+    if (!relativePath) {
+      bundledVideoPaths[key] = value;
+      continue;
+    }
+    // Chaves file:// (vídeos) passam a ser o próprio caminho relativo; chaves por nome (imagens) são mantidas
+    const bundledKey = key.startsWith('file://') || path.isAbsolute(key) ? relativePath : key;
+    bundledVideoPaths[bundledKey] = relativePath;
+  }
+
+  const bundledQuestions = [];
+  for (const question of questions || []) {
+    const bundledQuestion = { ...question };
+    if (question.video) {
+      const sourcePath = findExistingMediaPath(videoPathsObj?.[question.video], question.video);
+      const relativePath = sourcePath && await copyToMediaDir(sourcePath);
+      if (relativePath) {
+        bundledQuestion.video = relativePath;
+        bundledVideoPaths[relativePath] = relativePath;
+      } else if (!sourcePath && !skipped.includes(question.video)) {
+        skipped.push(question.video);
+      }
+    }
+    if (question.segments && Array.isArray(question.segments.clips)) {
+      const clips = [];
+      for (const clip of question.segments.clips) {
+        const sourcePath = findExistingMediaPath(videoPathsObj?.[clip.video], clip.video);
+        const relativePath = sourcePath && await copyToMediaDir(sourcePath);
+        if (relativePath) {
+          bundledVideoPaths[relativePath] = relativePath;
+          clips.push({ ...clip, video: relativePath });
+        } else {
+          if (!sourcePath && !skipped.includes(clip.video)) skipped.push(clip.video);
+          clips.push(clip);
+        }
+      }
+      bundledQuestion.segments = { ...question.segments, clips };
+    }
+    // Imagens com chave por nome já foram copiadas acima; as com caminho absoluto (importadas) viram relativas
+    if (Array.isArray(question.overlays)) {
+      const overlays = [];
+      for (const overlay of question.overlays) {
+        const imageFile = overlay.imageFile;
+        const sourcePath = imageFile && (imageFile.startsWith('file://') || path.isAbsolute(imageFile))
+          ? findExistingMediaPath(videoPathsObj?.[imageFile], imageFile)
+          : null;
+        const relativePath = sourcePath && await copyToMediaDir(sourcePath);
+        if (relativePath) {
+          bundledVideoPaths[relativePath] = relativePath;
+          overlays.push({ ...overlay, imageFile: relativePath });
+        } else {
+          overlays.push(overlay);
+        }
+      }
+      bundledQuestion.overlays = overlays;
+    }
+    bundledQuestions.push(bundledQuestion);
+  }
+
+  return { mediaDirName, questions: bundledQuestions, videoPaths: bundledVideoPaths, skipped };
+}
+
+// Resolve referências relativas de um projeto com mídia empacotada a partir da pasta do .avaproject
+function resolveProjectMedia(projectFilePath, questions, videoPathsObj) {
+  const projectDir = path.dirname(projectFilePath);
+  const toAbsolute = (relativePath) => path.join(projectDir, ...relativePath.split('/'));
+
+  const resolvedVideoPaths = {};
+  for (const [key, value] of Object.entries(videoPathsObj || {})) {
+    const resolvedValue = isRelativeMediaPath(value) ? toAbsolute(value) : value;
+    const resolvedKey = isRelativeMediaPath(key) && key === value ? `file://${resolvedValue}` : key;
+    resolvedVideoPaths[resolvedKey] = resolvedValue;
+  }
+
+  const resolveVideo = (video) => isRelativeMediaPath(video) ? `file://${toAbsolute(video)}` : video;
+  const resolvedQuestions = (questions || []).map(question => {
+    const resolved = { ...question, video: resolveVideo(question.video) };
+    if (question.segments && Array.isArray(question.segments.clips)) {
+      resolved.segments = {
+        ...question.segments,
+        clips: question.segments.clips.map(clip => ({ ...clip, video: resolveVideo(clip.video) }))
+      };
+    }
+    if (Array.isArray(question.overlays)) {
+      resolved.overlays = question.overlays.map(overlay => ({
+        ...overlay,
+        imageFile: isRelativeMediaPath(overlay.imageFile) && videoPathsObj?.[overlay.imageFile] === overlay.imageFile
+          ? resolveVideo(overlay.imageFile)
+          : overlay.imageFile
+      }));
+    }
+    return resolved;
+  });
+
+  return { questions: resolvedQuestions, videoPaths: resolvedVideoPaths };
+}
+
+// Copia para o projeto atual as mídias de questões importadas de outro projeto ou videoprova
+ipcMain.handle('import-question-media', async (event, { questions, videoPaths: videoPathsObj, projectFilePath, projectName }) => {
+  // Projetos salvos recebem a mídia em <nome>_media/. Projetos novos usam a pasta temporária, como vídeos gravados,
+  // até o primeiro salvamento, que copia essa mídia para <nome>_media/ (ver save-project)
+  const targetDir = projectFilePath
+    ? getProjectMediaDir(projectFilePath)
+    : ensureProjectTempDir(projectName || 'Projeto_sem_Titulo');
+  await fs.promises.mkdir(targetDir, { recursive: true });
+
+  const copiedFiles = new Map();
+  const copyMedia = async (sourcePath) => {
+    if (copiedFiles.has(sourcePath)) return copiedFiles.get(sourcePath);
+
+    const ext = path.extname(sourcePath);
+    const baseName = path.basename(sourcePath, ext);
+    let targetPath = path.join(targetDir, `${baseName}${ext}`);
+    let counter = 1;
+    // Nunca sobrescrever mídia que já pertence ao projeto
+    while (fs.existsSync(targetPath)) {
+      targetPath = path.join(targetDir, `${baseName}_${counter++}${ext}`);
+    }
+    await fs.promises.copyFile(sourcePath, targetPath);
+    copiedFiles.set(sourcePath, targetPath);
+    return targetPath;
+  };
+
+  const importedVideoPaths = {};
+  const missingFiles = [];
+  const importedQuestions = [];
+  for (const question of questions || []) {
+    const imported = { ...question };
+
+    const videoPath = findExistingMediaPath(videoPathsObj?.[question.video], question.video);
+    if (videoPath) {
+      const targetPath = await copyMedia(videoPath);
+      imported.video = `file://${targetPath}`;
+      importedVideoPaths[imported.video] = targetPath;
+    } else {
+      missingFiles.push(`${question.label || 'Questão'}: ${question.video}`);
+    }
+
+    if (question.segments && Array.isArray(question.segments.clips)) {
+      const clips = [];
+      for (const clip of question.segments.clips) {
+        const clipPath = findExistingMediaPath(videoPathsObj?.[clip.video], clip.video);
+        if (clipPath) {
+          const targetPath = await copyMedia(clipPath);
+          clips.push({ ...clip, video: `file://${targetPath}` });
+          importedVideoPaths[`file://${targetPath}`] = targetPath;
+        } else {
+          missingFiles.push(`${question.label || 'Questão'} (segmento ${clip.key}): ${clip.video}`);
+          clips.push(clip);
+        }
+      }
+      imported.segments = { ...question.segments, clips };
+    }
+
+    delete imported.overlay;
+    imported.overlays = [];
+    for (const overlay of getQuestionOverlays(question)) {
+      if (overlay.type === 'text') {
+        imported.overlays.push(overlay);
+        continue;
+      }
+      const imagePath = findExistingMediaPath(videoPathsObj?.[overlay.imageFile], overlay.imageFile);
+      if (imagePath) {
+        const targetPath = await copyMedia(imagePath);
+        imported.overlays.push({ ...overlay, imageFile: `file://${targetPath}` });
+        importedVideoPaths[`file://${targetPath}`] = targetPath;
+      } else {
+        missingFiles.push(`${question.label || 'Questão'} (${overlay.label || 'overlay'}): ${overlay.imageFile}`);
+      }
+    }
+    importedQuestions.push(imported);
+  }
+
+  return { questions: importedQuestions, videoPaths: importedVideoPaths, missingFiles, temporary: !projectFilePath };
+});
+
 // Handler para salvar vídeo gravado
-ipcMain.handle('save-recorded-video', async (event, { videoBuffer, fileName, projectName }) => {
+ipcMain.handle('save-recorded-video', async (event, { videoBuffer, fileName, projectName, projectFilePath }) => {
   if (!projectName) {
     throw new Error('Nome da prova não fornecido para salvar vídeo gravado.');
   }
   try {
-    const projectVideoDir = ensureProjectTempDir(projectName);
+    // Projetos salvos recebem a gravação em <nome>_media/; a pasta temporária é apagada ao fechar o programa
+    // e só é usada até o primeiro salvamento, que copia a gravação para o projeto (ver save-project)
+    const projectVideoDir = projectFilePath ? getProjectMediaDir(projectFilePath) : ensureProjectTempDir(projectName);
+    await fs.promises.mkdir(projectVideoDir, { recursive: true });
     const tempFilePath = path.join(projectVideoDir, fileName);
-    await fs.promises.writeFile(tempFilePath, Buffer.from(videoBuffer));
+    // O MediaRecorder grava WebM (sem duração no cabeçalho); a gravação é convertida para o MP4 exportado na prova
+    const rawFilePath = path.join(projectVideoDir, `raw_${path.basename(fileName, path.extname(fileName))}.webm`);
+    await fs.promises.writeFile(rawFilePath, Buffer.from(videoBuffer));
+    try {
+      await encodeToMp4(rawFilePath, tempFilePath);
+    } finally {
+      await fs.promises.rm(rawFilePath, { force: true });
+    }
     return tempFilePath;
   } catch (error) {
     console.error('Falha ao salvar vídeo gravado temporariamente:', error);
@@ -212,6 +545,19 @@ function createWindow() {
                 event.preventDefault();
                 mainWindow.webContents.send('export-project-triggered');
                 break;
+            case 'z':
+                event.preventDefault();
+                // before-input-event dispara no keyDown e no keyUp; desfazer só uma vez por toque
+                if (input.type === 'keyDown') {
+                    mainWindow.webContents.send(input.shift ? 'redo-triggered' : 'undo-triggered');
+                }
+                break;
+            case 'y':
+                event.preventDefault();
+                if (input.type === 'keyDown') {
+                    mainWindow.webContents.send('redo-triggered');
+                }
+                break;
             case 'q':
                 event.preventDefault();
                 showCloseConfirmDialog();
@@ -253,6 +599,123 @@ function createWindow() {
   mainWindow.loadFile('index.html');
 }
 
+// ----- RECUPERAÇÃO DE SESSÃO -----
+// O arquivo de trava existe enquanto o app está aberto; se ele já existir na inicialização, a última saída não foi limpa
+let recoverySession = { uncleanExit: false };
+
+function getRecoveryPaths() {
+  const recoveryDir = path.join(app.getPath('userData'), 'recovery');
+  return {
+    recoveryDir,
+    lockFile: path.join(recoveryDir, 'session.lock'),
+    recoveryFile: path.join(recoveryDir, 'session-recovery.json')
+  };
+}
+
+// Trava de uma instância ainda aberta (outra janela do app) não indica saída com falha
+function isLockOwnerRunning(lockFile) {
+  try {
+    const { pid } = JSON.parse(fs.readFileSync(lockFile, 'utf-8'));
+    if (!Number.isInteger(pid) || pid === process.pid) return false;
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: o processo existe, mas pertence a outro usuário
+    return error.code === 'EPERM';
+  }
+}
+
+function startRecoverySession() {
+  const { recoveryDir, lockFile, recoveryFile } = getRecoveryPaths();
+  try {
+    fs.mkdirSync(recoveryDir, { recursive: true });
+    recoverySession.uncleanExit = fs.existsSync(lockFile) && fs.existsSync(recoveryFile) && !isLockOwnerRunning(lockFile);
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }));
+    if (recoverySession.uncleanExit) {
+      console.warn(`[${new Date().toISOString()}] Saída anterior não foi limpa; sessão recuperável em ${recoveryFile}`);
+    }
+  } catch (error) {
+    console.error('Erro ao iniciar sessão de recuperação:', error);
+  }
+}
+
+function endRecoverySession() {
+  const { lockFile, recoveryFile } = getRecoveryPaths();
+  try {
+    fs.rmSync(recoveryFile, { force: true });
+    fs.rmSync(lockFile, { force: true });
+  } catch (error) {
+    console.error('Erro ao encerrar sessão de recuperação:', error);
+  }
+}
+
+ipcMain.handle('autosave-write', async (event, sessionData) => {
+  const { recoveryDir, recoveryFile } = getRecoveryPaths();
+  await fs.promises.mkdir(recoveryDir, { recursive: true });
+  await writeFileAtomic(recoveryFile, JSON.stringify({ ...sessionData, savedAt: new Date().toISOString() }));
+  return true;
+});
+
+ipcMain.handle('autosave-check', async () => {
+  const { recoveryFile } = getRecoveryPaths();
+  if (!recoverySession.uncleanExit) return { available: false };
+  try {
+    const sessionData = JSON.parse(await fs.promises.readFile(recoveryFile, 'utf-8'));
+    return { available: true, sessionData };
+  } catch (error) {
+    console.error('Arquivo de recuperação ilegível:', error);
+    return { available: false };
+  }
+});
+
+ipcMain.handle('autosave-clear', async () => {
+  const { recoveryFile } = getRecoveryPaths();
+  recoverySession.uncleanExit = false;
+  await fs.promises.rm(recoveryFile, { force: true });
+  return true;
+});
+
+// ===== PREFERÊNCIAS =====
+
+ipcMain.handle('get-settings', async () => {
+  return { settings: appSettings, tempDirectoryInUse: PROJECTS_TEMP_DIR_BASE };
+});
+
+ipcMain.handle('save-settings', async (event, changes) => {
+  appSettings = await saveSettings(app.getPath('userData'), { ...appSettings, ...changes });
+  console.log('Preferências atualizadas:', appSettings);
+  return { settings: appSettings, tempDirectoryInUse: PROJECTS_TEMP_DIR_BASE };
+});
+
+// ===== BANCO DE QUESTÕES =====
+
+ipcMain.handle('bank-list', async () => {
+  return await questionBank.listEntries(app.getPath('userData'));
+});
+
+ipcMain.handle('bank-add', async (event, { question, videoPath, subject, tags }) => {
+  const sourcePath = findExistingMediaPath(videoPath, question.video);
+  if (!sourcePath) {
+    throw new Error('Arquivo de vídeo da questão não encontrado.');
+  }
+  return await questionBank.addEntry(app.getPath('userData'), {
+    videoPath: sourcePath,
+    title: question.label,
+    subject,
+    tags,
+    type: question.type,
+    answerField: question.answerField,
+    answer: question.answer,
+    markers: question.markers,
+    totalAlternatives: question.totalAlternatives,
+    edits: question.edits
+  });
+});
+
+ipcMain.handle('bank-delete', async (event, id) => {
+  return await questionBank.deleteEntry(app.getPath('userData'), id);
+});
+
 // Função para mostrar diálogo de confirmação de fechamento
 function showCloseConfirmDialog() {
   // Enviar mensagem para o renderer process para mostrar modal
@@ -271,6 +734,7 @@ function showCloseConfirmDialog() {
 
 app.whenReady().then(() => {
   ensureProcessedVideosDir(); // Garante que o diretório existe na inicialização
+  startRecoverySession();
   session.defaultSession.setPermissionRequestHandler((webContents, permission, callback) => {
     const allowedPermissions = ['media', 'camera', 'microphone', 'videoInput', 'audioInput'];
     if (allowedPermissions.includes(permission)) {
@@ -307,6 +771,8 @@ app.on('before-quit', (event) => {
 ipcMain.on('confirm-close-response', async (event, shouldClose) => {
   if (shouldClose) {
     isQuitting = true;
+    // Fechamento confirmado pelo usuário: não há sessão a recuperar
+    endRecoverySession();
     
     // Fechar a janela principal imediatamente para dar feedback visual
     if (mainWindow && !mainWindow.isDestroyed()) {
@@ -399,7 +865,7 @@ ipcMain.handle('show-prompt-dialog', async (event, { title, message }) => {
   // Enviar mensagem para o renderer process para mostrar modal de prompt
   if (mainWindow && !mainWindow.isDestroyed()) {
     return mainWindow.webContents.executeJavaScript(`
-      showPromptModal('${title}', '${message}', 'password');
+      showPromptModal(${JSON.stringify(title || '')}, ${JSON.stringify(message || '')}, 'password');
     `);
   }
   return '';
@@ -424,25 +890,56 @@ ipcMain.handle('check-file-exists', async (event, filePath) => {
   }
 });
 
-ipcMain.handle('save-project', async (event, projectData) => {
+ipcMain.handle('save-project', async (event, { filePath, projectData, videoPaths: videoPathsObj, bundleMedia = false }) => {
+    if (!filePath) {
+        throw new Error('Caminho do projeto não informado.');
+    }
     try {
+        let questions = projectData.questions || [];
+        let savedVideoPaths = videoPathsObj || {};
+        let media = null;
+        let skippedMedia = [];
+
+        // Mídias em pastas temporárias seriam apagadas ao fechar o programa: vão para <nome>_media/ mesmo sem empacotar
+        const temporaryMediaBundled = !bundleMedia && hasTemporaryMedia(questions, savedVideoPaths);
+        if (bundleMedia || temporaryMediaBundled) {
+            const bundled = await bundleProjectMedia(filePath, questions, savedVideoPaths, { onlyTemporary: !bundleMedia });
+            questions = bundled.questions;
+            savedVideoPaths = bundled.videoPaths;
+            skippedMedia = bundled.skipped;
+            media = { directory: bundled.mediaDirName };
+        }
+
         const jsonContent = {
-            version: "2.0",
+            version: CURRENT_PROJECT_VERSION,
             metadata: {
-                name: projectData.nomeProva,
-                type: projectData.tipo || "Múltipla Escolha",
-                questions: projectData.questions?.length || 0,
-                created: new Date().toISOString(),
+                name: projectData.name || projectData.nomeProva,
+                type: describeQuestionTypes(questions),
+                questions: questions.length,
+                created: projectData.created || new Date().toISOString(),
                 modified: new Date().toISOString()
             },
-            questions: projectData.questions,
-            videoPaths: Object.fromEntries(projectData.videoPaths || []),
+            project: {
+                type: projectData.type || "multiple_choice",
+                totalAlternatives: projectData.totalAlternatives,
+                overlays: projectData.overlays || [],
+                unassignedOverlays: projectData.unassignedOverlays || []
+            },
+            questions: questions,
+            videoPaths: savedVideoPaths,
+            media: media,
             settings: {
                 autosave: true,
+                bundleMedia: bundleMedia,
                 lastAccessed: new Date().toISOString()
             }
         };
-        return JSON.stringify(jsonContent, null, 2);
+
+        // Única cópia do projeto do usuário: uma queda durante a gravação não pode truncá-la
+        await writeFileAtomic(filePath, JSON.stringify(jsonContent, null, 2));
+        console.log(`Projeto salvo em: ${filePath}${media ? ` (mídias em ${media.directory})` : ''}`);
+
+        return { success: true, filePath, mediaDirectory: media?.directory || null, skippedMedia, temporaryMediaBundled };
     } catch (error) {
         console.error('Erro ao salvar projeto:', error);
         throw error;
@@ -452,145 +949,514 @@ ipcMain.handle('save-project', async (event, projectData) => {
 ipcMain.handle('open-project', async (event, filePath) => {
     try {
         const content = await fs.promises.readFile(filePath, 'utf-8');
-        const projectData = JSON.parse(content);
+        // Arquivos de versões anteriores são atualizados em memória; o disco só muda no próximo salvamento
+        const { projectData, report: migrationReport } = migrateProject(JSON.parse(content));
+        if (migrationReport.applied.length > 0) {
+            console.log(`Projeto migrado de ${migrationReport.fromVersion} para ${migrationReport.toVersion}: ${migrationReport.applied.join(', ')}`);
+        }
+        if (migrationReport.unrecoverable.length > 0) {
+            console.warn('Campos do projeto que não puderam ser recuperados:', migrationReport.unrecoverable);
+        }
+
+        // Projetos com mídia empacotada guardam caminhos relativos à pasta do .avaproject
+        const resolved = resolveProjectMedia(filePath, projectData.questions, projectData.videoPaths);
+        projectData.questions = resolved.questions;
+        projectData.videoPaths = resolved.videoPaths;
 
         // Validar arquivos de mídia
         const missingFiles = [];
         projectData.questions.forEach((q, i) => {
-            if (q.video && !fs.existsSync(q.video)) {
+            if (q.video && !findExistingMediaPath(projectData.videoPaths[q.video], q.video)) {
                 missingFiles.push(`Questão ${i+1}: ${q.video}`);
             }
+            (q.segments?.clips || []).forEach(clip => {
+                if (!findExistingMediaPath(projectData.videoPaths[clip.video], clip.video)) {
+                    missingFiles.push(`Questão ${i+1} (segmento ${clip.key}): ${clip.video}`);
+                }
+            });
+            (q.overlays || []).forEach(overlay => {
+                if (overlay.type !== 'text' && !findExistingMediaPath(projectData.videoPaths[overlay.imageFile], overlay.imageFile)) {
+                    missingFiles.push(`Questão ${i+1} (${overlay.label || 'overlay'}): ${overlay.imageFile}`);
+                }
+            });
         });
 
-        return { projectData, missingFiles };
+        return { projectData, missingFiles, migrationReport };
     } catch (error) {
         console.error('Erro ao abrir projeto:', error);
         throw error;
     }
 });
 
-ipcMain.handle('export-test', async (event, { nomeProva, questions, videoPaths: videoPathsObj, password }) => {
-  const operationText = password ? 'Exportando a Videoprova...' : 'Salvando o Projeto...';
+// Grava em arquivo temporário na mesma pasta e renomeia, para nunca deixar um .ava pela metade no destino
+async function writeFileAtomic(filePath, data) {
+  const tempFilePath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+  try {
+    await fs.promises.writeFile(tempFilePath, data);
+    await fs.promises.rename(tempFilePath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempFilePath, { force: true }).catch(() => {});
+    throw error;
+  }
+}
+
+// Converte um tempo do arquivo original para o tempo do vídeo com os cortes aplicados
+function sourceToOutputTime(keptRanges, time) {
+  let output = 0;
+  for (const range of keptRanges) {
+    if (time < range.start) break;
+    output += Math.min(time, range.end) - range.start;
+  }
+  return output;
+}
 
-  console.log('Questions received in main.js:', JSON.stringify(questions, null, 2));
-  
-  // Converter o objeto videoPaths recebido de volta para um Map
+// Renderiza uma única vez os trechos mantidos da lista de decisões de edição (trim/atrim + concat)
+async function renderEditDecisionList(inputPath, keptRanges, outputPath) {
+  const metadata = await new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (err, data) => err ? reject(err) : resolve(data));
+  });
+  // Vídeos gravados sem áudio não têm a stream [0:a]
+  const hasAudio = metadata.streams.some(stream => stream.codec_type === 'audio');
+
+  return new Promise((resolve, reject) => {
+    const filters = [];
+    const streams = [];
+    keptRanges.forEach((range, i) => {
+      filters.push(`[0:v]trim=start=${range.start}:end=${range.end},setpts=PTS-STARTPTS[v${i}]`);
+      streams.push(`[v${i}]`);
+      if (hasAudio) {
+        filters.push(`[0:a]atrim=start=${range.start}:end=${range.end},asetpts=PTS-STARTPTS[a${i}]`);
+        streams.push(`[a${i}]`);
+      }
+    });
+    filters.push(`${streams.join('')}concat=n=${keptRanges.length}:v=1:a=${hasAudio ? 1 : 0}[outv]${hasAudio ? '[outa]' : ''}`);
+
+    const outputOptions = ['-filter_complex', filters.join(';'), '-map', '[outv]', '-c:v', 'libx264'];
+    if (hasAudio) outputOptions.push('-map', '[outa]', '-c:a', 'aac');
+
+    ffmpeg(inputPath)
+      .outputOptions([...outputOptions, '-preset', appSettings.encodingPreset, '-crf', String(appSettings.encodingCrf)])
+      .output(outputPath)
+      .on('end', () => resolve(outputPath))
+      .on('error', (err) => reject(new Error(`Erro ao aplicar cortes: ${err.message}`)))
+      .run();
+  });
+}
+
+// Compõe os overlays no vídeo (cada um visível só entre start e start + duration)
+async function burnOverlays(inputPath, overlays, outputPath) {
+  const metadata = await new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (err, data) => err ? reject(err) : resolve(data));
+  });
+  const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+  const hasAudio = metadata.streams.some(stream => stream.codec_type === 'audio');
+
+  // O drawtext lê as legendas de arquivos, o que evita escapar o texto dentro do filtergraph
+  const textFiles = [];
+  const renderOverlays = overlays.map((overlay, index) => {
+    if (overlay.type !== 'text') return overlay;
+    const textFile = path.join(ensureProcessedVideosDir(), `overlay_text_${Date.now()}_${index}.txt`);
+    fs.writeFileSync(textFile, overlay.text?.content || '', 'utf-8');
+    textFiles.push(textFile);
+    return { ...overlay, textFile };
+  });
+  const removeTextFiles = () => textFiles.forEach(textFile => fs.rmSync(textFile, { force: true }));
+  const filters = overlayRender.buildOverlayFilterGraph(renderOverlays, { width: videoStream.width, height: videoStream.height });
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    overlays.filter(overlay => overlay.type !== 'text').forEach(overlay => {
+      command.input(overlay.imagePath);
+      // Fade e keyframes variam a cada quadro: a imagem precisa virar um vídeo (termina junto com o principal)
+      if (overlayRender.isOverlayAnimated(overlay)) command.inputOptions(['-loop', '1']);
+    });
+
+    const outputOptions = ['-filter_complex', filters.join(';'), '-map', '[outv]', '-c:v', 'libx264', '-pix_fmt', 'yuv420p'];
+    if (hasAudio) outputOptions.push('-map', '0:a', '-c:a', 'aac');
+
+    command
+      .outputOptions([...outputOptions, '-preset', appSettings.encodingPreset, '-crf', String(appSettings.encodingCrf)])
+      .output(outputPath)
+      .on('end', () => {
+        removeTextFiles();
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        removeTextFiles();
+        reject(new Error(`Erro ao gravar overlays no vídeo: ${err.message}`));
+      })
+      .run();
+  });
+}
+
+// Recodifica um vídeo (WebM, MOV...) em MP4 H.264/AAC com o preset e o CRF configurados
+function encodeToMp4(inputPath, outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .outputOptions([
+        '-map', '0:v:0', '-map', '0:a:0?', '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'aac',
+        '-preset', appSettings.encodingPreset, '-crf', String(appSettings.encodingCrf), '-movflags', '+faststart'
+      ])
+      .output(outputPath)
+      .on('end', () => resolve(outputPath))
+      .on('error', (err) => reject(new Error(`Erro ao converter vídeo para MP4: ${err.message}`)))
+      .run();
+  });
+}
+
+// Une vídeos de formatos diferentes (WebM e MP4, com ou sem áudio) em um MP4 H.264/AAC (filtro concat).
+// Os quadros seguem o tamanho do primeiro vídeo; clipes sem áudio entram com silêncio.
+async function joinVideos(inputPaths, outputPath) {
+  const probes = await Promise.all(inputPaths.map(inputPath => new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (err, data) => err ? reject(err) : resolve(data));
+  })));
+  const firstVideo = probes[0].streams.find(stream => stream.codec_type === 'video');
+  const width = firstVideo.width + (firstVideo.width % 2);
+  const height = firstVideo.height + (firstVideo.height % 2);
+  const hasAudio = probes.some(probe => probe.streams.some(stream => stream.codec_type === 'audio'));
+
+  const filters = [];
+  const streams = [];
+  probes.forEach((probe, i) => {
+    filters.push(`[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,format=yuv420p[v${i}]`);
+    streams.push(`[v${i}]`);
+    if (!hasAudio) return;
+    if (probe.streams.some(stream => stream.codec_type === 'audio')) {
+      filters.push(`[${i}:a]aresample=48000,aformat=channel_layouts=stereo[a${i}]`);
+    } else {
+      filters.push(`anullsrc=r=48000:cl=stereo,atrim=duration=${Number(probe.format.duration) || 0}[a${i}]`);
+    }
+    streams.push(`[a${i}]`);
+  });
+  filters.push(`${streams.join('')}concat=n=${inputPaths.length}:v=1:a=${hasAudio ? 1 : 0}[outv]${hasAudio ? '[outa]' : ''}`);
+
+  const outputOptions = ['-filter_complex', filters.join(';'), '-map', '[outv]', '-c:v', 'libx264'];
+  if (hasAudio) outputOptions.push('-map', '[outa]', '-c:a', 'aac');
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    inputPaths.forEach(inputPath => command.input(inputPath));
+    command
+      .outputOptions([...outputOptions, '-preset', appSettings.encodingPreset, '-crf', String(appSettings.encodingCrf)])
+      .output(outputPath)
+      .on('end', () => resolve(outputPath))
+      .on('error', (err) => reject(new Error(`Erro ao unir vídeos: ${err.message}`)))
+      .run();
+  });
+}
+
+// Em uma questão montada por segmentos, o marcador de cada alternativa é o início do seu clipe no vídeo unido
+async function getSegmentMarkers(clips, clipPaths) {
+  const markers = {};
+  let offset = 0;
+  for (const [index, clip] of clips.entries()) {
+    if (clip.key !== 'statement') markers[clip.key] = Number(offset.toFixed(3));
+    const metadata = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(clipPaths[index], (err, data) => err ? reject(err) : resolve(data));
+    });
+    offset += Number(metadata.format.duration) || 0;
+  }
+  return markers;
+}
+
+// overlayMode 'data' grava os overlays como imagens descritas no videos.js; 'burn' os compõe no próprio vídeo
+ipcMain.handle('export-test', async (event, { filePath, projectData, videoPaths: videoPathsObj, overlayMode = 'data' }) => {
+  if (!filePath) {
+    throw new Error('Caminho de exportação não informado.');
+  }
+
+  const nomeProva = projectData.name || projectData.nomeProva;
+  // Trabalhar sobre uma cópia: os nomes Q_XX só valem dentro do .ava
+  const questions = JSON.parse(JSON.stringify(projectData.questions || []));
   const videoPaths = new Map(Object.entries(videoPathsObj || {}));
-  console.log('VideoPaths convertido para Map:', [...videoPaths.entries()]);
+  const manifest = { filePath, nomeProva, included: [], skipped: [] };
+  // Vídeos renderizados a partir dos cortes só existem até o .ava ser gravado
+  const renderedVideos = [];
 
   try {
-    mainWindow.webContents.send('show-progress-modal', operationText);
+    mainWindow.webContents.send('show-progress-modal', 'Exportando a Videoprova...');
 
     const zip = new AdmZip();
     
     // Constante para o método STORE (sem compressão)
     const STORE_METHOD = 0;
-    // Constante para o método DEFLATE (com compressão padrão) - AdmZip usa por padrão
-    // const DEFLATE_METHOD = 8; // Não é necessário definir se for usar o padrão para videos.js
-    
-    await Promise.all(questions.map(async (question, index) => {
-      let actualVideoPath = videoPaths.get(question.video) || question.video;
-      if (actualVideoPath.startsWith('file://')) {
-          actualVideoPath = actualVideoPath.replace(/^file:\/\//, '');
+
+    const addStoredFile = (fileNameInZip, data) => {
+      zip.addFile(fileNameInZip, data);
+      // Vídeos e imagens já são comprimidos: STORE evita custo de CPU sem perder tamanho
+      const entry = zip.getEntry(fileNameInZip);
+      if (entry) {
+        entry.header.method = STORE_METHOD;
+      }
+    };
+
+    // Q_01..Q_99, Q_001..Q_999 etc.: a largura acompanha o total para os nomes ordenarem corretamente
+    const fileNumberWidth = Math.max(2, String(questions.length).length);
+
+    for (const [index, question] of questions.entries()) {
+      const questionLabel = question.label || `Questão ${index + 1}`;
+      const fileBaseName = `Q_${(index + 1).toString().padStart(fileNumberWidth, '0')}`;
+      const sourceVideo = question.video;
+
+      mainWindow.webContents.send('update-progress', {
+        percent: Math.round((index / Math.max(questions.length, 1)) * 90),
+        text: `Adicionando ${questionLabel}...`
+      });
+
+      // Garantir que o vídeo seja sempre exportado como Q_XX.mp4, mesmo se ausente, para não deslocar a numeração
+      question.video = `${fileBaseName}.mp4`;
+      // O player monta os botões de resposta a partir do número de alternativas de cada questão
+      question.totalAlternatives = question.totalAlternatives ?? projectData.totalAlternatives;
+      // O tipo define onde está o gabarito: correctAnswer, correctAnswers, correctOrder ou responseTimeLimit
+      question.type = question.type || 'multiple_choice';
+
+      // Tempos dos overlays acompanham os cortes; os arquivos são gravados depois do vídeo
+      let overlays = [];
+      for (const overlay of getQuestionOverlays(question)) {
+        const timing = { start: Number(overlay.start) || 0, duration: Number(overlay.duration) || 0 };
+        // Legendas não dependem de arquivo
+        if (overlay.type === 'text') {
+          overlays.push({ ...overlay, ...timing });
+          continue;
+        }
+        const imagePath = findExistingMediaPath(videoPaths.get(overlay.imageFile), overlay.imageFile);
+        if (!imagePath) {
+          console.warn(`Imagem de overlay não encontrada para ${questionLabel}: ${overlay.imageFile}`);
+          manifest.skipped.push({ question: questionLabel, type: 'overlay', source: overlay.imageFile, reason: 'Imagem de overlay não encontrada' });
+          continue;
+        }
+        overlays.push({ ...overlay, ...timing, imagePath });
       }
-      // Para Windows, normalizar caminhos se eles vierem com /C: -> C:
-      if (process.platform === 'win32' && actualVideoPath.match(/^\/[A-Za-z]:/)) {
-        actualVideoPath = actualVideoPath.substring(1);
+      overlays.sort((a, b) => a.start - b.start);
+      delete question.overlay;
+
+      // Questões montadas por segmentos: os clipes são unidos (marcadores automáticos) ou enviados separados.
+      // Se algum clipe sumiu, exporta-se a pré-visualização unida gravada em question.video.
+      const segments = question.segments;
+      delete question.segments;
+      let segmentVideoPath = null;
+      let separateClips = null;
+      if (segments && Array.isArray(segments.clips) && segments.clips.length > 0) {
+        const clipPaths = segments.clips.map(clip => findExistingMediaPath(videoPaths.get(clip.video), clip.video));
+        const missingClips = segments.clips.filter((clip, i) => !clipPaths[i]);
+        if (missingClips.length > 0) {
+          missingClips.forEach(clip => manifest.skipped.push({
+            question: questionLabel, type: 'segment', source: clip.video, reason: `Segmento ${clip.key} não encontrado`
+          }));
+        } else if (segments.exportMode === 'separate') {
+          separateClips = segments.clips.map((clip, i) => ({ ...clip, path: clipPaths[i] }));
+        } else {
+          mainWindow.webContents.send('update-progress', {
+            percent: Math.round((index / Math.max(questions.length, 1)) * 90),
+            text: `Unindo segmentos da ${questionLabel}...`
+          });
+          segmentVideoPath = path.join(ensureProcessedVideosDir(), `join_${fileBaseName}_${Date.now()}.mp4`);
+          await joinVideos(clipPaths, segmentVideoPath);
+          renderedVideos.push(segmentVideoPath);
+          question.markers = await getSegmentMarkers(segments.clips, clipPaths);
+        }
       }
 
+      const actualVideoPath = segmentVideoPath || findExistingMediaPath(videoPaths.get(sourceVideo), sourceVideo);
+      if (separateClips) {
+        // Enunciado em Q_XX.mp4 e cada alternativa em Q_XX_<letra>.mp4; sem vídeo único não há marcadores nem cortes
+        question.markers = {};
+        delete question.edits;
+        question.segments = { exportMode: 'separate', clips: [] };
+        for (const clip of separateClips) {
+          const clipFile = clip.key === 'statement' ? question.video : `${fileBaseName}_${clip.key}.mp4`;
+          // Clipes gravados ou importados podem ser WebM: todos saem em MP4, como o nome indica
+          const encodedClipPath = path.join(ensureProcessedVideosDir(), `clip_${fileBaseName}_${clip.key}_${Date.now()}.mp4`);
+          await encodeToMp4(clip.path, encodedClipPath);
+          renderedVideos.push(encodedClipPath);
+          addStoredFile(clipFile, await fs.promises.readFile(encodedClipPath));
+          manifest.included.push({ question: questionLabel, type: 'segment', source: clip.path, file: clipFile });
+          question.segments.clips.push({ key: clip.key, video: clipFile });
+        }
+      } else if (!actualVideoPath) {
+        console.warn(`Vídeo não encontrado para ${questionLabel}: ${sourceVideo}`);
+        manifest.skipped.push({ question: questionLabel, type: 'video', source: sourceVideo || null, reason: 'Arquivo de vídeo não encontrado' });
+      } else {
+        let exportVideoPath = actualVideoPath;
+        const edits = question.edits;
+        delete question.edits;
+
+        if (edits && Array.isArray(edits.keptRanges) && edits.keptRanges.length > 0) {
+          mainWindow.webContents.send('update-progress', {
+            percent: Math.round((index / Math.max(questions.length, 1)) * 90),
+            text: `Aplicando cortes da ${questionLabel}...`
+          });
+          exportVideoPath = path.join(ensureProcessedVideosDir(), `edl_${fileBaseName}_${Date.now()}.mp4`);
+          await renderEditDecisionList(actualVideoPath, edits.keptRanges, exportVideoPath);
+          renderedVideos.push(exportVideoPath);
+
+          // Marcadores e overlays foram definidos no tempo do arquivo original
+          question.markers = Object.fromEntries(Object.entries(question.markers || {})
+            .map(([key, time]) => [key, sourceToOutputTime(edits.keptRanges, time)]));
+          overlays = overlays.map(overlay => {
+            const start = sourceToOutputTime(edits.keptRanges, overlay.start);
+            const end = sourceToOutputTime(edits.keptRanges, overlay.start + overlay.duration);
+            // Keyframes são relativos ao início do overlay, que também pode ter se deslocado
+            const keyframes = (overlay.keyframes || []).map(keyframe => ({
+              ...keyframe,
+              time: sourceToOutputTime(edits.keptRanges, overlay.start + keyframe.time) - start
+            }));
+            return { ...overlay, start, duration: end - start, keyframes };
+          });
+        }
 
-      if (!actualVideoPath || !fs.existsSync(actualVideoPath)) {
-        console.warn(`Vídeo não encontrado ou caminho inválido para questão ${index + 1}: ${actualVideoPath || question.video}`);
-        return; 
+        // Sem vídeo único (ausente ou segmentos separados) os overlays seguem como dados mesmo no modo 'burn'
+        if (overlayMode === 'burn' && overlays.length > 0) {
+          mainWindow.webContents.send('update-progress', {
+            percent: Math.round((index / Math.max(questions.length, 1)) * 90),
+            text: `Gravando overlays na ${questionLabel}...`
+          });
+          const burnedVideoPath = path.join(ensureProcessedVideosDir(), `overlay_${fileBaseName}_${Date.now()}.mp4`);
+          await burnOverlays(exportVideoPath, overlays, burnedVideoPath);
+          renderedVideos.push(burnedVideoPath);
+          overlays.forEach(overlay => manifest.included.push({
+            question: questionLabel,
+            type: 'overlay',
+            source: overlay.type === 'text' ? overlay.text?.content : overlay.imagePath,
+            file: question.video
+          }));
+          overlays = [];
+          exportVideoPath = burnedVideoPath;
+        }
+
+        try {
+          addStoredFile(question.video, await fs.promises.readFile(exportVideoPath));
+          manifest.included.push({ question: questionLabel, type: 'video', source: actualVideoPath, file: question.video });
+        } catch (readError) {
+          console.error(`Erro ao ler o arquivo de vídeo ${actualVideoPath}:`, readError);
+          throw new Error(`Falha ao processar vídeo da ${questionLabel} (${path.basename(actualVideoPath)})`);
+        }
       }
-      try {
-        const videoData = await fs.promises.readFile(actualVideoPath);
-        // Garantir que o vídeo seja sempre exportado como Q_XX.mp4
-        const videoFileNameInZip = `Q_${(index + 1).toString().padStart(2, '0')}.mp4`;
-        
-        // Adiciona o arquivo de vídeo
-        zip.addFile(videoFileNameInZip, videoData);
-        // Obtém a entrada e define o método de compressão para STORE (0)
-        const videoEntry = zip.getEntry(videoFileNameInZip);
-        if (videoEntry) {
-            videoEntry.header.method = STORE_METHOD; // <--- MODIFICAÇÃO AQUI
+
+      // Q_XX_overlay_1, Q_XX_overlay_2...: numerados na ordem em que aparecem, mantendo a extensão original
+      question.overlays = [];
+      let imageCount = 0;
+      for (const overlay of overlays) {
+        const timing = {
+          start: Number(overlay.start.toFixed(3)),
+          duration: Number(overlay.duration.toFixed(3)),
+          position: overlay.position || 'center',
+          opacity: overlay.opacity ?? 1
+        };
+        if (overlay.position === 'custom' && overlay.placement) timing.placement = overlay.placement;
+        if (overlay.fadeIn > 0) timing.fadeIn = overlay.fadeIn;
+        if (overlay.fadeOut > 0) timing.fadeOut = overlay.fadeOut;
+        if (overlay.keyframes?.length > 0) {
+          timing.keyframes = overlay.keyframes.map(keyframe => ({ ...keyframe, time: Number(keyframe.time.toFixed(3)) }));
         }
-        question.video = videoFileNameInZip;
-        
-        // Processar imagem de overlay se existir
-        console.log(`DEBUG - Questão ${index + 1} tem overlay:`, question.overlay);
-        if (question.overlay && question.overlay.image) {
-          console.log(`DEBUG - Processando imagem de overlay: ${question.overlay.image}`);
-          let actualImagePath = videoPaths.get(question.overlay.image) || question.overlay.image;
-          console.log(`DEBUG - Caminho da imagem após verificar videoPaths: ${actualImagePath}`);
-          if (actualImagePath.startsWith('file://')) {
-            actualImagePath = actualImagePath.replace(/^file:\/\//, '');
-            console.log(`DEBUG - Caminho após remover file://: ${actualImagePath}`);
-          }
-          if (process.platform === 'win32' && actualImagePath.match(/^\/[A-Za-z]:/)) {
-            actualImagePath = actualImagePath.substring(1);
-            console.log(`DEBUG - Caminho após normalizar para Windows: ${actualImagePath}`);
-          }
-          
-          console.log(`DEBUG - Verificando se o arquivo existe: ${actualImagePath}`);
-          if (actualImagePath && fs.existsSync(actualImagePath)) {
-            console.log(`DEBUG - Arquivo de overlay encontrado: ${actualImagePath}`);
-            try {
-              const imageData = await fs.promises.readFile(actualImagePath);
-              // Sempre usar a extensão .png para as imagens de overlay, independente da extensão original
-              const imageFileNameInZip = `Q_${(index + 1).toString().padStart(2, '0')}.png`;
-              console.log(`DEBUG - Adicionando imagem ao zip como: ${imageFileNameInZip}`);
-
-              // Adiciona o arquivo de imagem
-              zip.addFile(imageFileNameInZip, imageData);
-              // Obtém a entrada e define o método de compressão para STORE (0)
-              const imageEntry = zip.getEntry(imageFileNameInZip);
-              if (imageEntry) {
-                  imageEntry.header.method = STORE_METHOD; // <--- MODIFICAÇÃO AQUI
-              }
-              question.overlay.image = imageFileNameInZip;
-              console.log(`DEBUG - Nome da imagem atualizado no objeto question: ${question.overlay.image}`);
-            } catch (imageError) {
-              console.warn(`Erro ao processar imagem de overlay para questão ${index + 1}:`, imageError);
-            }
-          } else {
-            console.error(`DEBUG - ERRO: Arquivo de overlay não encontrado: ${actualImagePath}`);
-            console.error(`DEBUG - Caminho original da imagem: ${question.overlay.image}`);
-            console.error(`DEBUG - videoPaths contém esta imagem: ${videoPaths.has(question.overlay.image)}`);
-            if (videoPaths.has(question.overlay.image)) {
-              console.error(`DEBUG - Valor em videoPaths: ${videoPaths.get(question.overlay.image)}`);
-            }
-            // Continuar sem a imagem se houver erro
-          }
-        } else {
-          console.warn(`Imagem de overlay não encontrada para questão ${index + 1}: ${question.overlay ? question.overlay.image : 'sem overlay'}`);
+        if (overlay.type === 'text') {
+          question.overlays.push({ type: 'text', text: overlay.text, ...timing });
+          continue;
         }
-      } catch (readError) {
-        console.error(`Erro ao ler o arquivo de vídeo ${actualVideoPath}:`, readError);
-        throw new Error(`Falha ao processar vídeo da questão ${index + 1} (${path.basename(actualVideoPath)})`);
+        const extension = path.extname(overlay.imagePath).toLowerCase() || '.png';
+        imageCount++;
+        const imageFile = `${fileBaseName}_overlay_${imageCount}${extension}`;
+        addStoredFile(imageFile, await fs.promises.readFile(overlay.imagePath));
+        manifest.included.push({ question: questionLabel, type: 'overlay', source: overlay.imagePath, file: imageFile });
+        question.overlays.push({ type: 'image', image: imageFile, ...timing, size: overlay.size ?? 50 });
       }
-    }));
+    }
+
+    // O videos.js é lido por players externos: divergências do esquema são registradas, sem impedir a exportação
+    const schemaErrors = validateVideosScript({ nomeProva, questions });
+    if (schemaErrors.length > 0) {
+      console.warn('videos.js fora do esquema esperado:', schemaErrors);
+    }
 
     const scriptContent = `var nomeProva = ${JSON.stringify(nomeProva)};\nvar questions = ${JSON.stringify(questions, null, 2)};`;
     zip.addFile('videos.js', Buffer.from(scriptContent));
 
-    let zipBuffer;
-    if (password && password.trim() !== "") {
-        zipBuffer = zip.toBuffer(undefined, password); // AdmZip espera primeiro argumento como path, segundo como senha
-    } else {
-        zipBuffer = zip.toBuffer(); 
-    }
-    
-    return zipBuffer;
+    mainWindow.webContents.send('update-progress', { percent: 95, text: 'Gravando arquivo...' });
+    await writeFileAtomic(filePath, zip.toBuffer());
+
+    console.log(`Videoprova exportada em ${filePath}: ${manifest.included.length} arquivo(s), ${manifest.skipped.length} ignorado(s)`);
+    return { success: true, ...manifest };
 
   } catch (error) {
     console.error('Erro durante a operação de zip:', error);
     throw error;
+  } finally {
+    await Promise.all(renderedVideos.map(renderedPath => fs.promises.rm(renderedPath, { force: true }).catch(() => {})));
+    mainWindow.webContents.send('hide-progress-modal');
+  }
+});
+
+// Analisa cortes de cena e pausas do intérprete para sugerir onde começa cada alternativa
+ipcMain.handle('detect-markers', async (event, { videoPath, count }) => {
+  const inputPath = findExistingMediaPath(videoPath);
+  if (!inputPath) {
+    throw new Error(`Vídeo não encontrado: ${videoPath}`);
+  }
+
+  mainWindow.webContents.send('show-progress-modal', 'Analisando o vídeo...');
+  try {
+    const metadata = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(inputPath, (err, data) => err ? reject(err) : resolve(data));
+    });
+    const duration = Number(metadata.format.duration) || 0;
+
+    const logLines = [];
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .noAudio()
+        .videoFilters(markerDetection.buildDetectionFilters())
+        .format('null')
+        .output('-')
+        .on('stderr', line => logLines.push(line))
+        .on('progress', (progress) => {
+          const percent = progress.percent ? Math.min(99, Math.round(progress.percent)) : 0;
+          mainWindow.webContents.send('update-progress', { text: `Analisando o vídeo... ${percent}%`, percent });
+        })
+        .on('end', resolve)
+        .on('error', (err) => reject(new Error(`Erro ao analisar o vídeo: ${err.message}`)))
+        .run();
+    });
+
+    const candidates = markerDetection.parseDetectionLog(logLines);
+    console.log(`Detecção de marcadores: ${candidates.length} candidato(s) em ${path.basename(inputPath)}`);
+    return { duration, suggestions: markerDetection.pickMarkerTimes(candidates, count, duration) };
   } finally {
     mainWindow.webContents.send('hide-progress-modal');
   }
 });
 
+// Coleta, para cada questão, se as mídias existem e a duração real do vídeo (usada na pré-verificação da exportação)
+ipcMain.handle('preflight-export', async (event, { questions, videoPaths: videoPathsObj }) => {
+  const videoPaths = new Map(Object.entries(videoPathsObj || {}));
+
+  const results = [];
+  for (const [index, question] of (questions || []).entries()) {
+    const result = { index, videoFound: false, videoPath: null, duration: null, probeError: null, missingOverlays: [] };
+
+    result.videoPath = findExistingMediaPath(videoPaths.get(question.video), question.video);
+    result.videoFound = Boolean(result.videoPath);
+    if (result.videoFound) {
+      try {
+        const metadata = await new Promise((resolve, reject) => {
+          ffmpeg.ffprobe(result.videoPath, (err, data) => err ? reject(err) : resolve(data));
+        });
+        result.duration = Number(metadata.format.duration) || null;
+      } catch (probeError) {
+        result.probeError = probeError.message;
+      }
+    }
+
+    result.missingOverlays = getQuestionOverlays(question)
+      .filter(overlay => overlay.type !== 'text' && !findExistingMediaPath(videoPaths.get(overlay.imageFile), overlay.imageFile))
+      .map(overlay => overlay.label || overlay.imageFile);
+    result.missingSegments = (question.segments?.clips || [])
+      .filter(clip => !findExistingMediaPath(videoPaths.get(clip.video), clip.video))
+      .map(clip => clip.key);
+    results.push(result);
+  }
+  return results;
+});
+
 ipcMain.handle('save-file', async (event, { filePath, data }) => {
   try {
     await fs.promises.writeFile(filePath, data);
@@ -605,7 +1471,172 @@ ipcMain.handle('show-message-box', async (event, options) => {
   return await dialog.showMessageBox(options);
 });
 
-ipcMain.handle('extract-avaproject', async (event, filePath) => {
+// Fim do valor JSON que começa em `start`, numa única passada: objetos, listas e strings terminam no fechamento,
+// os demais valores no ';' seguinte. Retorna -1 se o valor não termina.
+function findJsonValueEnd(content, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < content.length; i++) {
+    const char = content[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+        if (depth === 0) return i + 1;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth <= 0) return i + 1;
+    } else if (char === ';' && depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Lê `var nomeProva`/`var questions` do videos.js exportado sem executar o arquivo no processo principal
+function parseVideosJs(content) {
+  // Só a forma gravada pela exportação: declarações `var nome = <JSON>;`. O arquivo vem de um .ava
+  // não confiável, então nada é avaliado como JavaScript.
+  const variables = {};
+  const declaration = /\s*var\s+([A-Za-z_$][\w$]*)\s*=\s*/y;
+  const terminator = /\s*;/y;
+  let position = 0;
+
+  while (position < content.length && content.slice(position).trim() !== '') {
+    declaration.lastIndex = position;
+    const match = declaration.exec(content);
+    if (!match) {
+      throw new Error('videos.js inválido: esperado apenas "var nome = <JSON>;".');
+    }
+
+    const valueEnd = findJsonValueEnd(content, declaration.lastIndex);
+    try {
+      if (valueEnd === -1) throw new SyntaxError('valor sem fim');
+      variables[match[1]] = JSON.parse(content.slice(declaration.lastIndex, valueEnd));
+    } catch (jsonError) {
+      throw new Error(`videos.js inválido: o valor de "${match[1]}" não é JSON.`);
+    }
+
+    terminator.lastIndex = valueEnd;
+    if (!terminator.exec(content)) {
+      throw new Error('videos.js inválido: esperado apenas "var nome = <JSON>;".');
+    }
+    position = terminator.lastIndex;
+  }
+
+  const { nomeProva, questions } = variables;
+  if (!Array.isArray(questions) || questions.some(question => !question || typeof question !== 'object')) {
+    throw new Error('videos.js inválido: não contém a lista de questões (var questions).');
+  }
+  return { nomeProva: typeof nomeProva === 'string' ? nomeProva : '', questions };
+}
+
+// Troca os nomes Q_XX.mp4/Q_XX_overlay_N do videos.js pelos arquivos extraídos, no formato usado pelo editor
+function mapExtractedMedia(outputDir, questions) {
+  const videoPathsObj = {};
+  const missingFiles = [];
+
+  const mappedQuestions = questions.map((question, index) => {
+    const mapped = { ...question };
+    // Campos vindos do videos.js: nomes que não são texto contam como mídia ausente
+    const videoPath = typeof question.video === 'string' && question.video
+      ? path.join(outputDir, path.basename(question.video))
+      : null;
+    if (videoPath && fs.existsSync(videoPath)) {
+      mapped.video = `file://${videoPath}`;
+      videoPathsObj[mapped.video] = videoPath;
+    } else {
+      missingFiles.push(`Questão ${index + 1}: ${question.video || 'sem vídeo'}`);
+    }
+
+    if (question.segments && Array.isArray(question.segments.clips)) {
+      mapped.segments = {
+        ...question.segments,
+        clips: question.segments.clips.filter(clip => clip && typeof clip === 'object').map(clip => {
+          const clipPath = typeof clip.video === 'string' && clip.video ? path.join(outputDir, path.basename(clip.video)) : null;
+          if (!clipPath || !fs.existsSync(clipPath)) {
+            missingFiles.push(`Questão ${index + 1} (segmento ${clip.key}): ${clip.video || 'sem vídeo'}`);
+            return clip;
+          }
+          videoPathsObj[`file://${clipPath}`] = clipPath;
+          return { ...clip, video: `file://${clipPath}` };
+        })
+      };
+    }
+
+    // Overlays voltam ao formato do editor; videoprovas antigas tinham um único `overlay` (Q_XX.png)
+    const overlays = Array.isArray(question.overlays)
+      ? question.overlays.filter(overlay => overlay && typeof overlay === 'object').map((overlay, i) => ({
+        id: `overlay_${i + 1}`,
+        type: overlay.type || 'image',
+        label: overlay.type === 'text' ? `Texto ${i + 1}` : `Overlay ${i + 1}`,
+        start: overlay.start,
+        duration: overlay.duration,
+        position: overlay.position,
+        placement: overlay.placement || null,
+        size: overlay.size,
+        opacity: overlay.opacity,
+        fadeIn: overlay.fadeIn || 0,
+        fadeOut: overlay.fadeOut || 0,
+        keyframes: overlay.keyframes || [],
+        imageFile: overlay.image,
+        text: overlay.text
+      }))
+      : legacyOverlayToList(question.overlay);
+    delete mapped.overlay;
+    mapped.overlays = [];
+    overlays.forEach(overlay => {
+      if (overlay.type === 'text') {
+        mapped.overlays.push(overlay);
+        return;
+      }
+      const imagePath = typeof overlay.imageFile === 'string' && overlay.imageFile
+        ? path.join(outputDir, path.basename(overlay.imageFile))
+        : null;
+      if (imagePath && fs.existsSync(imagePath)) {
+        mapped.overlays.push({ ...overlay, imageFile: `file://${imagePath}` });
+        videoPathsObj[`file://${imagePath}`] = imagePath;
+      } else {
+        missingFiles.push(`Questão ${index + 1}: ${overlay.imageFile || 'overlay sem imagem'}`);
+      }
+    });
+    return mapped;
+  });
+
+  return { questions: mappedQuestions, videoPaths: videoPathsObj, missingFiles };
+}
+
+// Verifica se o .ava foi exportado com senha e, se houver senha, se ela abre o videos.js
+function checkAvaPassword(zip, password) {
+  const entries = zip.getEntries();
+  const isEncrypted = entries.some(entry => entry.header.encrypted);
+  if (!isEncrypted) return { isEncrypted: false };
+
+  if (!password) {
+    const error = new Error('Esta videoprova é protegida por senha.');
+    error.code = 'PASSWORD_REQUIRED';
+    throw error;
+  }
+
+  const videosEntry = zip.getEntry('videos.js');
+  try {
+    // A validação do ZipCrypto falha logo no primeiro arquivo quando a senha não confere
+    (videosEntry || entries[0]).getData(password);
+  } catch (decryptError) {
+    const error = new Error('Senha incorreta. Verifique a senha informada na exportação da videoprova.');
+    error.code = 'WRONG_PASSWORD';
+    throw error;
+  }
+  return { isEncrypted: true };
+}
+
+ipcMain.handle('extract-avaproject', async (event, filePath, password) => {
   let outputDir; 
 
   try {
@@ -614,20 +1645,24 @@ ipcMain.handle('extract-avaproject', async (event, filePath) => {
     const tempDirBase = PROJECTS_TEMP_DIR_BASE; 
     const zipFileName = path.basename(filePath, path.extname(filePath));
     const sanitizedProjectName = zipFileName.replace(/[^a-zA-Z0-9_.-]/g, '_'); //
-    outputDir = path.join(tempDirBase, sanitizedProjectName); 
+    // Pasta nova a cada extração: pastas existentes podem guardar a mídia do projeto aberto
+    // (a mesma videoprova reaberta, gravações e importações de um projeto com o mesmo nome)
+    await fs.promises.mkdir(tempDirBase, { recursive: true });
+    outputDir = await fs.promises.mkdtemp(path.join(tempDirBase, `${sanitizedProjectName}_`));
     
     console.log(`[${new Date().toISOString()}] Diretório de saída para extração: ${outputDir}`); //
 
-    if (fs.existsSync(outputDir)) {
-        console.log(`[${new Date().toISOString()}] Limpando diretório de destino existente: ${outputDir}`);
-        fs.rmSync(outputDir, { recursive: true, force: true });
-    }
-    fs.mkdirSync(outputDir, { recursive: true }); 
-
     extractionDirectories.add(outputDir);
 
-    // Usando extract-zip para melhor performance
-    await extract(filePath, { dir: outputDir });
+    // extract-zip não lê arquivos criptografados; nesse caso o AdmZip extrai com a senha
+    const zip = new AdmZip(filePath);
+    const { isEncrypted } = checkAvaPassword(zip, password);
+    if (isEncrypted) {
+      zip.extractAllTo(outputDir, true, false, password);
+    } else {
+      // Usando extract-zip para melhor performance
+      await extract(filePath, { dir: outputDir });
+    }
 
     // Após a extração, ler o videos.js
     const videosJsPath = path.join(outputDir, 'videos.js');
@@ -638,116 +1673,44 @@ ipcMain.handle('extract-avaproject', async (event, filePath) => {
       throw new Error(`Arquivo videos.js não encontrado no projeto importado em: ${videosJsPath}`);
     }
 
+    const { nomeProva, questions } = parseVideosJs(videosJsContent);
+    const media = mapExtractedMedia(outputDir, questions);
+
     console.log(`[${new Date().toISOString()}] Extração concluída com sucesso em: ${outputDir}`); //
     
-    return { success: true, outputDir: outputDir, provaNome: sanitizedProjectName, content: videosJsContent }; //
+    return {
+      success: true,
+      outputDir: outputDir,
+      provaNome: sanitizedProjectName,
+      content: videosJsContent,
+      nomeProva: nomeProva || zipFileName,
+      questions: media.questions,
+      videoPaths: media.videoPaths,
+      missingFiles: media.missingFiles
+    }; //
 
   } catch (error) {
     console.error(`[${new Date().toISOString()}] Erro ao extrair o zip:`, error); //
     if (filePath) console.error(`[${new Date().toISOString()}] Caminho do arquivo: ${filePath}`); //
-    if (outputDir) console.error(`[${new Date().toISOString()}] Tentativa de diretório de destino: ${outputDir}`); //
-    return { success: false, error: error.message, content: null }; //
+    if (outputDir) {
+      console.error(`[${new Date().toISOString()}] Tentativa de diretório de destino: ${outputDir}`); //
+      // A pasta foi criada por esta extração e nada a referencia ainda (ex.: senha incorreta)
+      extractionDirectories.delete(outputDir);
+      await fs.promises.rm(outputDir, { recursive: true, force: true }).catch(() => {});
+    }
+    return {
+      success: false,
+      error: error.message,
+      passwordRequired: error.code === 'PASSWORD_REQUIRED',
+      wrongPassword: error.code === 'WRONG_PASSWORD',
+      content: null
+    }; //
   } finally {
       mainWindow.webContents.send('hide-progress-modal');
   }
 });
 
 
-// Handler para remover trecho selecionado e unir as partes
-ipcMain.handle('trim-video', async (event, params) => {
-    try {
-        const { inputPath, startTime, endTime } = params;
-        
-        mainWindow.webContents.send('show-progress-modal', 'Removendo trecho selecionado...');
-        
-        if (!inputPath || !fs.existsSync(inputPath)) {
-            throw new Error('Arquivo de entrada não encontrado');
-        }
-        
-        const videoInfo = await new Promise((resolve, reject) => {
-            ffmpeg.ffprobe(inputPath, (err, metadata) => {
-                if (err) reject(err);
-                else resolve(metadata);
-            });
-        });
-        
-        const totalDuration = videoInfo.format.duration;
-        const tempDir = os.tmpdir();
-        const timestamp = Date.now();
-        const outputPath = path.join(tempDir, `edited_video_${timestamp}.mp4`);
-        
-        console.log(`Removendo trecho: ${startTime}s - ${endTime}s`);
-        console.log(`Duração total: ${totalDuration}s`);
-        
-        return new Promise((resolve, reject) => {
-            let command;
-            
-            if (startTime > 0 && endTime < totalDuration) {
-                command = ffmpeg(inputPath)
-                    .outputOptions([
-                        '-filter_complex',
-                        `[0:v]split=2[v1][v2];[0:a]asplit=2[a1][a2];[v1]trim=0:${startTime},setpts=PTS-STARTPTS[part1v];[v2]trim=${endTime}:${totalDuration},setpts=PTS-STARTPTS[part2v];[a1]atrim=0:${startTime},asetpts=PTS-STARTPTS[part1a];[a2]atrim=${endTime}:${totalDuration},asetpts=PTS-STARTPTS[part2a];[part1v][part2v]concat=n=2:v=1:a=0[outv];[part1a][part2a]concat=n=2:v=0:a=1[outa]`,
-                        '-map', '[outv]',
-                        '-map', '[outa]',
-                        '-c:v', 'libx264',
-                        '-c:a', 'aac'
-                    ]);
-            } else if (startTime === 0) {
-                command = ffmpeg(inputPath)
-                    .seekInput(endTime)
-                    .outputOptions([
-                        '-c:v', 'libx264',
-                        '-c:a', 'aac'
-                    ]);
-            } else if (endTime >= totalDuration) {
-                command = ffmpeg(inputPath)
-                    .duration(startTime)
-                    .outputOptions([
-                        '-c:v', 'libx264',
-                        '-c:a', 'aac'
-                    ]);
-            } else {
-                reject(new Error('Configuração de tempo inválida'));
-                return;
-            }
-            
-            command
-                .outputOptions([
-                    '-preset', 'veryfast',
-                    '-crf', '23',
-                    '-avoid_negative_ts', 'make_zero',
-                    '-fflags', '+genpts'
-                ])
-                .output(outputPath)
-                .on('progress', (progress) => {
-                    const percent = progress.percent || 0;
-                    mainWindow.webContents.send('update-progress', { percent, text: `Removendo trecho... ${Math.round(percent)}%` });
-                })
-                .on('end', () => {
-                    mainWindow.webContents.send('hide-progress-modal');
-                    console.log('Trecho removido com sucesso!');
-                    resolve({ 
-                        success: true, 
-                        outputPath: outputPath,
-                        autoLoad: true,
-                        exitEditor: true
-                    });
-                })
-                .on('error', (err) => {
-                    mainWindow.webContents.send('hide-progress-modal');
-                    reject(new Error(`Erro ao remover trecho: ${err.message}`));
-                });
-            
-            command.run();
-        });
-        
-    } catch (error) {
-        console.error('Erro ao cortar vídeo:', error);
-        mainWindow.webContents.send('hide-progress-modal');
-        return { success: false, error: error.message };
-    }
-});
-
 
  
  // Processar vídeo
@@ -898,36 +1861,24 @@ ipcMain.handle('trim-video', async (event, params) => {
         }
       }
       
-      const tempDir = ensureProcessedVideosDir();
-      const listFilePath = path.join(tempDir, `concat_list_${Date.now()}.txt`);
-      const outputFileName = `joined_${Date.now()}${path.extname(inputPaths[0]) || '.mp4'}`;
-      const outputPath = path.join(tempDir, outputFileName);
-      
-      const concatListContent = inputPaths.map(p => `file '${p.replace(/\\/g, '/')}'`).join('\n');
-      fs.writeFileSync(listFilePath, concatListContent);
-      
-      return new Promise((resolve, reject) => {
-        ffmpeg()
-          .input(listFilePath)
-          .inputOptions(['-f', 'concat', '-safe', '0'])
-          .outputOptions('-c', 'copy')
-          .save(outputPath)
-          .on('progress', (progress) => {
-            console.log(`Progresso da união: ${progress.percent}%`);
-          })
-          .on('end', () => {
-            if (fs.existsSync(listFilePath)) fs.unlinkSync(listFilePath);
-            mainWindow.webContents.send('hide-progress-modal');
-            console.log('União de vídeos concluída com sucesso:', outputPath);
-            resolve({ success: true, path: outputPath });
-          })
-          .on('error', (err) => {
-            if (fs.existsSync(listFilePath)) fs.unlinkSync(listFilePath);
-            mainWindow.webContents.send('hide-progress-modal');
-            console.error('Erro ao unir vídeos com FFmpeg:', err);
-            reject({ success: false, error: err.message });
-          });
-      });
+      // O vídeo unido vira o vídeo da questão: em projetos salvos fica em <nome>_media/, pois a pasta de
+      // vídeos processados é apagada ao fechar o programa (em projetos novos, o salvamento o copia para lá)
+      const { projectFilePath } = args;
+      const outputDir = projectFilePath ? getProjectMediaDir(projectFilePath) : ensureProcessedVideosDir();
+      await fs.promises.mkdir(outputDir, { recursive: true });
+      const outputFileName = `joined_${Date.now()}.mp4`;
+      const outputPath = path.join(outputDir, outputFileName);
+
+      try {
+        await joinVideos(inputPaths, outputPath);
+        mainWindow.webContents.send('hide-progress-modal');
+        console.log('União de vídeos concluída com sucesso:', outputPath);
+        return { success: true, path: outputPath };
+      } catch (err) {
+        mainWindow.webContents.send('hide-progress-modal');
+        console.error('Erro ao unir vídeos com FFmpeg:', err);
+        return Promise.reject({ success: false, error: err.message });
+      }
     } else {
       mainWindow.webContents.send('hide-progress-modal');
       return Promise.reject({ success: false, error: 'Operação de vídeo desconhecida.' });
@@ -0,0 +1,93 @@
+// markerDetection.js
+// Sugestão automática de marcadores a partir do log do FFmpeg (mudança de cena e freezedetect)
+
+const SCENE_THRESHOLD = 0.3;
+// Pausa mínima (s) em que o intérprete fica parado antes de começar a próxima alternativa
+const FREEZE_MIN_DURATION = 0.5;
+
+// Reduzir resolução e taxa de quadros basta para detectar cortes e pausas e deixa a análise rápida
+function buildDetectionFilters() {
+  return [
+    'scale=320:-2',
+    'fps=10',
+    `freezedetect=n=-50dB:d=${FREEZE_MIN_DURATION}`,
+    `select='gt(scene,${SCENE_THRESHOLD})'`,
+    'metadata=print:key=lavfi.scene_score'
+  ];
+}
+
+// Candidatos { time, score, source }: cortes de cena valem mais que fins de pausa, e pausas longas mais que curtas
+function parseDetectionLog(lines) {
+  const candidates = [];
+  let sceneTime = null;
+  let freezeDuration = 0;
+
+  for (const line of lines) {
+    const frameMatch = line.match(/Parsed_metadata.*pts_time:(\d+(?:\.\d+)?)/);
+    if (frameMatch) {
+      sceneTime = Number(frameMatch[1]);
+      continue;
+    }
+    const sceneMatch = line.match(/lavfi\.scene_score=(\d+(?:\.\d+)?)/);
+    if (sceneMatch && sceneTime !== null) {
+      candidates.push({ time: sceneTime, score: 1 + Number(sceneMatch[1]), source: 'scene' });
+      sceneTime = null;
+      continue;
+    }
+    const durationMatch = line.match(/lavfi\.freezedetect\.freeze_duration:\s*(\d+(?:\.\d+)?)/);
+    if (durationMatch) {
+      freezeDuration = Number(durationMatch[1]);
+      continue;
+    }
+    const endMatch = line.match(/lavfi\.freezedetect\.freeze_end:\s*(\d+(?:\.\d+)?)/);
+    if (endMatch) {
+      candidates.push({ time: Number(endMatch[1]), score: 1 + Math.min(freezeDuration, 3) / 3, source: 'freeze' });
+      freezeDuration = 0;
+    }
+  }
+
+  return candidates;
+}
+
+// Escolhe `count` tempos em ordem, sem dois marcadores próximos demais; o que faltar é estimado
+// no meio do maior intervalo livre. As alternativas recebem as letras na ordem do tempo.
+function pickMarkerTimes(candidates, count, duration) {
+  if (!count || !duration) return [];
+  const minGap = Math.max(1, duration / (count * 4));
+  const isFarEnough = (time, chosen) =>
+    time >= minGap && time <= duration - minGap / 2 && chosen.every(item => Math.abs(item.time - time) >= minGap);
+
+  const chosen = [];
+  [...candidates]
+    .sort((a, b) => b.score - a.score)
+    .forEach(candidate => {
+      if (chosen.length < count && isFarEnough(candidate.time, chosen)) chosen.push(candidate);
+    });
+
+  while (chosen.length < count) {
+    const bounds = [0, ...chosen.map(item => item.time).sort((a, b) => a - b), duration];
+    let gapStart = 0;
+    let gapSize = 0;
+    for (let i = 1; i < bounds.length; i++) {
+      if (bounds[i] - bounds[i - 1] > gapSize) {
+        gapStart = bounds[i - 1];
+        gapSize = bounds[i] - bounds[i - 1];
+      }
+    }
+    chosen.push({ time: gapStart + gapSize / 2, score: 0, source: 'estimate' });
+  }
+
+  return chosen
+    .sort((a, b) => a.time - b.time)
+    .map((item, index) => ({
+      alternative: String.fromCharCode(65 + index),
+      time: Number(item.time.toFixed(3)),
+      source: item.source
+    }));
+}
+
+module.exports = {
+  buildDetectionFilters,
+  parseDetectionLog,
+  pickMarkerTimes
+};
@@ -0,0 +1,223 @@
+// overlayRender.js
+// Composição dos overlays no vídeo exportado (filtros overlay e drawtext do FFmpeg), com a geometria da pré-visualização
+
+const POSITIONS = [
+  'top-left', 'top-center', 'top-right',
+  'center-left', 'center', 'center-right',
+  'bottom-left', 'bottom-center', 'bottom-right'
+];
+
+// Posição livre: x/y/width/height normalizados no quadro (OverlayUtils.getCustomPlacement)
+function getCustomPlacement(overlay) {
+  return overlay.position === 'custom' && overlay.placement ? overlay.placement : null;
+}
+
+// Mesmas contas de OverlayUtils.calculateOverlayDimensions/calculatePosition (base.js), sobre o quadro do vídeo.
+// A pré-visualização usa o quadro reduzido à tela; só o recuo (no máximo 20 px) não acompanha a escala.
+function getOverlayGeometry(overlay, frame) {
+  const placement = getCustomPlacement(overlay);
+  if (placement) {
+    return {
+      x: Math.round(placement.x * frame.width),
+      y: Math.round(placement.y * frame.height),
+      width: Math.max(1, Math.round(placement.width * frame.width)),
+      height: Math.max(1, Math.round(placement.height * frame.height))
+    };
+  }
+
+  const size = overlay.size || 50;
+  const width = (frame.width * size) / 100;
+  const height = overlay.imageWidth && overlay.imageHeight
+    ? (overlay.imageHeight * width) / overlay.imageWidth
+    : (frame.height * size) / 100;
+
+  const padding = Math.min(20, Math.min(frame.width, frame.height) * 0.05);
+  const xByColumn = {
+    left: padding,
+    center: (frame.width - width) / 2,
+    right: Math.max(padding, frame.width - width - padding)
+  };
+  const yByRow = {
+    top: padding,
+    center: (frame.height - height) / 2,
+    bottom: Math.max(padding, frame.height - height - padding)
+  };
+  // Posições desconhecidas caem no centro, como no default do switch da pré-visualização
+  const [row, column] = POSITIONS.includes(overlay.position) && overlay.position !== 'center'
+    ? overlay.position.split('-')
+    : ['center', 'center'];
+
+  return {
+    x: Math.round(xByColumn[column]),
+    y: Math.round(yByRow[row]),
+    width: Math.max(1, Math.round(width)),
+    height: Math.max(1, Math.round(height))
+  };
+}
+
+// Caminhos dentro do filtergraph usam '/' e ':' escapado (C\:/...)
+function escapeFilterPath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/:/g, '\\:');
+}
+
+const toFilterColor = (hex, opacity) => `0x${String(hex).replace('#', '')}@${opacity}`;
+const formatNumber = (value) => Number(Number(value).toFixed(4));
+
+// Fade e keyframes exigem expressões avaliadas a cada quadro (e a imagem em loop, em main.js)
+function isOverlayAnimated(overlay) {
+  return overlay.fadeIn > 0 || overlay.fadeOut > 0 || (Array.isArray(overlay.keyframes) && overlay.keyframes.length > 0);
+}
+
+// Mesma interpolação de OverlayUtils.interpolateKeyframes (base.js) como expressão do FFmpeg sobre `timeVar`.
+// Os tempos dos keyframes são relativos ao início do overlay; `factor` converte valores normalizados em pixels.
+function buildKeyframeExpression(overlay, property, factor = 1, timeVar = 't') {
+  const start = Number(overlay.start) || 0;
+  const points = (overlay.keyframes || [])
+    .filter(keyframe => Number.isFinite(keyframe[property]))
+    .map(keyframe => [formatNumber(start + keyframe.time), formatNumber(keyframe[property] * factor)])
+    .sort((a, b) => a[0] - b[0]);
+  if (points.length === 0) return null;
+
+  let expression = `${points[points.length - 1][1]}`;
+  for (let i = points.length - 1; i > 0; i--) {
+    const [time0, value0] = points[i - 1];
+    const [time1, value1] = points[i];
+    const segment = time1 > time0
+      ? `${value0}+(${formatNumber(value1 - value0)})*(${timeVar}-${time0})/${formatNumber(time1 - time0)}`
+      : `${value1}`;
+    expression = `if(lt(${timeVar},${time1}),${segment},${expression})`;
+  }
+  return `if(lt(${timeVar},${points[0][0]}),${points[0][1]},${expression})`;
+}
+
+// Opacidade dos keyframes (ou a do overlay) multiplicada pelas rampas de fade, como em getOverlayAnimation
+function buildOpacityExpression(overlay, timeVar) {
+  const start = Number(overlay.start) || 0;
+  const end = start + (Number(overlay.duration) || 0);
+  const base = buildKeyframeExpression(overlay, 'opacity', 1, timeVar) ?? Math.max(0, Math.min(1, overlay.opacity || 1));
+
+  let fade = '1';
+  if (overlay.fadeIn > 0) fade = `min(${fade},(${timeVar}-${start})/${formatNumber(overlay.fadeIn)})`;
+  if (overlay.fadeOut > 0) fade = `min(${fade},(${end}-${timeVar})/${formatNumber(overlay.fadeOut)})`;
+  return `clip((${base})*clip(${fade},0,1),0,1)`;
+}
+
+function buildScaleExpression(overlay) {
+  const scale = buildKeyframeExpression(overlay, 'scale');
+  return scale === null ? null : `max(0.01,${scale})`;
+}
+
+// Texto lido de `overlay.textFile` (sem expandir %{...}); mesmas contas de OverlayUtils.calculateTextLayout:
+// fonte em % da altura, entrelinha de 1,2 e caixa com 0,3 da fonte de margem, posicionada como as imagens.
+// Com escala animada a fonte cresce a partir do centro da caixa original; a margem da caixa não acompanha.
+function buildTextFilter(overlay, frame, opacity) {
+  const text = overlay.text || {};
+  const fontPx = Math.round((frame.height * (text.fontSize || 6)) / 100);
+  const boxPadding = text.background ? Math.round(fontPx * 0.3) : 0;
+  const padding = Math.min(20, Math.min(frame.width, frame.height) * 0.05);
+  const scale = buildScaleExpression(overlay);
+  const scaledWidth = `(text_w+${boxPadding * 2})`;
+  const scaledHeight = `(text_h+${boxPadding * 2})`;
+  const boxWidth = scale ? `(${scaledWidth}/(${scale}))` : scaledWidth;
+  const boxHeight = scale ? `(${scaledHeight}/(${scale}))` : scaledHeight;
+
+  const xByColumn = {
+    left: `${padding}`,
+    center: `(w-${boxWidth})/2`,
+    right: `max(${padding},w-${boxWidth}-${padding})`
+  };
+  const yByRow = {
+    top: `${padding}`,
+    center: `(h-${boxHeight})/2`,
+    bottom: `max(${padding},h-${boxHeight}-${padding})`
+  };
+  const [row, column] = POSITIONS.includes(overlay.position) && overlay.position !== 'center'
+    ? overlay.position.split('-')
+    : ['center', 'center'];
+  const placement = getCustomPlacement(overlay);
+  const x = buildKeyframeExpression(overlay, 'x', frame.width) ??
+    (placement ? `${Math.round(placement.x * frame.width)}` : xByColumn[column]);
+  const y = buildKeyframeExpression(overlay, 'y', frame.height) ??
+    (placement ? `${Math.round(placement.y * frame.height)}` : yByRow[row]);
+  const centerX = scale ? `+${scaledWidth}*(1/(${scale})-1)/2` : '';
+  const centerY = scale ? `+${scaledHeight}*(1/(${scale})-1)/2` : '';
+
+  // Animado: cores opacas e a opacidade toda no `alpha`, que vale para o texto e a caixa
+  const animated = isOverlayAnimated(overlay);
+  const colorOpacity = animated ? 1 : opacity;
+  const options = [
+    `textfile='${escapeFilterPath(overlay.textFile)}'`,
+    'expansion=none',
+    `font='${text.fontFamily || 'Arial'}'`,
+    scale ? `fontsize='${fontPx}*${scale}'` : `fontsize=${fontPx}`,
+    `fontcolor=${toFilterColor(text.color || '#ffffff', colorOpacity)}`,
+    `line_spacing=${Math.round(fontPx * 0.2)}`,
+    `x='(${x})+${boxPadding}${centerX}'`,
+    `y='(${y})+${boxPadding}${centerY}'`
+  ];
+  if (text.background) {
+    options.push('box=1', `boxcolor=${toFilterColor(text.background, colorOpacity)}`, `boxborderw=${boxPadding}`);
+  }
+  if (animated) {
+    options.push(`alpha='${buildOpacityExpression(overlay, 't')}'`);
+  }
+  return `drawtext=${options.join(':')}`;
+}
+
+// Imagem animada: escala e opacidade por quadro (scale com eval=frame e alfa via geq) e posição nas expressões do overlay
+function buildAnimatedImageFilters(overlay, frame, input, label, base, output, enable) {
+  const { x, y, width, height } = getOverlayGeometry(overlay, frame);
+  const scale = buildScaleExpression(overlay);
+  const left = buildKeyframeExpression(overlay, 'x', frame.width) ?? x;
+  const top = buildKeyframeExpression(overlay, 'y', frame.height) ?? y;
+  const size = scale
+    ? `scale=w='max(1,${width}*${scale})':h='max(1,${height}*${scale})':eval=frame`
+    : `scale=${width}:${height}`;
+  const alpha = `geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='alpha(X,Y)*${buildOpacityExpression(overlay, 'T')}'`;
+  const positionX = scale ? `(${left})+(${width}-overlay_w)/2` : left;
+  const positionY = scale ? `(${top})+(${height}-overlay_h)/2` : top;
+
+  return [
+    `[${input}:v]format=rgba,${size},${alpha}[${label}]`,
+    // A imagem em loop não termina: shortest encerra junto com o vídeo
+    `[${base}][${label}]overlay=x='${positionX}':y='${positionY}':shortest=1:${enable}[${output}]`
+  ];
+}
+
+// Entrada 0 é o vídeo e as entradas 1..N as imagens, na ordem em que aparecem em `overlays`
+// (textos não ocupam entrada); a saída final é [outv]
+function buildOverlayFilterGraph(overlays, frame) {
+  const filters = [];
+  let current = '0:v';
+  let imageInput = 0;
+
+  overlays.forEach((overlay, i) => {
+    // Opacidade 0 é tratada como 1, como em drawOverlayOnCanvas
+    const opacity = Math.max(0, Math.min(1, overlay.opacity || 1));
+    const start = Number(overlay.start) || 0;
+    const end = start + (Number(overlay.duration) || 0);
+    const enable = `enable='between(t,${start},${end})'`;
+    const output = i === overlays.length - 1 ? 'outv' : `v${i}`;
+
+    if (overlay.type === 'text') {
+      filters.push(`[${current}]${buildTextFilter(overlay, frame, opacity)}:${enable}[${output}]`);
+    } else if (isOverlayAnimated(overlay)) {
+      imageInput++;
+      filters.push(...buildAnimatedImageFilters(overlay, frame, imageInput, `ov${i}`, current, output, enable));
+    } else {
+      const { x, y, width, height } = getOverlayGeometry(overlay, frame);
+      imageInput++;
+      filters.push(`[${imageInput}:v]format=rgba,scale=${width}:${height},colorchannelmixer=aa=${opacity}[ov${i}]`);
+      filters.push(`[${current}][ov${i}]overlay=x=${x}:y=${y}:${enable}[${output}]`);
+    }
+    current = output;
+  });
+
+  return filters;
+}
+
+module.exports = {
+  getOverlayGeometry,
+  isOverlayAnimated,
+  buildOverlayFilterGraph
+};
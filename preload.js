@@ -20,10 +20,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
     readDir: (dirPath) => ipcRenderer.invoke('read-dir', dirPath),
     exportVideos: (options) => ipcRenderer.invoke('export-videos', options),
     exportTest: (options) => ipcRenderer.invoke('export-test', options),
+    preflightExport: (options) => ipcRenderer.invoke('preflight-export', options),
+    detectMarkers: (options) => ipcRenderer.invoke('detect-markers', options),
     saveProject: (projectData) => ipcRenderer.invoke('save-project', projectData),
     openProject: (filePath) => ipcRenderer.invoke('open-project', filePath),
+    importQuestionMedia: (params) => ipcRenderer.invoke('import-question-media', params),
     saveFile: (options) => ipcRenderer.invoke('save-file', options),
     saveTempFile: (options) => ipcRenderer.invoke('save-temp-file', options),
+
+    // Preferências da aplicação
+    getSettings: () => ipcRenderer.invoke('get-settings'),
+    saveSettings: (changes) => ipcRenderer.invoke('save-settings', changes),
+
+    // Banco de questões compartilhado entre projetos
+    bankList: () => ipcRenderer.invoke('bank-list'),
+    bankAdd: (params) => ipcRenderer.invoke('bank-add', params),
+    bankDelete: (id) => ipcRenderer.invoke('bank-delete', id),
+
+    // Salvamento automático e recuperação de sessão
+    autosaveWrite: (sessionData) => ipcRenderer.invoke('autosave-write', sessionData),
+    autosaveCheck: () => ipcRenderer.invoke('autosave-check'),
+    autosaveClear: () => ipcRenderer.invoke('autosave-clear'),
     
     // Controle da aplicação
     quitApp: () => ipcRenderer.send('quit-app'),
@@ -42,7 +59,6 @@ contextBridge.exposeInMainWorld('electronAPI', {
     
     // Vídeo
     saveRecordedVideo: (options) => ipcRenderer.invoke('save-recorded-video', options),
-    trimVideo: (params) => ipcRenderer.invoke('trim-video', params),
     // addImageOverlay foi removido - agora usando apenas o método Canvas
     saveTempFile: (params) => ipcRenderer.invoke('save-temp-file', params),
     showSaveDialog: (options) => ipcRenderer.invoke('show-save-dialog', options),
@@ -74,5 +90,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     onNewProject: (callback) => ipcRenderer.on('new-project', callback),
     onSaveProject: (callback) => ipcRenderer.on('save-project-triggered', callback),
     onOpenProject: (callback) => ipcRenderer.on('open-project-triggered', callback),
-    onExportProject: (callback) => ipcRenderer.on('export-project-triggered', callback)
+    onExportProject: (callback) => ipcRenderer.on('export-project-triggered', callback),
+    onUndo: (callback) => ipcRenderer.on('undo-triggered', callback),
+    onRedo: (callback) => ipcRenderer.on('redo-triggered', callback)
 });
\ No newline at end of file
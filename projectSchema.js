@@ -0,0 +1,491 @@
+// projectSchema.js
+// Esquema formal do arquivo .avaproject, validação e cadeia de migrações entre versões
+
+const CURRENT_PROJECT_VERSION = '2.4';
+
+// Rótulo de cada tipo de questão, usado também em metadata.type
+const QUESTION_TYPE_LABELS = {
+  multiple_choice: 'Múltipla Escolha',
+  true_false: 'Verdadeiro/Falso',
+  multiple_answer: 'Múltiplas Respostas',
+  ordering: 'Ordenação',
+  open_response: 'Resposta Aberta'
+};
+
+// ----- 1. ESQUEMA (JSON Schema, subconjunto usado pelo validador abaixo) -----
+
+const markerTimeSchema = { type: 'number', minimum: 0 };
+const answerLetterSchema = { type: 'string', pattern: '^[A-Z]$' };
+
+// Texto sobre o vídeo: fonte em % da altura do quadro e caixa de fundo opcional (null = sem caixa)
+const overlayTextSchema = {
+  type: ['object', 'null'],
+  required: ['content'],
+  properties: {
+    content: { type: 'string', minLength: 1 },
+    fontFamily: { type: 'string' },
+    fontSize: { type: 'number', minimum: 0 },
+    color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+    background: { type: ['string', 'null'], pattern: '^#[0-9a-fA-F]{6}$' }
+  }
+};
+
+// Posição livre (position 'custom'): canto superior esquerdo e tamanho normalizados (0–1) no quadro do vídeo
+const overlayPlacementSchema = {
+  type: ['object', 'null'],
+  required: ['x', 'y', 'width', 'height'],
+  properties: {
+    x: { type: 'number', minimum: 0, maximum: 1 },
+    y: { type: 'number', minimum: 0, maximum: 1 },
+    width: { type: 'number', minimum: 0, maximum: 1 },
+    height: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+// Animação: tempo em segundos desde o início do overlay; x/y (canto superior esquerdo) normalizados no quadro,
+// escala sobre o tamanho do overlay a partir do centro. Propriedade ausente mantém o valor do overlay.
+const overlayKeyframeSchema = {
+  type: 'object',
+  required: ['time'],
+  properties: {
+    time: { type: 'number', minimum: 0 },
+    x: { type: 'number' },
+    y: { type: 'number' },
+    scale: { type: 'number', minimum: 0 },
+    opacity: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+// Overlay no formato do editor: imagem (`imageFile` é a chave em videoPaths) ou texto
+const overlaySchema = {
+  type: 'object',
+  required: ['id', 'start', 'duration'],
+  properties: {
+    id: { type: ['string', 'number'] },
+    type: { type: 'string', enum: ['image', 'text'] },
+    label: { type: 'string' },
+    start: { type: 'number', minimum: 0 },
+    duration: { type: 'number', minimum: 0 },
+    position: { type: 'string' },
+    placement: overlayPlacementSchema,
+    size: { type: 'number' },
+    opacity: { type: 'number', minimum: 0 },
+    fadeIn: { type: 'number', minimum: 0 },
+    fadeOut: { type: 'number', minimum: 0 },
+    keyframes: { type: 'array', items: overlayKeyframeSchema },
+    imageFile: { type: ['string', 'null'] },
+    text: overlayTextSchema
+  }
+};
+
+const questionSchema = {
+  type: 'object',
+  required: ['label', 'small_label', 'video', 'type', 'markers', 'totalAlternatives', 'originalIndex'],
+  properties: {
+    label: { type: 'string' },
+    type: { type: 'string', enum: Object.keys(QUESTION_TYPE_LABELS) },
+    small_label: { type: 'string' },
+    video: { type: 'string', minLength: 1 },
+    markers: {
+      type: 'object',
+      propertyNames: { pattern: '^[A-Z]$' },
+      additionalProperties: markerTimeSchema
+    },
+    // O campo de gabarito depende do tipo da questão
+    correctAnswer: answerLetterSchema,
+    correctAnswers: { type: 'array', items: answerLetterSchema },
+    correctOrder: { type: 'array', items: answerLetterSchema },
+    responseTimeLimit: { type: 'number', minimum: 1 },
+    // Resposta aberta não tem alternativas
+    totalAlternatives: { type: 'integer', minimum: 0, maximum: 26 },
+    originalIndex: { type: 'integer', minimum: 1 },
+    // Legado (até 2.3): um único overlay por questão
+    overlay: { type: ['object', 'null'] },
+    overlays: { type: 'array', items: overlaySchema },
+    // Enunciado e alternativas gravados em clipes separados; `video` guarda a pré-visualização unida
+    segments: {
+      type: ['object', 'null'],
+      required: ['exportMode', 'clips'],
+      properties: {
+        exportMode: { type: 'string', enum: ['join', 'separate'] },
+        clips: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['key', 'video'],
+            properties: {
+              key: { type: 'string', pattern: '^(statement|[A-Z])$' },
+              video: { type: 'string', minLength: 1 },
+              duration: { type: 'number', minimum: 0 }
+            }
+          }
+        }
+      }
+    },
+    // Cortes não destrutivos: trechos mantidos em tempo do arquivo original
+    edits: {
+      type: ['object', 'null'],
+      required: ['sourceDuration', 'keptRanges'],
+      properties: {
+        sourceDuration: { type: 'number', minimum: 0 },
+        keptRanges: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['start', 'end'],
+            properties: {
+              start: { type: 'number', minimum: 0 },
+              end: { type: 'number', minimum: 0 }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const projectSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'avaproject.schema.json',
+  title: 'Projeto AvaLIBRAS',
+  type: 'object',
+  required: ['version', 'metadata', 'project', 'questions', 'videoPaths'],
+  properties: {
+    version: { type: 'string', enum: [CURRENT_PROJECT_VERSION] },
+    metadata: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        type: { type: 'string' },
+        questions: { type: 'integer', minimum: 0 },
+        created: { type: 'string' },
+        modified: { type: 'string' }
+      }
+    },
+    project: {
+      type: 'object',
+      required: ['type', 'totalAlternatives', 'overlays'],
+      properties: {
+        type: { type: 'string', enum: ['multiple_choice'] },
+        totalAlternatives: { type: 'integer', minimum: 2, maximum: 26 },
+        overlays: { type: 'array', items: overlaySchema },
+        unassignedOverlays: { type: 'array', items: overlaySchema }
+      }
+    },
+    questions: { type: 'array', items: questionSchema },
+    videoPaths: { type: 'object', additionalProperties: { type: 'string' } },
+    media: {
+      type: ['object', 'null'],
+      properties: { directory: { type: 'string' } }
+    },
+    settings: { type: 'object' }
+  }
+};
+
+// videos.js da videoprova (.ava): `var nomeProva` e `var questions`, com a mídia referenciada pelos nomes Q_XX do arquivo
+// Overlays de imagem trazem `image`; os de texto trazem `text` e são desenhados pelo player
+const exportedOverlaySchema = {
+  type: 'object',
+  required: ['type', 'start', 'duration'],
+  properties: {
+    type: { type: 'string', enum: ['image', 'text'] },
+    image: { type: 'string', pattern: '^Q_\\d+_overlay_\\d+\\.[a-z0-9]+$' },
+    text: overlayTextSchema,
+    start: { type: 'number', minimum: 0 },
+    duration: { type: 'number', minimum: 0 },
+    position: { type: 'string' },
+    placement: overlayPlacementSchema,
+    size: { type: 'number' },
+    opacity: { type: 'number', minimum: 0, maximum: 1 },
+    fadeIn: { type: 'number', minimum: 0 },
+    fadeOut: { type: 'number', minimum: 0 },
+    keyframes: { type: 'array', items: overlayKeyframeSchema }
+  }
+};
+
+const videosScriptSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'videos.schema.json',
+  title: 'Videoprova AvaLIBRAS (videos.js)',
+  type: 'object',
+  required: ['nomeProva', 'questions'],
+  properties: {
+    nomeProva: { type: 'string' },
+    questions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['label', 'video', 'type', 'markers', 'totalAlternatives', 'overlays'],
+        properties: {
+          ...questionSchema.properties,
+          video: { type: 'string', pattern: '^Q_\\d+\\.mp4$' },
+          // Na ordem em que aparecem; cada um com a imagem Q_XX_overlay_N e o tempo já no vídeo exportado
+          overlays: { type: 'array', items: exportedOverlaySchema }
+        }
+      }
+    }
+  }
+};
+
+// ----- 2. VALIDADOR -----
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  return [].concat(expected).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+// Retorna a lista de erros { path, message }; lista vazia significa documento válido
+function validateAgainstSchema(value, schema, currentPath = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path: currentPath, message: `deveria ser ${[].concat(schema.type).join(' ou ')}` });
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: currentPath, message: `valor "${value}" não permitido (esperado: ${schema.enum.join(', ')})` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: currentPath, message: `deveria ser maior ou igual a ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: currentPath, message: `deveria ser menor ou igual a ${schema.maximum}` });
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: currentPath, message: 'não pode ser vazio' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: currentPath, message: `formato inválido ("${value}")` });
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${currentPath}[${index}]`));
+    });
+  }
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: `${currentPath}.${key}`, message: 'campo obrigatório ausente' });
+      }
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.propertyNames) {
+        errors.push(...validateAgainstSchema(key, schema.propertyNames, `${currentPath}.${key}`));
+      }
+      const childSchema = schema.properties?.[key] || schema.additionalProperties;
+      if (childSchema && typeof childSchema === 'object') {
+        errors.push(...validateAgainstSchema(child, childSchema, `${currentPath}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+function validateProject(projectData) {
+  return validateAgainstSchema(projectData, projectSchema);
+}
+
+function validateVideosScript(videosData) {
+  return validateAgainstSchema(videosData, videosScriptSchema);
+}
+
+// ----- 3. MIGRAÇÕES -----
+
+function parseVersion(version) {
+  if (version === undefined || version === null || version === '') return '1.0';
+  return String(version);
+}
+
+// 1.x: JSON cru do currentProject (name/nomeProva na raiz, videoPaths como lista de pares ou objeto)
+function migrateFrom1To2(data, report) {
+  const videoPaths = Array.isArray(data.videoPaths)
+    ? Object.fromEntries(data.videoPaths.filter(entry => Array.isArray(entry) && entry.length === 2))
+    : (data.videoPaths || {});
+
+  if (Array.isArray(data.videoPaths) && Object.keys(videoPaths).length !== data.videoPaths.length) {
+    report.unrecoverable.push({ path: '$.videoPaths', message: 'entradas de mídia em formato desconhecido foram descartadas' });
+  }
+
+  return {
+    version: '2.0',
+    metadata: {
+      name: data.name || data.nomeProva || 'Projeto sem Título',
+      type: data.tipo || 'Múltipla Escolha',
+      questions: (data.questions || []).length,
+      created: data.created || new Date().toISOString(),
+      modified: data.modified || new Date().toISOString()
+    },
+    questions: data.questions || [],
+    videoPaths,
+    settings: data.settings || {},
+    // Campos do editor que a 2.0 não gravava seguem adiante para a próxima migração
+    totalAlternatives: data.totalAlternatives,
+    type: data.type,
+    overlays: data.overlays
+  };
+}
+
+// 2.0 → 2.1: estado do editor (tipo, alternativas, overlays) passa a ser gravado em `project`
+function migrateFrom2To21(data, report) {
+  const { totalAlternatives, type, overlays, ...rest } = data;
+
+  const questions = Array.isArray(rest.questions) ? rest.questions : [];
+  if (!Array.isArray(rest.questions)) {
+    report.unrecoverable.push({ path: '$.questions', message: 'lista de questões ausente ou inválida' });
+  }
+
+  // Sem o campo salvo, o número de alternativas é deduzido dos marcadores
+  const inferredAlternatives = Math.max(0, ...questions.map(q => Object.keys(q?.markers || {}).length)) || 4;
+
+  return {
+    ...rest,
+    version: '2.1',
+    project: {
+      type: type || 'multiple_choice',
+      totalAlternatives: Number.isInteger(totalAlternatives) ? totalAlternatives : inferredAlternatives,
+      overlays: Array.isArray(overlays) ? overlays : []
+    },
+    questions: questions.map((question, index) => {
+      const number = Number.isInteger(question?.originalIndex) ? question.originalIndex : index + 1;
+      return {
+        label: `Questão ${number.toString().padStart(2, '0')}`,
+        small_label: number.toString().padStart(2, '0'),
+        overlay: null,
+        ...question,
+        // Builds antigos gravavam tempos como texto ("12.50")
+        markers: Object.fromEntries(Object.entries(question?.markers || {}).map(([key, value]) => {
+          const time = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+          return [key, Number.isFinite(time) ? time : value];
+        })),
+        originalIndex: number
+      };
+    })
+  };
+}
+
+// 2.1 → 2.2: número de alternativas passa a ser de cada questão; o do projeto vira o padrão para novas questões
+function migrateFrom21To22(data) {
+  const defaultAlternatives = data.project?.totalAlternatives || 4;
+  return {
+    ...data,
+    version: '2.2',
+    questions: (data.questions || []).map(question => ({
+      ...question,
+      totalAlternatives: Number.isInteger(question?.totalAlternatives) ? question.totalAlternatives : defaultAlternatives
+    }))
+  };
+}
+
+// 2.2 → 2.3: questões ganham tipo; as existentes são todas de múltipla escolha
+function migrateFrom22To23(data) {
+  return {
+    ...data,
+    version: '2.3',
+    questions: (data.questions || []).map(question => ({
+      ...question,
+      type: question?.type || 'multiple_choice'
+    }))
+  };
+}
+
+// Overlay único das versões antigas ({ image, start|startTime, ... }) no formato da lista `overlays`
+function legacyOverlayToList(overlay) {
+  if (!overlay || !overlay.image) return [];
+  return [{
+    id: overlay.id || 'overlay_1',
+    type: 'image',
+    label: overlay.label || 'Overlay 1',
+    start: Number(overlay.start ?? overlay.startTime) || 0,
+    duration: Number(overlay.duration) || 0,
+    position: overlay.position || 'center',
+    size: overlay.size ?? 50,
+    opacity: overlay.opacity ?? 1,
+    imageFile: overlay.image
+  }];
+}
+
+// 2.3 → 2.4: cada questão passa a ter uma lista de overlays no lugar do overlay único.
+// Os overlays do projeto que não estão em nenhuma questão vão para `unassignedOverlays`, sem serem descartados.
+function migrateFrom23To24(data) {
+  const questions = (data.questions || []).map(question => {
+    const { overlay, ...rest } = question || {};
+    return { ...rest, overlays: Array.isArray(rest.overlays) ? rest.overlays : legacyOverlayToList(overlay) };
+  });
+  const assigned = questions.flatMap(question => question.overlays);
+  const unassignedOverlays = (data.project?.overlays || []).filter(overlay => !assigned.some(
+    other => other.imageFile === overlay.imageFile && other.start === overlay.start
+  ));
+
+  return {
+    ...data,
+    version: '2.4',
+    project: { ...data.project, overlays: [], unassignedOverlays },
+    questions
+  };
+}
+
+const migrations = [
+  { from: /^1(\.\d+)*$/, to: '2.0', migrate: migrateFrom1To2 },
+  { from: /^2\.0$/, to: '2.1', migrate: migrateFrom2To21 },
+  { from: /^2\.1$/, to: '2.2', migrate: migrateFrom21To22 },
+  { from: /^2\.2$/, to: '2.3', migrate: migrateFrom22To23 },
+  { from: /^2\.3$/, to: '2.4', migrate: migrateFrom23To24 }
+];
+
+// Aplica as migrações em sequência até a versão atual e valida o resultado
+function migrateProject(projectData) {
+  if (!projectData || typeof projectData !== 'object' || Array.isArray(projectData)) {
+    throw new Error('Arquivo de projeto inválido: o conteúdo não é um objeto JSON.');
+  }
+
+  const fromVersion = parseVersion(projectData.version);
+  const report = { fromVersion, toVersion: CURRENT_PROJECT_VERSION, applied: [], unrecoverable: [] };
+
+  let data = projectData;
+  let version = fromVersion;
+  while (version !== CURRENT_PROJECT_VERSION) {
+    const migration = migrations.find(m => m.from.test(version));
+    if (!migration) {
+      throw new Error(`Versão de projeto não suportada: ${version}. Atualize o AvaLIBRAS para abrir este arquivo.`);
+    }
+    data = migration.migrate(data, report);
+    report.applied.push(`${version} → ${migration.to}`);
+    version = migration.to;
+  }
+
+  // O que continuar fora do esquema após migrar não pode ser recuperado automaticamente
+  report.unrecoverable.push(...validateProject(data));
+  return { projectData: data, report };
+}
+
+// Tipo único da prova ou "Mista" quando as questões misturam tipos
+function describeQuestionTypes(questions) {
+  const types = [...new Set((questions || []).map(question => question?.type || 'multiple_choice'))];
+  if (types.length === 0) return QUESTION_TYPE_LABELS.multiple_choice;
+  return types.length === 1 ? (QUESTION_TYPE_LABELS[types[0]] || types[0]) : 'Mista';
+}
+
+module.exports = {
+  CURRENT_PROJECT_VERSION,
+  QUESTION_TYPE_LABELS,
+  describeQuestionTypes,
+  projectSchema,
+  videosScriptSchema,
+  validateProject,
+  validateVideosScript,
+  legacyOverlayToList,
+  migrateProject
+};
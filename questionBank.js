@@ -0,0 +1,106 @@
+// questionBank.js
+// Banco de questões local em <userData>/question-bank: índice bank.json e cópia dos vídeos em media/
+
+const fs = require('fs');
+const path = require('path');
+
+const BANK_VERSION = 1;
+
+// Campos de gabarito aceitos na entrada (os mesmos de QUESTION_ANSWER_FIELDS em base.js)
+const QUESTION_ANSWER_FIELDS = ['correctAnswer', 'correctAnswers', 'correctOrder', 'responseTimeLimit'];
+
+function getBankPaths(userDataDir) {
+  const bankDir = path.join(userDataDir, 'question-bank');
+  return {
+    bankDir,
+    mediaDir: path.join(bankDir, 'media'),
+    indexFile: path.join(bankDir, 'bank.json')
+  };
+}
+
+// Tags são comparadas sem diferenciar maiúsculas e sem espaços nas pontas
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+async function readBank(userDataDir) {
+  const { indexFile } = getBankPaths(userDataDir);
+  try {
+    const bank = JSON.parse(await fs.promises.readFile(indexFile, 'utf-8'));
+    return { version: BANK_VERSION, entries: Array.isArray(bank.entries) ? bank.entries : [] };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('Índice do banco de questões ilegível, iniciando vazio:', error.message);
+    }
+    return { version: BANK_VERSION, entries: [] };
+  }
+}
+
+async function writeBank(userDataDir, bank) {
+  const { bankDir, indexFile } = getBankPaths(userDataDir);
+  await fs.promises.mkdir(bankDir, { recursive: true });
+  // Grava e renomeia para o índice nunca ficar pela metade
+  const tempFile = `${indexFile}.tmp`;
+  await fs.promises.writeFile(tempFile, JSON.stringify(bank, null, 2), 'utf-8');
+  await fs.promises.rename(tempFile, indexFile);
+}
+
+// Entradas cujo vídeo foi apagado do disco continuam listadas, marcadas como indisponíveis
+async function listEntries(userDataDir) {
+  const bank = await readBank(userDataDir);
+  return bank.entries.map(entry => ({ ...entry, videoAvailable: fs.existsSync(entry.video) }));
+}
+
+async function addEntry(userDataDir, { videoPath, title, subject, tags, type, answerField, answer, markers, totalAlternatives, edits }) {
+  const answerKey = answerField || 'correctAnswer';
+  if (!QUESTION_ANSWER_FIELDS.includes(answerKey)) {
+    throw new Error(`Campo de gabarito inválido: ${answerKey}`);
+  }
+
+  const { mediaDir } = getBankPaths(userDataDir);
+  await fs.promises.mkdir(mediaDir, { recursive: true });
+
+  const id = `q_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const storedVideo = path.join(mediaDir, `${id}${path.extname(videoPath) || '.mp4'}`);
+  await fs.promises.copyFile(videoPath, storedVideo);
+
+  const entry = {
+    id,
+    title: title || 'Questão sem título',
+    subject: (subject || '').trim(),
+    tags: normalizeTags(tags),
+    video: storedVideo,
+    originalFileName: path.basename(videoPath),
+    type: type || 'multiple_choice',
+    markers: markers || {},
+    // O gabarito fica no mesmo campo usado pela questão (correctAnswer, correctAnswers, correctOrder...)
+    [answerKey]: answer ?? null,
+    totalAlternatives: totalAlternatives ?? Object.keys(markers || {}).length,
+    edits: edits || null,
+    createdAt: new Date().toISOString()
+  };
+
+  const bank = await readBank(userDataDir);
+  bank.entries.push(entry);
+  await writeBank(userDataDir, bank);
+  return entry;
+}
+
+async function deleteEntry(userDataDir, id) {
+  const bank = await readBank(userDataDir);
+  const entry = bank.entries.find(item => item.id === id);
+  if (!entry) return false;
+
+  bank.entries = bank.entries.filter(item => item.id !== id);
+  await writeBank(userDataDir, bank);
+  await fs.promises.rm(entry.video, { force: true });
+  return true;
+}
+
+module.exports = {
+  normalizeTags,
+  listEntries,
+  addEntry,
+  deleteEntry
+};